@@ -19,18 +19,38 @@ const path = require("path");
 // Error handling
 const globalErrorHandler = require("./controllers/error.controller.js");
 
+// Local image storage folder
+const { UPLOADS_DIR } = require("./utils/storage.js");
+
 // Routers
 const userRouter = require("./routers/user.router");
 const serviceRouter = require("./routers/service.router.js");
 const cookieParser = require("cookie-parser");
 const reviewRouter = require("./routers/review.router.js");
+const bookingRouter = require("./routers/booking.router.js");
+const adminRouter = require("./routers/admin.router.js");
+const providerApplicationRouter = require("./routers/providerApplication.router.js");
+const providerRouter = require("./routers/provider.router.js");
+const categoryRouter = require("./routers/category.router.js");
 
 // Initialize Express application instance
 const app = express();
 
+// Behind a reverse proxy (nginx, load balancer) use the client IP from X-Forwarded-For,
+// e.g. TRUST_PROXY=1 for one proxy hop. Needed for per-IP rate limiting.
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Serve static files from the "public" folder
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Uploaded images, when stored on local disk (see utils/storage.js).
+// File names are random and never reused, so they can be cached indefinitely.
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+    app.use("/uploads", express.static(UPLOADS_DIR, { maxAge: "1y", immutable: true }));
+}
+
 // Static file serving
 app.get('/reset-password.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', "pages", "reset-password.html"));
@@ -52,6 +72,11 @@ app.use(express.json());
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/services", serviceRouter);
 app.use("/api/v1/reviews", reviewRouter);
+app.use("/api/v1/bookings", bookingRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/provider-applications", providerApplicationRouter);
+app.use("/api/v1/providers", providerRouter);
+app.use("/api/v1/categories", categoryRouter);
 
 // Global error handling middleware
 // This middleware catches all unhandled errors and provides consistent error responses
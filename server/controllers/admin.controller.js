@@ -0,0 +1,440 @@
+/**
+ * @file admin.controller.js
+ * @description Controller functions for the admin user management API: listing and searching users,
+ * role changes, suspensions and bans, forced password resets and manual email/phone verification.
+ *
+ * Admins may act on every user except themselves and other admins. Moderators may only act on
+ * customers and service providers, and may only suspend them for a limited time (no bans).
+ * Every action is recorded in the AdminLog.
+ *
+ * @author Luka Tskhvaradze
+ */
+
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const Service = require("../models/service.model");
+const AdminLog = require("../models/adminLog.model");
+const APIFeatures = require("../utils/APIFeatures");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { escapeRegExp } = require("../utils/georgianSearch");
+const { sendPasswordResetEmail } = require("./auth.controller");
+
+/**
+ * Whitelist of what admins may filter, sort and select on the users listing.
+ */
+const USER_ADMIN_QUERY_OPTIONS = {
+    filterable: {
+        role: "string",
+        isEmailVerified: "boolean",
+        isPhoneVerified: "boolean",
+        active: "boolean",
+        createdAt: "date"
+    },
+    sortable: ["name", "email", "role", "createdAt", "updatedAt"],
+    selectable: ["name", "email", "phone", "role", "isEmailVerified", "isPhoneVerified", "suspension", "profileImage", "createdAt", "updatedAt"]
+};
+
+/**
+ * Whitelist of what admins may filter and sort on the admin log.
+ */
+const ADMIN_LOG_QUERY_OPTIONS = {
+    filterable: {
+        action: "string",
+        actor: "objectId",
+        targetUser: "objectId",
+        createdAt: "date"
+    },
+    sortable: ["createdAt"]
+};
+
+// Roles a moderator may act on, and the longest suspension a moderator may give
+const MODERATOR_TARGET_ROLES = ["costumer", "service_provider"];
+const MODERATOR_MAX_SUSPENSION_DAYS = 30;
+
+// Matches deactivated accounts too, which the User find hook hides by default
+const ANY_ACTIVE_STATE = { $in: [true, false, null] };
+
+/**
+ * Loads the user an admin action targets and checks the actor may act on them.
+ *
+ * @async
+ * @param {Object} req - Express request object (req.params.id, req.user is the actor)
+ * @returns {Promise<Object>} - The target user document
+ * @throws {AppError} 400 on an invalid ID or when targeting oneself, 404 when not found, 403 when not allowed
+ */
+const findTargetUser = async (req) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        throw new AppError("არასწორი მომხმარებლის ID!", 400);
+    }
+
+    if (id === req.user._id.toString()) {
+        throw new AppError("ამ მოქმედებას საკუთარ ანგარიშზე ვერ შეასრულებთ!", 400);
+    }
+
+    const user = await User.findOne({ _id: id, active: ANY_ACTIVE_STATE });
+    if (!user) {
+        throw new AppError("მომხმარებელი არ არსებობს!", 404);
+    }
+
+    const allowed = req.user.role === "admin"
+        ? user.role !== "admin"
+        : MODERATOR_TARGET_ROLES.includes(user.role);
+
+    if (!allowed) {
+        throw new AppError("თქვენ არ გაქვთ უფლება ამ მოქმედების გამოყენების!", 403);
+    }
+
+    return user;
+};
+
+/**
+ * @desc    List users (search, filter by role and verification state, sort and paginate)
+ * @route   GET /api/v1/admin/users
+ * @access  Protected (admin, moderator)
+ *
+ * `?q=` searches name, email and phone. Deactivated accounts are only listed with `?active=false`.
+ *
+ * @example
+ * GET /api/v1/admin/users?role=service_provider&isPhoneVerified=false&sort=-createdAt&limit=20
+ * GET /api/v1/admin/users?q=giorgi&page=2
+ * GET /api/v1/admin/users?suspended=true
+ */
+const listUsers = catchAsync(async (req, res, next) => {
+    const { q, suspended, ...queryString } = req.query;
+    const conditions = [];
+
+    if (q !== undefined) {
+        if (typeof q !== "string" || !q.trim()) {
+            return next(new AppError('პარამეტრი "q" არ უნდა იყოს ცარიელი!', 400));
+        }
+        const pattern = new RegExp(escapeRegExp(q.trim()), "i");
+        conditions.push({ $or: [{ name: pattern }, { email: pattern }, { phone: pattern }] });
+    }
+
+    if (suspended !== undefined) {
+        if (suspended !== "true" && suspended !== "false") {
+            return next(new AppError('პარამეტრი "suspended" უნდა იყოს true ან false!', 400));
+        }
+        // Same rule as User.isSuspended: bans never end, suspensions end at expiresAt
+        const isSuspended = {
+            $or: [
+                { "suspension.type": "banned" },
+                { "suspension.type": "suspended", "suspension.expiresAt": { $gt: new Date() } }
+            ]
+        };
+        conditions.push(suspended === "true" ? isSuspended : { $nor: [isSuspended] });
+    }
+
+    const features = new APIFeatures(User.find(conditions.length ? { $and: conditions } : {}), queryString, USER_ADMIN_QUERY_OPTIONS)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: users, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: "success",
+        results: users.length,
+        ...pagination,
+        data: {
+            users
+        }
+    });
+});
+
+/**
+ * @desc    Retrieve a user, including deactivated accounts
+ * @route   GET /api/v1/admin/users/:id
+ * @access  Protected (admin, moderator)
+ */
+const getUser = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი მომხმარებლის ID!", 400));
+    }
+
+    const user = await User.findOne({ _id: id, active: ANY_ACTIVE_STATE }).select("+active");
+    if (!user) {
+        return next(new AppError("მომხმარებელი არ არსებობს!", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/v1/admin/users/:id/role
+ * @body    { role, reason? }
+ * @access  Protected (admin)
+ */
+const changeRole = catchAsync(async (req, res, next) => {
+    const { role, reason } = req.body || {};
+    const roles = User.schema.path("role").enumValues;
+
+    if (!roles.includes(role)) {
+        return next(new AppError(`მომხმარებლის როლი უნდა იყოს: ${roles.join(", ")}`, 400));
+    }
+
+    const user = await findTargetUser(req);
+
+    if (user.role === role) {
+        return next(new AppError("მომხმარებელს უკვე აქვს ეს როლი!", 400));
+    }
+
+    const from = user.role;
+    user.role = role;
+
+    // A user who stops being a provider loses the verified badge; it takes a new application to get it back
+    if (from === "service_provider" && user.isVerifiedProvider) {
+        user.isVerifiedProvider = false;
+        user.providerVerifiedAt = undefined;
+        await Service.updateMany({ providerID: user._id }, { providerVerified: false });
+    }
+    await user.save({ validateBeforeSave: false });
+
+    await AdminLog.record(req, "user.role_change", { target: user, reason, details: { from, to: role } });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Suspend (until expiresAt) or ban (no end) a user; ends all of the user's sessions
+ * @route   POST /api/v1/admin/users/:id/suspend
+ * @body    { type: "suspended" | "banned", reason, expiresAt? } - expiresAt is required for "suspended"
+ * @access  Protected (admin, moderator) - moderators may only suspend, for at most 30 days
+ */
+const suspendUser = catchAsync(async (req, res, next) => {
+    const { type = "suspended", reason, expiresAt } = req.body || {};
+
+    if (!["suspended", "banned"].includes(type)) {
+        return next(new AppError('type უნდა იყოს "suspended" ან "banned"!', 400));
+    }
+
+    if (typeof reason !== "string" || !reason.trim()) {
+        return next(new AppError("გთხოვთ მიუთითოთ მიზეზი!", 400));
+    }
+
+    let until;
+    if (type === "suspended") {
+        until = new Date(expiresAt);
+        if (!expiresAt || Number.isNaN(until.getTime()) || until.getTime() <= Date.now()) {
+            return next(new AppError("გთხოვთ მიუთითოთ შეჩერების დასრულების სწორი თარიღი (expiresAt)!", 400));
+        }
+    }
+
+    if (req.user.role === "moderator") {
+        if (type === "banned") {
+            return next(new AppError("მოდერატორს შეუძლია მხოლოდ დროებით შეჩერება!", 403));
+        }
+        if (until.getTime() - Date.now() > MODERATOR_MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000) {
+            return next(new AppError(`მოდერატორს შეუძლია შეჩერება მაქსიმუმ ${MODERATOR_MAX_SUSPENSION_DAYS} დღით!`, 403));
+        }
+    }
+
+    const user = await findTargetUser(req);
+
+    user.suspension = {
+        type,
+        reason: reason.trim(),
+        expiresAt: until,
+        by: req.user._id,
+        at: Date.now()
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, type === "banned" ? "banned" : "suspended");
+    await AdminLog.record(req, type === "banned" ? "user.ban" : "user.suspend", {
+        target: user,
+        reason: reason.trim(),
+        details: { expiresAt: until }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Lift a user's suspension or ban
+ * @route   DELETE /api/v1/admin/users/:id/suspend
+ * @body    { reason? }
+ * @access  Protected (admin, moderator) - only admins may lift bans
+ */
+const liftSuspension = catchAsync(async (req, res, next) => {
+    const { reason } = req.body || {};
+    const user = await findTargetUser(req);
+
+    if (!user.isSuspended()) {
+        return next(new AppError("მომხმარებელი არ არის შეჩერებული!", 400));
+    }
+
+    if (user.suspension.type === "banned" && req.user.role !== "admin") {
+        return next(new AppError("თქვენ არ გაქვთ უფლება ამ მოქმედების გამოყენების!", 403));
+    }
+
+    const { type, reason: previousReason, expiresAt } = user.suspension;
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminLog.record(req, "user.lift_suspension", {
+        target: user,
+        reason,
+        details: { type, reason: previousReason, expiresAt }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Force a password reset: the user is logged out everywhere and can't log in
+ *          until the password is reset with the link emailed to them
+ * @route   POST /api/v1/admin/users/:id/force-password-reset
+ * @body    { reason? }
+ * @access  Protected (admin)
+ */
+const forcePasswordReset = catchAsync(async (req, res, next) => {
+    const { reason } = req.body || {};
+    const user = await findTargetUser(req);
+
+    // Only block logins once the reset link is on its way
+    await sendPasswordResetEmail(user, req, { forced: true });
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, "password_reset_required");
+    await AdminLog.record(req, "user.force_password_reset", { target: user, reason });
+
+    res.status(200).json({
+        status: "success",
+        message: "პაროლის აღდგენის ლინკი გაიგზავნა მომხმარებლის ელფოსტაზე!",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Mark a user's email address as verified
+ * @route   POST /api/v1/admin/users/:id/verify-email
+ * @body    { reason? }
+ * @access  Protected (admin, moderator)
+ */
+const verifyUserEmail = catchAsync(async (req, res, next) => {
+    const { reason } = req.body || {};
+    const user = await findTargetUser(req);
+
+    if (user.isEmailVerified) {
+        return next(new AppError("ელფოსტა უკვე დადასტურებულია!", 400));
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminLog.record(req, "user.verify_email", { target: user, reason, details: { email: user.email } });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Mark a user's phone number as verified
+ * @route   POST /api/v1/admin/users/:id/verify-phone
+ * @body    { reason? }
+ * @access  Protected (admin, moderator)
+ */
+const verifyUserPhone = catchAsync(async (req, res, next) => {
+    const { reason } = req.body || {};
+    const user = await findTargetUser(req);
+
+    if (!user.phone) {
+        return next(new AppError("მომხმარებელს არ აქვს მითითებული ტელეფონის ნომერი!", 400));
+    }
+
+    if (user.isPhoneVerified) {
+        return next(new AppError("ტელეფონის ნომერი უკვე დადასტურებულია!", 400));
+    }
+
+    user.isPhoneVerified = true;
+    user.phoneVerificationCode = undefined;
+    user.phoneVerificationExpires = undefined;
+    user.phoneVerificationAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    await AdminLog.record(req, "user.verify_phone", { target: user, reason, details: { phone: user.phone } });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    List admin log entries, newest first
+ * @route   GET /api/v1/admin/logs
+ * @access  Protected (admin)
+ *
+ * @example
+ * GET /api/v1/admin/logs?targetUser=665f1c2e9b1e8a0012345678
+ * GET /api/v1/admin/logs?action=user.ban&createdAt[gte]=2024-01-01
+ */
+const getLogs = catchAsync(async (req, res, next) => {
+    const features = new APIFeatures(AdminLog.find(), req.query, ADMIN_LOG_QUERY_OPTIONS)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: logs, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: "success",
+        results: logs.length,
+        ...pagination,
+        data: {
+            logs
+        }
+    });
+});
+
+module.exports = {
+    listUsers,
+    getUser,
+    changeRole,
+    suspendUser,
+    liftSuspension,
+    forcePasswordReset,
+    verifyUserEmail,
+    verifyUserPhone,
+    getLogs
+};
@@ -10,51 +10,125 @@
  */
 
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
 const catchAsync = require("../utils/catchAsync");
 const jwt = require("jsonwebtoken");
 const AppError = require("../utils/appError"); // Ensure AppError is required for error handling
 const sendEmail = require("../utils/email");
+const sendSMS = require("../utils/sms");
 const crypto = require("crypto");
-const vonage = require("../configs/vonage");
+
+// Access tokens are short-lived (JWT_ACCESS_EXPIRES_IN_MINUTES, default 15 minutes)
+const ACCESS_TOKEN_TTL = (Number(process.env.JWT_ACCESS_EXPIRES_IN_MINUTES) || 15) * 60 * 1000;
+// Refresh tokens live JWT_COOKIE_EXPIRES_IN days (default 30)
+const REFRESH_TOKEN_TTL = (Number(process.env.JWT_COOKIE_EXPIRES_IN) || 30) * 24 * 60 * 60 * 1000;
+// The refresh cookie is only sent to the user routes that need it (/refresh, /logout)
+const REFRESH_COOKIE_PATH = "/api/v1/users";
 
 /**
- * Generates a JWT token for a given user ID.
+ * Generates a short-lived JWT access token for a given user ID and session.
  * 
  * @param {string} id - The user's MongoDB ObjectId
+ * @param {string} sid - The session's MongoDB ObjectId
  * @returns {string} - Signed JWT token
  */
-const signToken = (id) => {
+const signToken = (id, sid) => {
     return jwt.sign(
-        { id }, 
+        { id, sid }, 
         process.env.JWT_SECRET, 
-        { expiresIn: process.env.JWT_EXPIRES_IN }
+        { expiresIn: Math.floor(ACCESS_TOKEN_TTL / 1000) }
     );
 };
 
+/**
+ * Builds the options shared by the auth cookies.
+ * 
+ * @param {number} maxAge - Cookie lifetime in milliseconds
+ * @param {string} [path="/"] - Cookie path
+ * @returns {Object} - Cookie options
+ */
+const cookieOptions = (maxAge, path = "/") => ({
+    expires: new Date(Date.now() + maxAge),
+    path,
+    secure: process.env.NODE_ENV === "prod", // Send cookie only over HTTPS in production
+    httpOnly: true, // Prevent client-side JS from accessing the cookie
+    sameSite: "lax"
+});
+
+/**
+ * Sets the access token and refresh token cookies.
+ * 
+ * @param {Object} res - Express response object
+ * @param {string} accessToken - Signed JWT access token
+ * @param {string} refreshToken - Plain refresh token
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    res.cookie("token", accessToken, cookieOptions(ACCESS_TOKEN_TTL));
+    res.cookie("refreshToken", refreshToken, cookieOptions(REFRESH_TOKEN_TTL, REFRESH_COOKIE_PATH));
+};
 
 /**
- * Creates a JWT token, sets it as an HTTP-only cookie, and sends the user data in the response.
+ * Clears the access token and refresh token cookies.
+ * 
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie("token", { path: "/" });
+    res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Builds the error for a user who may not log in right now: suspended or banned through
+ * the admin API, or required by an admin to reset the password first.
  * 
  * @param {Object} user - The user document
- * @param {number} statusCode - HTTP status code for the response
+ * @returns {AppError|null} - null when the user may log in
+ */
+const loginBlockedError = (user) => {
+    if (user.isSuspended()) {
+        const { type, reason, expiresAt } = user.suspension;
+        const until = type === "suspended" && expiresAt ? ` ${expiresAt.toISOString()}-მდე` : "";
+        const status = type === "banned" ? "დაბლოკილია" : `შეჩერებულია${until}`;
+        return new AppError(`ანგარიში ${status}. მიზეზი: ${reason}`, 403);
+    }
+
+    if (user.passwordResetRequired) {
+        return new AppError("შესვლამდე საჭიროა პაროლის შეცვლა. აღდგენის ლინკი გამოგზავნილია ელფოსტაზე!", 403);
+    }
+
+    return null;
+};
+
+/**
+ * Starts a new session and sets the access/refresh token cookies.
+ * 
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object (device and IP of the session)
  * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {AppError} When the user is suspended or has to reset the password (see loginBlockedError)
  */
+const startSession = async (user, req, res) => {
+    const blocked = loginBlockedError(user);
+    if (blocked) throw blocked;
 
-const createSendToken = (user, statusCode, res) => {
-    // Generate JWT token for the user
-    const token = signToken(user._id);
+    // Start a server-side session backing the refresh token
+    const { session, refreshToken } = await Session.start(user, req, REFRESH_TOKEN_TTL);
 
-    // Configure cookie options for security and expiration
-    const cookieOptions = {
-        expires: new Date(
-            Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-        ),
-        secure: process.env.NODE_ENV === "prod", // Send cookie only over HTTPS in production
-        httpOnly: true // Prevent client-side JS from accessing the cookie
-    };
+    // Generate JWT access token bound to the session, set both tokens as cookies
+    setAuthCookies(res, signToken(user._id, session._id), refreshToken);
+};
 
-    // Set JWT as a cookie in the response
-    res.cookie("token", token, cookieOptions);
+/**
+ * Starts a new session, sets the access/refresh token cookies, and sends the user data in the response.
+ * 
+ * @param {Object} user - The user document
+ * @param {number} statusCode - HTTP status code for the response
+ * @param {Object} req - Express request object (device and IP of the session)
+ * @param {Object} res - Express response object
+ */
+const createSendToken = async (user, statusCode, req, res) => {
+    await startSession(user, req, res);
 
     // Remove password from output for security
     user.password = undefined;
@@ -67,27 +141,62 @@ const createSendToken = (user, statusCode, res) => {
 }
 
 /**
- * User Signup Controller
+ * Generates a new phone verification code for the user, saves it and sends it by SMS.
  * 
- * Registers a new user with the provided credentials and sends a JWT token upon successful registration.
+ * If the SMS can't be sent, the code is removed again so the user isn't throttled
+ * for a message they never received.
  * 
- * @route POST /api/v1/auth/signup
- * @access Public
+ * @param {Object} user - The user document
+ * @returns {Promise<boolean>} - true when the SMS was handed to the transport
+ * @throws {AppError} 429 when another code was sent too recently (see User.claimPhoneCodeSend)
  */
+const sendPhoneVerificationCode = async (user) => {
+    // Checked and recorded in one update, so concurrent requests can't both send
+    const claim = await User.claimPhoneCodeSend(user._id);
+    if (!claim) {
+        const wait = (await User.findById(user._id)).phoneCodeResendWait();
+        throw new AppError(`გთხოვთ სცადოთ ${wait} წამში!`, 429);
+    }
 
-const signup = catchAsync(async (req, res) => {
-    // Extract user registration fields from request body
-    const { name, email, password, passwordConfirm, phone } = req.body;
+    const phoneCode = user.generatePhoneVerificationCode();
+    await user.save({ validateBeforeSave: false });
 
-    // Create new user in the database
-    const newUser = await User.create({ name, email, password, passwordConfirm, phone });
+    try {
+        await sendSMS({
+            to: user.phone,
+            text: `Services.ge: თქვენი დადასტურების კოდია ${phoneCode}. კოდი მოქმედებს 5 წუთი.`
+        });
+        return true;
+    } catch (err) {
+        console.error("SMS Error:", err);
+
+        user.phoneVerificationCode = undefined;
+        user.phoneVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        // The failed send doesn't count towards the throttle
+        await User.updateOne(
+            { _id: user._id, phoneVerificationSentAt: claim.phoneVerificationSentAt },
+            { $unset: { phoneVerificationSentAt: 1 }, $inc: { phoneVerificationSendCount: -1 } }
+        );
+        return false;
+    }
+};
 
-    const verificationTokenEmail = newUser.createEmailVerification();
-    // const phoneCode = newUser.generatePhoneVerificationCode();
+/**
+ * Creates an email verification token for the user and emails the verification link.
+ * The email is sent in the background, so a slow mail server doesn't delay the response.
+ * 
+ * @param {Object} user - The user document (saved by this function)
+ * @param {string} to - Address to verify (the new address when the user changes email)
+ * @param {Object} req - Express request object (to build the link)
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user, to, req) => {
+    const verificationToken = user.createEmailVerification();
 
-    await newUser.save({validateBeforeSave: false});
+    await user.save({validateBeforeSave: false});
 
-    const verificationURL = `${req.protocol}://${req.get('host')}/api/v1/users/verify-email/${verificationTokenEmail}`;
+    const verificationURL = `${req.protocol}://${req.get('host')}/api/v1/users/verify-email/${verificationToken}`;
 
     const htmlContent = `
         <div style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; background: #f7f7fa; padding: 40px 0;">
@@ -97,8 +206,8 @@ const signup = catchAsync(async (req, res) => {
                     <h2 style="color: #2d2d6e; margin-bottom: 8px;">ელ. ფოსტის დადასტურება</h2>
                 </div>
                 <p style="color: #444; font-size: 16px; margin-bottom: 24px;">
-                    გამარჯობა, <b>${newUser.name}</b>!<br>
-                    გმადლობთ, რომ დარეგისტრირდით <b>Services.ge</b>-ზე.<br>
+                    გამარჯობა, <b>${user.name}</b>!<br>
+                    ${user.pendingEmail ? "თქვენ მოითხოვეთ ელ. ფოსტის შეცვლა <b>Services.ge</b>-ზე." : "გმადლობთ, რომ დარეგისტრირდით <b>Services.ge</b>-ზე."}<br>
                     თქვენი ელ. ფოსტის დადასტურება აუცილებელია, რათა შეძლოთ ყველა ფუნქციის გამოყენება.
                 </p>
                 <div style="text-align: center; margin-bottom: 24px;">
@@ -117,77 +226,624 @@ const signup = catchAsync(async (req, res) => {
             </div>
         </div>
     `;
-    // Send email verification
     sendEmail({
-        to: email,
+        to,
         subject: "Email Verification",
         htmlContent
-    })
-
-    // 4. Send phone verification SMS
-    // try {
-    //     await vonage.sms.send({
-    //         to: phone,
-    //         from: "Services.ge",
-    //         text: `Your Services.ge verification code is: ${phoneCode}`,
-    //     });
-    // } catch (err) {
-    //     console.error("Vonage SMS Error:", err);
-    //     return res.status(500).json({ status: "fail", message: "SMS ვერ გაიგზავნა" });
+    }).catch((err) => console.error("Email Error:", err));
+};
+
+/**
+ * User Signup Controller
+ * 
+ * Registers a new user with the provided credentials and sends a JWT token upon successful registration.
+ * 
+ * @route POST /api/v1/auth/signup
+ * @access Public
+ */
+
+const signup = catchAsync(async (req, res) => {
+    // Extract user registration fields from request body
+    const { name, email, password, passwordConfirm, phone } = req.body;
+
+    // Create new user in the database
+    const newUser = await User.create({ name, email, password, passwordConfirm, phone });
+
+    // Send email verification
+    await sendVerificationEmail(newUser, email, req);
+
+    // Send phone verification SMS
+    const smsSent = await sendPhoneVerificationCode(newUser);
+
+    // Respond success, the account exists even if the SMS failed (the code can be resent)
+    res.status(200).json({
+        status: "success",
+        message: smsSent
+            ? "რეგისტრაცია წარმატებით დასრულდა! Email-ზე გამოგზავნილია დამადასტურებელი ლინკი და ტელეფონზე — კოდი."
+            : "რეგისტრაცია წარმატებით დასრულდა! Email-ზე გამოგზავნილია დამადასტურებელი ლინკი. SMS კოდი ვერ გაიგზავნა, გთხოვთ მოითხოვოთ ხელახლა.",
+    });
+});
+
+// Fields needed to enforce the failed login lockout (select: false by default)
+const LOGIN_LOCK_FIELDS = "+failedLoginAttempts +lockUntil";
+
+/**
+ * Builds the 429 error for a locked account and sets the Retry-After header.
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} wait - Seconds until the lock ends
+ * @returns {AppError}
+ */
+const accountLockedError = (res, wait) => {
+    res.set("Retry-After", String(wait));
+    return new AppError(`ძალიან ბევრი წარუმატებელი მცდელობა. ანგარიში დროებით დაბლოკილია, სცადეთ ${Math.ceil(wait / 60)} წუთში!`, 429);
+};
+
+// A login challenge (second step of a 2FA login) is valid for 5 minutes and allows 5 wrong codes
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// OAuth sign-in hands the challenge to the browser in this cookie instead of the redirect URL,
+// where it would end up in the history and server logs
+const CHALLENGE_COOKIE = "two_factor_challenge";
+const CHALLENGE_COOKIE_PATH = "/api/v1/users/login/2fa";
+
+/**
+ * Sets the 2FA challenge cookie, sent only to the /login/2fa routes.
+ * 
+ * @param {Object} res - Express response object
+ * @param {string} challengeToken - Token returned by startTwoFactorChallenge
+ */
+const setChallengeCookie = (res, challengeToken) => {
+    res.cookie(CHALLENGE_COOKIE, challengeToken, cookieOptions(TWO_FACTOR_CHALLENGE_TTL * 1000, CHALLENGE_COOKIE_PATH));
+};
+
+/**
+ * Reads the challenge token from the body, falling back to the challenge cookie.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string|undefined}
+ */
+const challengeTokenFrom = (req) => req.body?.challengeToken ?? req.cookies?.[CHALLENGE_COOKIE];
+
+/**
+ * Sends a two-factor SMS code to the user. The caller saves the document.
+ * 
+ * @param {Object} user - The user document, loaded with User.TWO_FACTOR_SECRET_FIELDS
+ * @returns {Promise<void>}
+ */
+const sendTwoFactorSms = async (user) => {
+    const code = user.createTwoFactorSmsCode();
+    await sendSMS({
+        to: user.phone,
+        text: `Services.ge: თქვენი შესვლის კოდია ${code}. კოდი მოქმედებს 5 წუთი. არავის გაუზიაროთ!`
+    });
+};
+
+/**
+ * Starts the second step of a 2FA login: stores a new challenge on the user and,
+ * for SMS users, sends the code.
+ * 
+ * @param {Object} user - The user document, loaded with User.TWO_FACTOR_SECRET_FIELDS
+ * @returns {Promise<string>} - Signed challenge token to send back with the code
+ */
+const startTwoFactorChallenge = async (user) => {
+    const challengeId = crypto.randomBytes(16).toString("hex");
+
+    user.twoFactor.challengeId = challengeId;
+    user.twoFactor.failedAttempts = 0;
+
+    if (user.twoFactor.method === "sms") {
+        await sendTwoFactorSms(user);
+    }
+    await user.save({ validateBeforeSave: false });
+
+    return jwt.sign(
+        { id: user._id, cid: challengeId, purpose: "2fa" },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+};
+
+/**
+ * Loads the user of a pending 2FA login challenge.
+ * 
+ * @param {string} challengeToken - Token returned by login
+ * @returns {Promise<Object|null>} - The user (with 2FA secret fields), or null when the challenge is invalid or used up
+ */
+const findChallengedUser = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    if (decoded.purpose !== "2fa" || !decoded.cid) return null;
+
+    const user = await User.findById(decoded.id).select(`${User.TWO_FACTOR_SECRET_FIELDS} ${LOGIN_LOCK_FIELDS}`);
+    if (!user || !user.twoFactor.enabled || user.twoFactor.challengeId !== decoded.cid) return null;
+
+    return user;
+};
+
+/**
+ * Starts a 2FA login challenge for the user and sends it instead of a session: in the response
+ * body, and in the challenge cookie for clients that don't keep it themselves.
+ * 
+ * @param {Object} user - The user document
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const sendTwoFactorChallenge = async (user, res) => {
+    const challengedUser = await User.findById(user._id).select(User.TWO_FACTOR_SECRET_FIELDS);
+    const challengeToken = await startTwoFactorChallenge(challengedUser);
+
+    setChallengeCookie(res, challengeToken);
+    res.status(200).json({
+        status: "success",
+        twoFactorRequired: true,
+        message: challengedUser.twoFactor.method === "sms"
+            ? "შესვლის კოდი გაიგზავნა ტელეფონზე!"
+            : "შეიყვანეთ კოდი ავთენტიფიკატორ აპლიკაციიდან!",
+        data: {
+            method: challengedUser.twoFactor.method,
+            challengeToken
+        }
+    });
+};
+
+/**
+ * Finishes a successful first login step (password, magic link, SMS code).
+ * 
+ * Users with two-factor authentication get a challenge to send with their second factor to
+ * POST /login/2fa; everyone else gets a session right away. The caller checks the account
+ * lockout (User.loginLockWait) before accepting the credential.
+ * 
+ * @param {Object} user - The user document, loaded with LOGIN_LOCK_FIELDS
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {AppError} When the user is blocked (see loginBlockedError) or hasn't verified the email
+ */
+const completeLogin = async (user, req, res) => {
+    // Suspended users don't get as far as the second factor
+    const blocked = loginBlockedError(user);
+    if (blocked) throw blocked;
+
+    if (!user.isEmailVerified) {
+        throw new AppError("გთხოვთ დაადასტუროთ email და ტელეფონის ნომერი", 400);
+    }
+
+    // Ask for the second factor before starting a session
+    if (user.twoFactor?.enabled) {
+        return sendTwoFactorChallenge(user, res);
+    }
+
+    // The failed login counter is only cleared once the login is complete
+    if (user.resetFailedLogins()) {
+        await user.save({ validateBeforeSave: false });
+    }
+
+    // Send JWT token and user data in response
+    await createSendToken(user, 200, req, res);
+};
+
+/**
+ * User Login Controller
+ * 
+ * Authenticates a user with email and password, and sends a JWT token upon successful login.
+ * When the user has two-factor authentication enabled, no session is started yet: the response
+ * carries a `challengeToken` to send with the second factor to POST /login/2fa.
+ * Repeated wrong passwords lock the account for a growing amount of time (see User.registerFailedLogin).
+ * 
+ * @route POST /api/v1/auth/login
+ * @access Public
+ */
+
+const login = catchAsync(async (req, res, next) => {
+    // Extract login credentials from request body
+    const { email, password } = req.body;
+
+    // Check if both email and password are provided
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+        return next(new AppError("გთხოვთ მიუთითოთ ელექტრონული ფოსტა და პაროლი", 400));
+    }
+
+    // Find user by email and explicitly select password and lockout fields
+    const user = await User.findOne({ email }).select(`+password ${LOGIN_LOCK_FIELDS}`);
+
+    // Don't check passwords while the account is locked
+    const lockWait = user?.loginLockWait();
+    if (lockWait) {
+        return next(accountLockedError(res, lockWait));
+    }
+
+    // Check if user exists and password is correct
+    if (!user || !(await user.correctPassword(password, user.password))) {
+        if (user) {
+            const lockedFor = user.registerFailedLogin();
+            await user.save({ validateBeforeSave: false });
+
+            if (lockedFor) {
+                return next(accountLockedError(res, lockedFor));
+            }
+        }
+        return next(new AppError("მომხმარებლის მონაცემები არასწორია", 401));
+    }
+
+    // Check if user verified email
+    // if(!user.isEmailVerified || !user.isPhoneVerified){
+    //     return next(new AppError("გთხოვთ დაადასტუროთ email და ტელეფონის ნომერი", 400));
     // }
 
-    // 5. Respond success
-    res.status(200).json({
-        status: "success",
-        message: "რეგისტრაცია წარმატებით დასრულდა! Email-ზე გამოგზავნილია დამადასტურებელი ლინკი და ტელეფონზე — კოდი.",
-    });
+    // completeLogin also checks that the email is verified
+    await completeLogin(user, req, res);
+});
+
+/**
+ * Magic Link Request Controller
+ * 
+ * Emails a one-time sign-in link (valid 15 minutes). The response is the same whether or not
+ * the email belongs to a user, so the endpoint can't be used to find registered emails.
+ * 
+ * @route POST /api/v1/users/login/magic-link
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing email in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestMagicLink = catchAsync(async (req, res, next) => {
+    const { email } = req.body || {};
+
+    if (typeof email !== "string" || !email) {
+        return next(new AppError("გთხოვთ მიუთითოთ ელექტრონული ფოსტა", 400));
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+        const loginToken = user.createLoginToken();
+        await user.save({ validateBeforeSave: false });
+
+        const loginURL = `${req.protocol}://${req.get('host')}/api/v1/users/login/magic-link/${loginToken}`;
+
+        const htmlContent = `
+            <div style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; background: #f7f7fa; padding: 40px 0;">
+                <div style="max-width: 480px; margin: 0 auto; background: #fff; border-radius: 16px; box-shadow: 0 4px 24px rgba(0,0,0,0.07); padding: 32px;">
+                    <h2 style="color: #2d2d6e; margin-bottom: 8px; text-align: center;">შესვლა Services.ge-ზე</h2>
+                    <p style="color: #444; font-size: 16px; margin-bottom: 24px;">
+                        გამარჯობა, <b>${user.name}</b>!<br>
+                        ანგარიშზე შესასვლელად დააჭირეთ ღილაკს. თუ თქვენ არ მოგითხოვიათ შესვლა, უგულებელყავით ეს წერილი.
+                    </p>
+                    <div style="text-align: center; margin-bottom: 24px;">
+                        <a href="${loginURL}" style="display: inline-block; background: linear-gradient(90deg, #6a82fb 0%, #fc5c7d 100%); color: #fff; text-decoration: none; font-size: 18px; padding: 14px 32px; border-radius: 8px; font-weight: bold;">
+                            შესვლა
+                        </a>
+                    </div>
+                    <p style="color: #888; font-size: 14px; margin-bottom: 0;">
+                        ბმული მოქმედებს 15 წუთის განმავლობაში და მისი გამოყენება შესაძლებელია მხოლოდ ერთხელ.
+                    </p>
+                </div>
+            </div>
+        `;
+
+        try {
+            await sendEmail({
+                to: user.email,
+                subject: "შესვლის ბმული (მოქმედებს 15 წუთი)",
+                htmlContent
+            });
+        } catch (err) {
+            user.loginToken = undefined;
+            user.loginTokenExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+
+            return next(new AppError("ელფოსტის გაგზავნისას მოხდა შეცდომა. გთხოვთ, სცადეთ მოგვიანებით!", 500));
+        }
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: "თუ ეს ელფოსტა რეგისტრირებულია, მასზე გაიგზავნა შესვლის ბმული!"
+    });
+});
+
+/**
+ * Magic Link Confirmation Page Controller
+ * 
+ * Opening the emailed link only shows a page with a sign-in button, which POSTs to the same URL.
+ * Mail scanners that prefetch links therefore can't use up the token.
+ * 
+ * @route GET /api/v1/users/login/magic-link/:token
+ * @access Public
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const magicLinkPage = (req, res) => {
+    res.status(200).type("html").send(`<!DOCTYPE html>
+<html lang="ka">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>შესვლა Services.ge-ზე</title>
+</head>
+<body style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; background: #f7f7fa; padding: 40px 0;">
+    <div style="max-width: 480px; margin: 0 auto; background: #fff; border-radius: 16px; box-shadow: 0 4px 24px rgba(0,0,0,0.07); padding: 32px; text-align: center;">
+        <h2 style="color: #2d2d6e; margin-bottom: 24px;">შესვლა Services.ge-ზე</h2>
+        <form method="POST">
+            <button type="submit" style="background: linear-gradient(90deg, #6a82fb 0%, #fc5c7d 100%); color: #fff; border: none; font-size: 18px; padding: 14px 32px; border-radius: 8px; font-weight: bold; cursor: pointer;">
+                შესვლა
+            </button>
+        </form>
+    </div>
+</body>
+</html>`);
+};
+
+/**
+ * Magic Link Login Controller
+ * 
+ * Signs the user in with the token from the emailed link (submitted from magicLinkPage). The token
+ * is consumed atomically, so a link works only once, and not while the account is locked.
+ * Using the link also proves the email address.
+ * 
+ * @route POST /api/v1/users/login/magic-link/:token
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing the sign-in token in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const magicLinkLogin = catchAsync(async (req, res, next) => {
+    const hashedToken = crypto.createHash("sha256").update(req.params.token).digest("hex");
+
+    const user = await User.findOne({ loginToken: hashedToken, loginTokenExpires: { $gt: Date.now() } })
+        .select(LOGIN_LOCK_FIELDS);
+
+    if (!user) {
+        return next(new AppError("შესვლის ბმული არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    // A locked account keeps its link, so it can still be used once the lock is over
+    const lockWait = user.loginLockWait();
+    if (lockWait) {
+        return next(accountLockedError(res, lockWait));
+    }
+
+    const consumed = await User.updateOne(
+        { _id: user._id, loginToken: hashedToken },
+        { $unset: { loginToken: 1, loginTokenExpires: 1 } }
+    );
+
+    if (consumed.modifiedCount === 0) {
+        return next(new AppError("შესვლის ბმული არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+    }
+
+    await completeLogin(user, req, res);
+});
+
+/**
+ * SMS Code Request Controller
+ * 
+ * Texts a one-time sign-in code (valid 5 minutes) to a verified phone number, at most one per minute.
+ * Unknown or unverified numbers get the same response, so registered numbers can't be discovered.
+ * The per-minute limit is enforced per phone number by the router (loginCodeCooldown), for every
+ * number alike; the account's own cooldown is only a backstop and never changes the response.
+ * 
+ * @route POST /api/v1/users/login/sms-code
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing phone in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestLoginCode = catchAsync(async (req, res, next) => {
+    const { phone } = req.body || {};
+
+    if (typeof phone !== "string" || !phone) {
+        return next(new AppError("გთხოვთ მიუთითოთ ტელეფონის ნომერი!", 400));
+    }
+
+    const user = await User.findOne({ phone, isPhoneVerified: true }).select("+loginCodeSentAt");
+
+    if (user && user.loginCodeResendWait() === 0) {
+        const loginCode = user.createLoginCode();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendSMS({
+                to: user.phone,
+                text: `Services.ge: თქვენი შესვლის კოდია ${loginCode}. კოდი მოქმედებს 5 წუთი. არავის გაუზიაროთ!`
+            });
+        } catch (err) {
+            console.error("SMS Error:", err);
+
+            user.loginCode = undefined;
+            user.loginCodeExpires = undefined;
+            user.loginCodeSentAt = undefined;
+            await user.save({ validateBeforeSave: false });
+
+            return next(new AppError("SMS ვერ გაიგზავნა. გთხოვთ, სცადეთ მოგვიანებით!", 500));
+        }
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: "თუ ეს ნომერი რეგისტრირებული და დადასტურებულია, მასზე გაიგზავნა შესვლის კოდი!"
+    });
+});
+
+/**
+ * SMS Code Login Controller
+ * 
+ * Signs the user in with the texted code. The code works once; after 5 wrong codes it is discarded
+ * and a new one has to be requested.
+ * 
+ * @route POST /api/v1/users/login/sms-code/verify
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing phone and code in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loginWithCode = catchAsync(async (req, res, next) => {
+    const { phone, code } = req.body || {};
+
+    if (typeof phone !== "string" || typeof code !== "string") {
+        return next(new AppError("გთხოვთ მიუთითოთ ტელეფონის ნომერი და კოდი!", 400));
+    }
+
+    const user = await User.findOne({ phone, isPhoneVerified: true })
+        .select(`+loginCode +loginCodeExpires +loginCodeAttempts ${LOGIN_LOCK_FIELDS}`);
+
+    if (!user) {
+        return next(new AppError("კოდი არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    // Don't check codes while the account is locked
+    const lockWait = user.loginLockWait();
+    if (lockWait) {
+        return next(accountLockedError(res, lockWait));
+    }
+
+    const result = user.checkLoginCode(code);
+    await user.save({ validateBeforeSave: false });
+
+    if (result === "too_many_attempts") {
+        return next(new AppError("ძალიან ბევრი არასწორი კოდი. გთხოვთ მოითხოვოთ ახალი კოდი!", 400));
+    }
+
+    if (result !== "valid") {
+        return next(new AppError("კოდი არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    await completeLogin(user, req, res);
+});
+
+/**
+ * Two-Factor Login Controller
+ * 
+ * Second step of a 2FA login. Accepts an authenticator (TOTP) code, the SMS code or a recovery code.
+ * After 5 wrong codes the challenge is discarded and the user has to log in again. Wrong codes
+ * also count as failed logins towards the account lockout.
+ * 
+ * @route POST /api/v1/users/login/2fa
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing challengeToken (or the challenge cookie of an OAuth sign-in) and code in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyLoginTwoFactor = catchAsync(async (req, res, next) => {
+    const challengeToken = challengeTokenFrom(req);
+    const { code } = req.body || {};
+
+    if (typeof challengeToken !== "string" || typeof code !== "string") {
+        return next(new AppError("გთხოვთ მიუთითოთ challengeToken და კოდი!", 400));
+    }
+
+    const user = await findChallengedUser(challengeToken);
+    if (!user) {
+        return next(new AppError("შესვლის სესიას ვადა გაუვიდა. გთხოვთ, შედით თავიდან!", 401));
+    }
+
+    const lockWait = user.loginLockWait();
+    if (lockWait) {
+        return next(accountLockedError(res, lockWait));
+    }
+
+    const factor = user.verifyTwoFactorCode(code);
+
+    if (!factor) {
+        const lockedFor = user.registerFailedLogin();
+        user.twoFactor.failedAttempts += 1;
+        if (lockedFor || user.twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+            user.twoFactor.challengeId = undefined;
+        }
+        await user.save({ validateBeforeSave: false });
+
+        if (lockedFor) {
+            return next(accountLockedError(res, lockedFor));
+        }
+        return next(new AppError("კოდი არასწორია!", 401));
+    }
+
+    // The challenge is single-use
+    user.twoFactor.challengeId = undefined;
+    user.twoFactor.failedAttempts = 0;
+    user.resetFailedLogins();
+    await user.save({ validateBeforeSave: false });
+
+    res.clearCookie(CHALLENGE_COOKIE, { path: CHALLENGE_COOKIE_PATH });
+    await createSendToken(user, 200, req, res);
 });
 
 /**
- * User Login Controller
+ * Two-Factor Login SMS Controller
  * 
- * Authenticates a user with email and password, and sends a JWT token upon successful login.
+ * Sends (or resends) the login code by SMS during a pending 2FA login. Also lets authenticator
+ * users fall back to SMS when their phone is verified. Limited to one SMS per minute.
  * 
- * @route POST /api/v1/auth/login
+ * @route POST /api/v1/users/login/2fa/sms
  * @access Public
+ * 
+ * @param {Object} req - Express request object, containing challengeToken in body (or the challenge cookie of an OAuth sign-in)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
+const sendLoginTwoFactorSms = catchAsync(async (req, res, next) => {
+    const challengeToken = challengeTokenFrom(req);
 
-const login = catchAsync(async (req, res, next) => {
-    // Extract login credentials from request body
-    const { email, password } = req.body;
-
-    // Check if both email and password are provided
-    if (!email || !password) {
-        return next(new AppError("გთხოვთ მიუთითოთ ელექტრონული ფოსტა და პაროლი", 400));
+    if (typeof challengeToken !== "string") {
+        return next(new AppError("გთხოვთ მიუთითოთ challengeToken!", 400));
     }
 
-    // Find user by email and explicitly select password field
-    const user = await User.findOne({ email }).select("+password");
-
-    // Check if user exists and password is correct
-    if (!user || !(await user.correctPassword(password, user.password))) {
-        return next(new AppError("მომხმარებლის მონაცემები არასწორია", 401));
+    const user = await findChallengedUser(challengeToken);
+    if (!user) {
+        return next(new AppError("შესვლის სესიას ვადა გაუვიდა. გთხოვთ, შედით თავიდან!", 401));
     }
 
-    // Check if user verified email
-    // if(!user.isEmailVerified || !user.isPhoneVerified){
-    //     return next(new AppError("გთხოვთ დაადასტუროთ email და ტელეფონის ნომერი", 400));
-    // }
+    if (!user.isPhoneVerified) {
+        return next(new AppError("SMS კოდის გასაგზავნად ტელეფონი უნდა იყოს დადასტურებული!", 400));
+    }
 
-    if(!user.isEmailVerified){
-        return next(new AppError("გთხოვთ დაადასტუროთ email და ტელეფონის ნომერი", 400));
+    const wait = user.twoFactorSmsWait();
+    if (wait > 0) {
+        res.set("Retry-After", String(wait));
+        return next(new AppError(`გთხოვთ სცადოთ ${wait} წამში!`, 429));
     }
 
+    try {
+        await sendTwoFactorSms(user);
+    } catch (err) {
+        console.error("SMS Error:", err);
+        return next(new AppError("SMS ვერ გაიგზავნა. გთხოვთ, სცადეთ მოგვიანებით!", 500));
+    }
+    await user.save({ validateBeforeSave: false });
 
-    // Send JWT token and user data in response
-    createSendToken(user, 200, res);
+    res.status(200).json({
+        status: "success",
+        message: "შესვლის კოდი გაიგზავნა ტელეფონზე!"
+    });
 });
 
 /**
  * Email Verification Controller
  * 
  * Verifies a user's email address using a token sent to their email. If the token is valid and not expired,
- * the user's email is marked as verified.
+ * the user's email is marked as verified. When the user asked to change their email (PATCH /updateMe),
+ * the new address replaces the old one at this point.
  * 
  * @route GET /api/v1/users/verify-email/:token
  * @access Public
@@ -201,10 +857,14 @@ const verifyEmail = catchAsync(async (req, res) => {
     const user = await User.findOne({
         emailVerificationToken: hashedToken,
         emailVerificationExpires: { $gt: Date.now() }
-    });
+    }).select("+emailVerificationToken +emailVerificationExpires");
 
     if (!user) return res.status(400).send("Token invalid or expired");
 
+    if (user.pendingEmail) {
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+    }
     user.isEmailVerified = true;
     user.emailVerificationToken = undefined;
     user.emailVerificationExpires = undefined;
@@ -217,7 +877,7 @@ const verifyEmail = catchAsync(async (req, res) => {
  * Phone Verification Controller
  * 
  * Verifies a user's phone number using a code sent via SMS. If the code is valid and not expired,
- * the user's phone is marked as verified.
+ * the user's phone is marked as verified. An expired code is discarded so a new one has to be requested.
  * 
  * @route POST /api/v1/users/verify-phone
  * @access Public
@@ -227,15 +887,42 @@ const verifyEmail = catchAsync(async (req, res) => {
  * @param {Function} next - Express next middleware function
  */
 const verifyPhone = catchAsync(async (req, res, next) => {
-    const { phone, code } = req.body;
+    const { phone, code } = req.body || {};
 
-    const user = await User.findOne({
-        phone,
-        phoneVerificationCode: code, 
-        phoneVerificationExpires: { $gt: Date.now() }
-    });
+    if (typeof phone !== "string" || typeof code !== "string") {
+        return next(new AppError("გთხოვთ მიუთითოთ ტელეფონის ნომერი და კოდი!", 400));
+    }
+
+    const user = await User.findOne({ phone }).select(User.PHONE_VERIFICATION_FIELDS);
+
+    if (!user) {
+        return next(new AppError("კოდი არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    if (user.isPhoneVerified) {
+        return next(new AppError("ტელეფონი უკვე დადასტურებულია!", 400));
+    }
+
+    const result = user.checkPhoneVerificationCode(code);
+
+    if (result === "too_many_attempts") {
+        await user.save({ validateBeforeSave: false });
+
+        return next(new AppError("ძალიან ბევრი არასწორი კოდი. გთხოვთ მოითხოვოთ ახალი კოდი!", 400));
+    }
+
+    if (result === "expired") {
+        user.phoneVerificationCode = undefined;
+        user.phoneVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return next(new AppError("კოდის ვადა გაუვიდა, გთხოვთ მოითხოვოთ ახალი კოდი!", 400));
+    }
+
+    if (result !== "valid") {
+        // Keep the wrong attempt count
+        await user.save({ validateBeforeSave: false });
 
-    if(!user) {
         return next(new AppError("კოდი არასწორია ან ვადა გაუვიდა!", 400));
     }
 
@@ -245,8 +932,102 @@ const verifyPhone = catchAsync(async (req, res, next) => {
 
     await user.save({ validateBeforeSave: false });
 
-    res.status(200).json("ტელეფონი წარმატებით დადასტურდა!");
-})
+    res.status(200).json({
+        status: "success",
+        message: "ტელეფონი წარმატებით დადასტურდა!"
+    });
+});
+
+/**
+ * Resend Phone Code Controller
+ * 
+ * Sends a new phone verification code by SMS to an unverified account. Sends are throttled per
+ * account (one per minute, at most five per hour) and per number by phoneCodeLimiter.
+ * The response is the same whether or not the number belongs to an unverified account, and
+ * whether or not the send was throttled, so the endpoint can't be used to look accounts up.
+ * 
+ * @route POST /api/v1/users/resend-phone-code
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing phone in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resendPhoneCode = catchAsync(async (req, res, next) => {
+    const { phone } = req.body || {};
+
+    if (typeof phone !== "string") {
+        return next(new AppError("გთხოვთ მიუთითოთ ტელეფონის ნომერი!", 400));
+    }
+
+    const user = await User.findOne({ phone });
+
+    if (user && !user.isPhoneVerified) {
+        try {
+            // A failed SMS is logged by sendPhoneVerificationCode
+            await sendPhoneVerificationCode(user);
+        } catch (err) {
+            if (err.statusCode !== 429) throw err;
+        }
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: "თუ ნომერი ეკუთვნის დაუდასტურებელ ანგარიშს, დადასტურების კოდი გაიგზავნა ტელეფონზე!"
+    });
+});
+
+/**
+ * Update Phone Controller
+ * 
+ * Sets the phone number of the authenticated user while it isn't verified yet (e.g. after signing
+ * in with Google/Facebook, which doesn't provide one) and sends a verification code to it.
+ * The code is then confirmed through POST /verify-phone. Sends are throttled like resend-phone-code.
+ * 
+ * @route PATCH /api/v1/users/phone
+ * @access Private
+ * 
+ * @param {Object} req - Express request object, containing phone in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updatePhone = catchAsync(async (req, res, next) => {
+    const { phone } = req.body || {};
+
+    if (typeof phone !== "string" || !phone) {
+        return next(new AppError("გთხოვთ მიუთითოთ ტელეფონის ნომერი!", 400));
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.isPhoneVerified) {
+        return next(new AppError("ტელეფონი უკვე დადასტურებულია!", 400));
+    }
+
+    const wait = user.phoneCodeResendWait();
+    if (wait > 0) {
+        res.set("Retry-After", String(wait));
+        return next(new AppError(`გთხოვთ სცადოთ ${wait} წამში!`, 429));
+    }
+
+    user.phone = phone;
+    const validationError = user.validateSync(["phone"]);
+    if (validationError) {
+        return next(new AppError(validationError.errors.phone.message, 400));
+    }
+
+    if (!(await sendPhoneVerificationCode(user))) {
+        return next(new AppError("SMS ვერ გაიგზავნა. გთხოვთ, სცადეთ მოგვიანებით!", 500));
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: "დადასტურების კოდი გაიგზავნა ტელეფონზე!",
+        data: {
+            user
+        }
+    });
+});
 
 /**
  * Role-based Access Restriction Middleware
@@ -299,34 +1080,32 @@ const checkVerified = (req, res, next) => {
 };
 
 /**
- * Forgot Password Controller
- * 
- * Handles password reset requests. Generates a password reset token for the user and sends it via email.
- * The token is valid for a limited time and allows the user to reset their password.
+ * Creates a password reset token for the user and emails the reset link.
  * 
- * @route POST /api/v1/auth/forgot-password
- * @access Public
+ * If the email can't be sent, the token is removed again.
  * 
- * @param {Object} req - Express request object, containing the user's email in body
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request object (used to build the link)
+ * @param {Object} [options]
+ * @param {boolean} [options.forced] - The reset was required by an admin, not asked for by the user
+ * @returns {Promise<void>}
+ * @throws {AppError} When the email can't be sent
  */
-const forgotPassword = catchAsync(async (req, res, next) => {
-    // 1) Get user based on POSTed email
-    const user = await User.findOne({ email: req.body.email });
-
-    if (!user) {
-        return next(new AppError('თქვენი შემოყვანილი ელფოსტით მომხმარებელი ვერ მოიძებნა!', 404));
-    }
-
-    // 2) Generate the random reset token
+const sendPasswordResetEmail = async (user, req, { forced = false } = {}) => {
+    // Generate the random reset token
     const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // 3) Send it back as email
+    // Send it as email
     const resetURL = `${req.protocol}://${req.get('host')}/reset-password.html?token=${resetToken}`;
 
-    const message = `დაგავიწყდათ პაროლი? გააგზავნეთ PATCH მოთხოვნა ახალი პაროლით და passwordConfirm-ით შემდეგ ბმულზე: ${resetURL}.\nთუ თქვენ არ დაგვიწყებიათ პაროლი, შეგიძლიათ უგულებელყოთ ეს წერილი!`;
+    const intro = forced
+        ? "ადმინისტრატორმა მოითხოვა თქვენი პაროლის შეცვლა. ახალი პაროლის დაყენებამდე ანგარიშში შესვლა შეუძლებელია."
+        : "მივიღეთ მოთხოვნა თქვენი პაროლის აღსადგენად.<br>\n                    თუ თქვენ არ დაგვიწყებიათ პაროლი, შეგიძლიათ უგულებელყოთ ეს წერილი.";
+
+    const message = forced
+        ? `ადმინისტრატორმა მოითხოვა თქვენი პაროლის შეცვლა. გააგზავნეთ PATCH მოთხოვნა ახალი პაროლით და passwordConfirm-ით შემდეგ ბმულზე: ${resetURL}.`
+        : `დაგავიწყდათ პაროლი? გააგზავნეთ PATCH მოთხოვნა ახალი პაროლით და passwordConfirm-ით შემდეგ ბმულზე: ${resetURL}.\nთუ თქვენ არ დაგვიწყებიათ პაროლი, შეგიძლიათ უგულებელყოთ ეს წერილი!`;
 
     // Beautiful HTML content in Georgian
     const htmlContent = `
@@ -338,8 +1117,7 @@ const forgotPassword = catchAsync(async (req, res, next) => {
                 </div>
                 <p style="color: #444; font-size: 16px; margin-bottom: 24px;">
                     გამარჯობა,<br>
-                    მივიღეთ მოთხოვნა თქვენი პაროლის აღსადგენად.<br>
-                    თუ თქვენ არ დაგვიწყებიათ პაროლი, შეგიძლიათ უგულებელყოთ ეს წერილი.
+                    ${intro}
                 </p>
                 <div style="text-align: center; margin-bottom: 24px;">
                     <a href="${resetURL}" style="display: inline-block; background: linear-gradient(90deg, #6a82fb 0%, #fc5c7d 100%); color: #fff; text-decoration: none; font-size: 18px; padding: 14px 32px; border-radius: 8px; font-weight: bold; box-shadow: 0 2px 8px rgba(108, 99, 255, 0.12); transition: background 0.2s;">
@@ -372,9 +1150,34 @@ const forgotPassword = catchAsync(async (req, res, next) => {
         await user.save({ validateBeforeSave: false });
 
         console.error(err);
-        return next(new AppError('ელფოსტის გაგზავნისას მოხდა შეცდომა. გთხოვთ, სცადეთ მოგვიანებით!', 500));
+        throw new AppError('ელფოსტის გაგზავნისას მოხდა შეცდომა. გთხოვთ, სცადეთ მოგვიანებით!', 500);
+    }
+};
+
+/**
+ * Forgot Password Controller
+ * 
+ * Handles password reset requests. Generates a password reset token for the user and sends it via email.
+ * The token is valid for a limited time and allows the user to reset their password.
+ * 
+ * @route POST /api/v1/auth/forgot-password
+ * @access Public
+ * 
+ * @param {Object} req - Express request object, containing the user's email in body
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forgotPassword = catchAsync(async (req, res, next) => {
+    // 1) Get user based on POSTed email
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user) {
+        return next(new AppError('თქვენი შემოყვანილი ელფოსტით მომხმარებელი ვერ მოიძებნა!', 404));
     }
 
+    // 2) Generate the reset token and send it by email
+    await sendPasswordResetEmail(user, req);
+
     res.status(200).json({
         status: 'success',
         message: 'ტოკენი გაიგზავნა ელფოსტაზე!'
@@ -385,7 +1188,8 @@ const forgotPassword = catchAsync(async (req, res, next) => {
  * Password Reset Controller
  * 
  * Resets the user's password using a valid reset token. If the token is valid and not expired,
- * updates the user's password and logs them in by sending a new JWT token.
+ * updates the user's password and logs them in by sending a new JWT token. Users with two-factor
+ * authentication get a login challenge instead, to complete through POST /login/2fa.
  * 
  * @route PATCH /api/v1/auth/reset-password/:token
  * @access Public
@@ -398,13 +1202,10 @@ const resetPassword = catchAsync(async (req, res, next) => {
     // 1) Get user based on the token
     const { password, passwordConfirm } = req.body;
 
-    console.log(req.params.token)
-
     const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
 
-    const user = await User.findOne({ passwordResetToken: hashedToken, passwordResetExpires: { $gte: Date.now() } });
-
-    console.log(user)
+    const user = await User.findOne({ passwordResetToken: hashedToken, passwordResetExpires: { $gte: Date.now() } })
+        .select(`+passwordResetToken +passwordResetExpires ${LOGIN_LOCK_FIELDS}`);
 
     // 2) If token has not expired and there is a user, set the new password
 
@@ -416,10 +1217,24 @@ const resetPassword = catchAsync(async (req, res, next) => {
     user.passwordConfirm = passwordConfirm;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    // Owning the mailbox proves the account holder, so a login lockout ends here
+    user.resetFailedLogins();
+    user.passwordResetRequired = false;
     await user.save();
 
-    // 3) Log the user in, send JWT
-    createSendToken(user, 200, res);
+    // 3) End every existing session, the password may have been compromised
+    await Session.revokeAllForUser(user._id, "password_reset");
+
+    // 4) Log the user in, send JWT. The reset link only replaces the password: users with
+    // two-factor authentication still have to pass the second factor first.
+    if (user.twoFactor?.enabled) {
+        const blocked = loginBlockedError(user);
+        if (blocked) return next(blocked);
+
+        return sendTwoFactorChallenge(user, res);
+    }
+
+    await createSendToken(user, 200, req, res);
 });
 
 /**
@@ -449,9 +1264,214 @@ const updatePassword = catchAsync(async (req, res, next) => {
     user.passwordConfirm = req.body.passwordConfirm;
     await user.save();
 
-    createSendToken(user, 200, res);
+    // 4) End every session (including this one) and log the user in again
+    await Session.revokeAllForUser(user._id, "password_change");
+    await createSendToken(user, 200, req, res);
+});
+
+/**
+ * Looks up the session a refresh token belongs to.
+ * 
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<{ session: Object|null, reused: boolean }>} - reused is true when the token was already rotated
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+    const hash = Session.hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: hash }).select("+refreshTokenHash +previousTokenHash");
+    if (session) return { session, reused: false };
+
+    const rotated = await Session.findOne({ previousTokenHash: hash }).select("+refreshTokenHash +previousTokenHash");
+    return { session: rotated, reused: Boolean(rotated) };
+};
+
+/**
+ * Refresh Token Controller
+ * 
+ * Issues a new access token and rotates the refresh token. Presenting a refresh token that was
+ * already rotated means it leaked, so the whole session is revoked. Suspended users and users
+ * who have to reset their password get no new tokens (see loginBlockedError).
+ * 
+ * @route POST /api/v1/users/refresh
+ * @access Public (requires the refreshToken cookie, or refreshToken in body for non-browser clients)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const refresh = catchAsync(async (req, res, next) => {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    if (typeof refreshToken !== "string" || !refreshToken) {
+        return next(new AppError("თქვენ არ ხართ ავტორიზირებული!", 401));
+    }
+
+    const { session, reused } = await findSessionByRefreshToken(refreshToken);
+
+    if (session && reused) {
+        session.revoke("refresh_token_reuse");
+        await session.save();
+    }
+
+    if (!session || reused || !session.isActive()) {
+        clearAuthCookies(res);
+        return next(new AppError("სესია დასრულებულია. გთხოვთ, შედით თავიდან!", 401));
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+        clearAuthCookies(res);
+        return next(new AppError("მომხმარებელი არ არსებობს!", 401));
+    }
+
+    // Sessions started before the last password change can't be refreshed
+    if (user.changedPasswordAfter(Math.floor(session.createdAt.getTime() / 1000))) {
+        session.revoke("password_change");
+        await session.save();
+        clearAuthCookies(res);
+        return next(new AppError("პაროლი ცოტა ხნის წინ შეიცვალა. გთხოვთ, შედით თავიდან!", 401));
+    }
+
+    // Suspended users, and users who have to reset their password, don't get new tokens
+    const blocked = loginBlockedError(user);
+    if (blocked) {
+        clearAuthCookies(res);
+        return next(blocked);
+    }
+
+    // Rotate the refresh token and record where it was used from. Only the first of several
+    // concurrent refreshes with the same token wins; the others count as token reuse.
+    const rotated = await Session.rotate(session._id, refreshToken, req.ip);
+    if (!rotated) {
+        await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: Date.now(), revokedReason: "refresh_token_reuse" });
+        clearAuthCookies(res);
+        return next(new AppError("სესია დასრულებულია. გთხოვთ, შედით თავიდან!", 401));
+    }
+
+    setAuthCookies(res, signToken(user._id, session._id), rotated.refreshToken);
+
+    res.status(200).json({
+        status: "success",
+        data: { user }
+    });
+});
+
+/**
+ * Logout Controller
+ * 
+ * Revokes the current session and clears the auth cookies. Works with an expired access token,
+ * since the session is found through the refresh token (or the session ID inside the access token).
+ * 
+ * @route POST /api/v1/users/logout
+ * @access Public
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logout = catchAsync(async (req, res) => {
+    let session = null;
+
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (typeof refreshToken === "string" && refreshToken) {
+        ({ session } = await findSessionByRefreshToken(refreshToken));
+    }
+
+    if (!session && req.cookies?.token) {
+        try {
+            const decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET, { ignoreExpiration: true });
+            if (decoded.sid) session = await Session.findById(decoded.sid);
+        } catch (err) {
+            // Invalid token: nothing to revoke, the cookies are cleared anyway
+        }
+    }
+
+    if (session && !session.revokedAt) {
+        session.revoke("logout");
+        await session.save();
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+        status: "success",
+        message: "თქვენ წარმატებით გამოხვედით სისტემიდან!"
+    });
+});
+
+/**
+ * Sessions List Controller
+ * 
+ * Lists the active sessions (devices) of the authenticated user.
+ * 
+ * @route GET /api/v1/users/sessions
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = catchAsync(async (req, res) => {
+    const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: Date.now() }
+    }).sort("-lastSeenAt");
+
+    res.status(200).json({
+        status: "success",
+        results: sessions.length,
+        data: {
+            sessions: sessions.map((session) => ({
+                id: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: session._id.toString() === req.authSession._id.toString()
+            }))
+        }
+    });
+});
+
+/**
+ * Revoke Session Controller
+ * 
+ * Ends one of the authenticated user's sessions (e.g. a lost phone). Revoking the current
+ * session also clears the auth cookies.
+ * 
+ * @route DELETE /api/v1/users/sessions/:id
+ * @access Private
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const revokeSession = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სესიის ID!", 400));
+    }
+
+    const session = await Session.findOne({ _id: id, userId: req.user._id, revokedAt: null });
+
+    if (!session) {
+        return next(new AppError("სესია ვერ მოიძებნა!", 404));
+    }
+
+    session.revoke("revoked_by_user");
+    await session.save();
+
+    if (session._id.toString() === req.authSession._id.toString()) {
+        clearAuthCookies(res);
+    }
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
 });
  
 
 // Export authentication controller functions
-module.exports = { signup, login, verifyEmail, verifyPhone, restrictTo, checkVerified, forgotPassword, resetPassword, updatePassword };
\ No newline at end of file
+module.exports = { signup, sendVerificationEmail, sendPhoneVerificationCode, clearAuthCookies, login, requestMagicLink, magicLinkPage, magicLinkLogin, requestLoginCode, loginWithCode, verifyLoginTwoFactor, sendLoginTwoFactorSms, sendTwoFactorSms, loginBlockedError, startSession, startTwoFactorChallenge, setChallengeCookie, TWO_FACTOR_MAX_ATTEMPTS, verifyEmail, verifyPhone, resendPhoneCode, updatePhone, restrictTo, checkVerified, sendPasswordResetEmail, forgotPassword, resetPassword, updatePassword, refresh, logout, getSessions, revokeSession };
\ No newline at end of file
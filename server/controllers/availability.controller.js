@@ -0,0 +1,150 @@
+/**
+ * @file availability.controller.js
+ * @description Controller functions for a service's working schedule and its open time slots.
+ * All wall-clock times are in the Asia/Tbilisi time zone.
+ * @author Luka Tskhvaradze
+ */
+
+const Availability = require("../models/availability.model");
+const Service = require("../models/service.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { can } = require("../utils/permissions");
+const { getOpenSlots } = require("../helpers/availableSlots");
+const { toZonedDate, toZonedTime } = require("../utils/timezone");
+
+// Longest date range a client can request slots for
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * @desc    Retrieve the working schedule of a service
+ * @route   GET /api/v1/services/:id/availability
+ * @access  Public
+ */
+const getAvailability = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const availability = await Availability.findOne({ serviceId: id }).select("-__v");
+
+    if (!availability) {
+        return next(new AppError("სერვისს განრიგი არ აქვს გამოქვეყნებული!", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            availability
+        }
+    });
+});
+
+/**
+ * @desc    Create or replace the working schedule of a service (slotMinutes is kept when left out)
+ * @route   PUT /api/v1/services/:id/availability
+ * @access  Protected (service:schedule - the service's provider, or an admin)
+ *
+ * @example
+ * {
+ *   "slotMinutes": 60,
+ *   "weeklyRules": [{ "day": 1, "intervals": [{ "start": "09:00", "end": "13:00" }, { "start": "14:00", "end": "18:00" }] }],
+ *   "exceptions": [{ "date": "2025-10-14", "closed": true, "note": "სვეტიცხოვლობა" }]
+ * }
+ */
+const setAvailability = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const service = await Service.findById(id);
+    if (!service) {
+        return next(new AppError("ვერ მოიძებნა სერვისი!", 404));
+    }
+
+    if (!can(req.user, "service:schedule", service)) {
+        return next(new AppError("თქვენ არ გაქვთ ამ სერვისის განრიგის შეცვლის უფლება!", 403));
+    }
+
+    const { slotMinutes, weeklyRules, exceptions } = req.body || {};
+
+    let availability = await Availability.findOne({ serviceId: service._id });
+    if (!availability) {
+        availability = new Availability({ serviceId: service._id, providerId: service.providerID });
+    }
+
+    availability.set({ weeklyRules: weeklyRules || [], exceptions: exceptions || [] });
+    // Left out, the slot length stays as it was (or the schema default for a new schedule)
+    if (slotMinutes !== undefined) {
+        availability.slotMinutes = slotMinutes;
+    }
+    await availability.save();
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            availability
+        }
+    });
+});
+
+/**
+ * @desc    List open (bookable) slots of a service between two local dates
+ * @route   GET /api/v1/services/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Public
+ *
+ * `from` defaults to today and `to` to `from` + 6 days (Asia/Tbilisi dates). At most 31 days per request.
+ */
+const getSlots = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const isDate = (value) => typeof value === "string" && dateRegex.test(value) && !Number.isNaN(Date.parse(value));
+
+    const from = req.query.from ?? toZonedDate(new Date());
+    if (!isDate(from)) {
+        return next(new AppError("თარიღები უნდა იყოს YYYY-MM-DD ფორმატში!", 400));
+    }
+
+    const to = req.query.to ?? new Date(Date.parse(from) + 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!isDate(to)) {
+        return next(new AppError("თარიღები უნდა იყოს YYYY-MM-DD ფორმატში!", 400));
+    }
+
+    // Counted arithmetically: the dates are only listed once the range is known to be small
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > MAX_SLOT_RANGE_DAYS) {
+        return next(new AppError(`თარიღების შუალედი უნდა იყოს 1-დან ${MAX_SLOT_RANGE_DAYS} დღემდე!`, 400));
+    }
+
+    const availability = await Availability.findOne({ serviceId: id });
+    if (!availability) {
+        return next(new AppError("სერვისს განრიგი არ აქვს გამოქვეყნებული!", 404));
+    }
+
+    const slots = (await getOpenSlots(availability, from, to)).map(({ start, end }) => ({
+        start,
+        end,
+        date: toZonedDate(start, availability.timezone),
+        time: toZonedTime(start, availability.timezone)
+    }));
+
+    res.status(200).json({
+        status: "success",
+        results: slots.length,
+        timezone: availability.timezone,
+        data: {
+            slots
+        }
+    });
+});
+
+module.exports = { getAvailability, setAvailability, getSlots };
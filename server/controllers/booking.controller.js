@@ -0,0 +1,305 @@
+/**
+ * @file booking.controller.js
+ * @description Controller functions for Booking resources: placing orders, customer/provider views
+ * and lifecycle transitions (requested → accepted/declined → in_progress → completed, or cancelled).
+ * @author Luka Tskhvaradze
+ */
+
+const Availability = require("../models/availability.model");
+const Booking = require("../models/booking.model");
+const Service = require("../models/service.model");
+const APIFeatures = require("../utils/APIFeatures");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { can } = require("../utils/permissions");
+const { checkSlot, withScheduleLock } = require("../helpers/availableSlots");
+
+// What clients may filter, sort and select when listing bookings
+const BOOKING_QUERY_OPTIONS = {
+    filterable: {
+        status: "string",
+        serviceId: "objectId",
+        scheduledAt: "date",
+        createdAt: "date"
+    },
+    sortable: ["createdAt", "updatedAt", "scheduledAt"],
+    selectable: ["serviceId", "customerId", "providerId", "status", "price", "scheduledAt", "scheduledEnd", "address", "note", "completedAt", "createdAt", "updatedAt"]
+};
+
+/**
+ * Checks whether the user is the customer or the provider of a booking.
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {{ isCustomer: boolean, isProvider: boolean }}
+ */
+const participation = (booking, user) => ({
+    isCustomer: booking.customerId.toString() === user._id.toString(),
+    isProvider: booking.providerId.toString() === user._id.toString()
+});
+
+/**
+ * @desc    Place a booking on a service
+ * @route   POST /api/v1/bookings
+ * @access  Protected (customer only)
+ *
+ * When the service publishes availability, `scheduledAt` is required and must be the
+ * start of an open slot (see GET /api/v1/services/:id/slots); the slot is then reserved.
+ */
+const createBooking = catchAsync(async (req, res, next) => {
+    const { serviceId, scheduledAt, address, note } = req.body;
+
+    if (!serviceId || serviceId.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const service = await Service.findById(serviceId);
+    if (!service) {
+        return next(new AppError("ვერ მოიძებნა სერვისი!", 404));
+    }
+
+    if (service.providerID.toString() === req.user._id.toString()) {
+        return next(new AppError("საკუთარ სერვისზე შეკვეთის გაკეთება შეუძლებელია!", 400));
+    }
+
+    const bookingData = {
+        serviceId: service._id,
+        customerId: req.user._id,
+        providerId: service.providerID,
+        price: service.price,
+        scheduledAt,
+        address,
+        note
+    };
+
+    const availability = await Availability.findOne({ serviceId: service._id });
+    if (availability) {
+        const start = new Date(scheduledAt);
+        if (!scheduledAt || Number.isNaN(start.getTime())) {
+            return next(new AppError("გთხოვთ აირჩიოთ თავისუფალი დრო (scheduledAt)!", 400));
+        }
+
+        bookingData.scheduledAt = start;
+        bookingData.slotKey = `${service.providerID}:${start.toISOString()}`;
+    }
+
+    const slotTaken = new AppError("არჩეული დრო დაკავებულია ან პროვაიდერი ამ დროს არ მუშაობს!", 409);
+    const insert = async () => {
+        try {
+            return await Booking.create(bookingData);
+        } catch (err) {
+            // Another booking took the same slot between the check and the insert
+            if (err.code === 11000 && err.keyValue?.slotKey) throw slotTaken;
+            throw err;
+        }
+    };
+
+    let booking;
+    if (availability) {
+        // The slot check and the insert run under the provider's schedule lock,
+        // so overlapping bookings with different start times can't both get through
+        booking = await withScheduleLock(service.providerID, async () => {
+            const slot = await checkSlot(availability, bookingData.scheduledAt);
+            if (!slot.open) throw slotTaken;
+
+            bookingData.scheduledEnd = slot.end;
+            return insert();
+        });
+    } else {
+        booking = await insert();
+    }
+    booking.slotKey = undefined;
+
+    res.status(201).json({
+        status: "success",
+        data: {
+            booking
+        }
+    });
+});
+
+/**
+ * Builds a handler listing the bookings where the authenticated user has the given side.
+ * @param {"customerId"|"providerId"} side - Field matched against req.user._id
+ * @param {string} populatePath - Counterpart to populate ("providerId" for customers, "customerId" for providers)
+ * @returns {Function} Express handler
+ */
+const listBookings = (side, populatePath) => catchAsync(async (req, res, next) => {
+    const query = Booking.find({ [side]: req.user._id })
+        .populate("serviceId", "title price images")
+        .populate(populatePath, "name profileImage");
+
+    const features = new APIFeatures(query, req.query, BOOKING_QUERY_OPTIONS)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: bookings, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: "success",
+        results: bookings.length,
+        ...pagination,
+        data: {
+            bookings
+        }
+    });
+});
+
+/**
+ * @desc    Bookings placed by the authenticated customer
+ * @route   GET /api/v1/bookings/customer
+ * @access  Protected (customer only)
+ */
+const getCustomerBookings = listBookings("customerId", "providerId");
+
+/**
+ * @desc    Bookings received by the authenticated provider
+ * @route   GET /api/v1/bookings/provider
+ * @access  Protected (provider only)
+ */
+const getProviderBookings = listBookings("providerId", "customerId");
+
+/**
+ * @desc    Retrieve a single booking
+ * @route   GET /api/v1/bookings/:id
+ * @access  Protected (booking customer, booking provider, admin, moderator)
+ */
+const getBooking = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი შეკვეთის ID!", 400));
+    }
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+        return next(new AppError("შეკვეთა ვერ მოიძებნა!", 404));
+    }
+
+    // Checked before populating: a deactivated customer or provider populates to null
+    if (!can(req.user, "booking:read", booking)) {
+        return next(new AppError("თქვენ არ გაქვთ ამ შეკვეთის ნახვის უფლება!", 403));
+    }
+
+    await booking.populate([
+        { path: "serviceId", select: "title price images" },
+        { path: "customerId", select: "name profileImage" },
+        { path: "providerId", select: "name profileImage" }
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            booking
+        }
+    });
+});
+
+/**
+ * Builds a handler moving a booking to `status`.
+ *
+ * The update is conditional on the current status, so two concurrent requests
+ * (e.g. provider accepts while customer cancels) can't both succeed.
+ *
+ * @param {string} status - Target status
+ * @param {Object} allowed - Who may perform the transition
+ * @param {boolean} [allowed.customer=false] - The booking's customer
+ * @param {boolean} [allowed.provider=false] - The booking's provider (Service.providerID)
+ * @returns {Function} Express handler
+ */
+const changeStatus = (status, { customer = false, provider = false }) => catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი შეკვეთის ID!", 400));
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+        return next(new AppError("შეკვეთა ვერ მოიძებნა!", 404));
+    }
+
+    const { isCustomer, isProvider } = participation(booking, req.user);
+    if (!((customer && isCustomer) || (provider && isProvider))) {
+        return next(new AppError("თქვენ არ გაქვთ ამ შეკვეთის სტატუსის შეცვლის უფლება!", 403));
+    }
+
+    if (!booking.canTransitionTo(status)) {
+        return next(new AppError(`შეკვეთის სტატუსის შეცვლა "${booking.status}"-დან "${status}"-ზე შეუძლებელია!`, 400));
+    }
+
+    const update = {
+        $set: { status },
+        $push: { statusHistory: { status, changedBy: req.user._id, reason: req.body?.reason, at: Date.now() } }
+    };
+    if (status === "completed") update.$set.completedAt = Date.now();
+    // Declined and cancelled bookings give their time slot back
+    if (["declined", "cancelled"].includes(status)) update.$unset = { slotKey: 1 };
+
+    const updatedBooking = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: { $in: Booking.statusesLeadingTo(status) } },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    if (!updatedBooking) {
+        return next(new AppError("შეკვეთის სტატუსი უკვე შეიცვალა, გთხოვთ განაახლოთ გვერდი!", 409));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            booking: updatedBooking
+        }
+    });
+});
+
+/**
+ * @desc    Provider accepts a requested booking
+ * @route   PATCH /api/v1/bookings/:id/accept
+ * @access  Protected (the service's provider only)
+ */
+const acceptBooking = changeStatus("accepted", { provider: true });
+
+/**
+ * @desc    Provider declines a requested booking (optional `reason` in body)
+ * @route   PATCH /api/v1/bookings/:id/decline
+ * @access  Protected (the service's provider only)
+ */
+const declineBooking = changeStatus("declined", { provider: true });
+
+/**
+ * @desc    Provider starts working on an accepted booking
+ * @route   PATCH /api/v1/bookings/:id/start
+ * @access  Protected (the service's provider only)
+ */
+const startBooking = changeStatus("in_progress", { provider: true });
+
+/**
+ * @desc    Provider marks a booking in progress as completed
+ * @route   PATCH /api/v1/bookings/:id/complete
+ * @access  Protected (the service's provider only)
+ */
+const completeBooking = changeStatus("completed", { provider: true });
+
+/**
+ * @desc    Customer or provider cancels a requested/accepted booking (optional `reason` in body)
+ * @route   PATCH /api/v1/bookings/:id/cancel
+ * @access  Protected (booking customer or provider)
+ */
+const cancelBooking = changeStatus("cancelled", { customer: true, provider: true });
+
+// Export controller functions for use in routes
+module.exports = {
+    createBooking,
+    getCustomerBookings,
+    getProviderBookings,
+    getBooking,
+    acceptBooking,
+    declineBooking,
+    startBooking,
+    completeBooking,
+    cancelBooking
+};
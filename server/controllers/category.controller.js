@@ -0,0 +1,193 @@
+/**
+ * @file category.controller.js
+ * @description Controller functions for the service category taxonomy: the public category tree
+ * with service counts, and admin create/update/delete.
+ * @author Luka Tskhvaradze
+ */
+
+const Category = require("../models/category.model");
+const Service = require("../models/service.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+
+// Fields an admin may set on a category
+const EDITABLE_FIELDS = ["slug", "icon", "parent", "order"];
+
+/**
+ * Checks that a parent category exists and wouldn't make the tree circular.
+ *
+ * @async
+ * @param {*} parent - Requested parent ID (null for a top-level category)
+ * @param {Object} [category] - The category being moved (when updating)
+ * @throws {AppError} 400 when the parent is invalid, missing, or inside the category's own subtree
+ */
+const checkParent = async (parent, category) => {
+    if (parent === null) return;
+
+    if (typeof parent !== "string" || parent.length !== 24) {
+        throw new AppError("არასწორი მშობელი კატეგორიის ID!", 400);
+    }
+
+    if (!(await Category.exists({ _id: parent }))) {
+        throw new AppError("მშობელი კატეგორია ვერ მოიძებნა!", 400);
+    }
+
+    if (category) {
+        const subtree = await Category.subtreeIds(category._id);
+        if (subtree.some((id) => id.toString() === parent)) {
+            throw new AppError("კატეგორია ვერ გადავა საკუთარ ქვეკატეგორიაში!", 400);
+        }
+    }
+};
+
+/**
+ * Copies the editable fields from the request body onto a category document.
+ * `name` may be partial, e.g. { en: "Plumbing" } only changes the English name.
+ *
+ * @param {Object} category - Category document
+ * @param {Object} body - req.body
+ */
+const applyChanges = (category, body) => {
+    if (body.name && typeof body.name === "object") {
+        if (body.name.ka !== undefined) category.set("name.ka", body.name.ka);
+        if (body.name.en !== undefined) category.set("name.en", body.name.en);
+    }
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) category.set(field, body[field]);
+    }
+};
+
+/**
+ * @desc    Category tree with the number of services in every category (including its subcategories)
+ * @route   GET /api/v1/categories
+ * @access  Public
+ *
+ * @example
+ * // Response data
+ * { "categories": [{ "_id": "...", "name": { "ka": "სახლის რემონტი", "en": "Home Repair" }, "slug": "home-repair",
+ *   "icon": "hammer", "serviceCount": 12, "children": [{ ..., "slug": "plumbing", "serviceCount": 5, "children": [] }] }] }
+ */
+const getCategories = catchAsync(async (req, res, next) => {
+    const [categories, counts] = await Promise.all([
+        Category.find().select("name slug icon parent order").sort("order name.ka").lean(),
+        Service.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }])
+    ]);
+
+    const ownCounts = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const nodes = new Map(categories.map((category) => [
+        String(category._id),
+        { ...category, serviceCount: ownCounts.get(String(category._id)) || 0, children: [] }
+    ]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    }
+
+    // Add every subtree's services to its root
+    const sumCounts = (node) => {
+        node.serviceCount += node.children.reduce((sum, child) => sum + sumCounts(child), 0);
+        return node.serviceCount;
+    };
+    roots.forEach(sumCounts);
+
+    res.status(200).json({
+        status: "success",
+        results: categories.length,
+        data: {
+            categories: roots
+        }
+    });
+});
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/v1/categories
+ * @body    { name: { ka, en }, slug?, icon?, parent?, order? }
+ * @access  Protected (category:manage)
+ */
+const createCategory = catchAsync(async (req, res, next) => {
+    const body = req.body || {};
+
+    if (body.parent !== undefined) await checkParent(body.parent);
+
+    const category = new Category();
+    applyChanges(category, body);
+    await category.save();
+
+    res.status(201).json({
+        status: "success",
+        data: {
+            category
+        }
+    });
+});
+
+/**
+ * @desc    Update a category (names, slug, icon, order, or move it under another parent)
+ * @route   PATCH /api/v1/categories/:id
+ * @body    { name?: { ka?, en? }, slug?, icon?, parent?, order? }
+ * @access  Protected (category:manage)
+ */
+const updateCategory = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი კატეგორიის ID!", 400));
+    }
+
+    const category = await Category.findById(id);
+    if (!category) {
+        return next(new AppError("კატეგორია ვერ მოიძებნა!", 404));
+    }
+
+    if (body.parent !== undefined) await checkParent(body.parent, category);
+
+    applyChanges(category, body);
+    await category.save();
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            category
+        }
+    });
+});
+
+/**
+ * @desc    Delete a category. Only empty categories (no subcategories, no services) can be deleted.
+ * @route   DELETE /api/v1/categories/:id
+ * @access  Protected (category:manage)
+ */
+const deleteCategory = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი კატეგორიის ID!", 400));
+    }
+
+    const category = await Category.findById(id);
+    if (!category) {
+        return next(new AppError("კატეგორია ვერ მოიძებნა!", 404));
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+        return next(new AppError("კატეგორიას აქვს ქვეკატეგორიები. ჯერ წაშალეთ ან გადაიტანეთ ისინი!", 400));
+    }
+
+    if (await Service.exists({ category: category._id })) {
+        return next(new AppError("კატეგორიაში არის სერვისები. ჯერ გადაიტანეთ ისინი სხვა კატეგორიაში!", 400));
+    }
+
+    await Category.findByIdAndDelete(category._id);
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+module.exports = { getCategories, createCategory, updateCategory, deleteCategory };
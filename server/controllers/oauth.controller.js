@@ -0,0 +1,401 @@
+/**
+ * @file oauth.controller.js
+ * @description Controller functions for "Sign in with Google / Facebook".
+ *
+ * The browser is sent to the provider and comes back to the callback, which finds the user by the
+ * linked provider account, links the account to an existing user with the same (provider-verified)
+ * email, or creates a new user. When the provider doesn't verify emails (Facebook), linking to an
+ * existing user is confirmed through a link emailed to that user instead.
+ * The browser is then redirected to the client at `${CLIENT_URL}/oauth/complete` with one of:
+ * - `?status=success&needsPhone=true|false` — session cookies are set; when needsPhone is true the
+ *   client should ask for the phone number (PATCH /api/v1/users/phone)
+ * - `?status=two_factor&method=totp|sms` — the challenge token is set as an httpOnly cookie sent to
+ *   POST /api/v1/users/login/2fa (and /login/2fa/sms), so the client continues there without it
+ * - `?status=link_pending&message=...` — a link confirmation was emailed to the existing user
+ * - `?status=error&message=...`
+ *
+ * @author Luka Tskhvaradze
+ */
+
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const sendEmail = require("../utils/email");
+const { escapeHTML } = require("../utils/georgianSearch");
+const { getProvider, createLoginAttempt, buildAuthorizationURL, fetchProfile } = require("../utils/oauth");
+const { sendVerificationEmail, loginBlockedError, startSession, startTwoFactorChallenge, setChallengeCookie } = require("./auth.controller");
+
+// The state cookie only travels to the OAuth routes, and a login attempt must finish within 10 minutes
+const STATE_COOKIE = "oauth_state";
+const STATE_COOKIE_PATH = "/api/v1/users/oauth";
+const LOGIN_ATTEMPT_TTL = 10 * 60;
+// An emailed link confirmation is valid for 1 hour
+const LINK_CONFIRMATION_TTL = 60 * 60;
+
+// Names shown to users
+const PROVIDER_LABELS = { google: "Google", facebook: "Facebook" };
+
+// Matches deactivated accounts too, which the User find hook hides by default
+const ANY_ACTIVE_STATE = { $in: [true, false, null] };
+
+/**
+ * Builds the callback URL registered at the provider.
+ * @param {Object} req - Express request object
+ * @param {string} providerName
+ * @returns {string}
+ */
+const callbackURL = (req, providerName) => {
+    const base = process.env.OAUTH_REDIRECT_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    return `${base}/api/v1/users/oauth/${providerName}/callback`;
+};
+
+/**
+ * Redirects the browser back to the client with the result of the sign-in.
+ * @param {Object} res - Express response object
+ * @param {Object} params - Query parameters (status, ...)
+ */
+const redirectToClient = (res, params) => {
+    res.redirect(`${process.env.CLIENT_URL || ""}/oauth/complete?${new URLSearchParams(params)}`);
+};
+
+/**
+ * Rejects deactivated accounts (DELETE /deleteMe), which can't sign in.
+ * @param {Object} user - User document loaded with `active`
+ * @returns {Object} - The same user
+ * @throws {AppError} 403 when the account is deactivated
+ */
+const checkActive = (user) => {
+    if (user.active === false) {
+        throw new AppError("ანგარიში გაუქმებულია!", 403);
+    }
+    return user;
+};
+
+/**
+ * Links a provider account to a user. If the user had never verified the email, its password was
+ * set by someone who didn't prove owning the mailbox, so the password is removed and its sessions
+ * are ended. The caller has checked that the provider account belongs to the mailbox.
+ *
+ * @async
+ * @param {Object} user - User document loaded with the password
+ * @param {Object} account - { provider, providerId, email }
+ * @returns {Promise<Object>} - The user
+ */
+const linkAccount = async (user, account) => {
+    const claimed = !user.isEmailVerified;
+    if (claimed) {
+        user.password = undefined;
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+    }
+
+    user.oauthAccounts.push(account);
+    await user.save({ validateBeforeSave: false });
+
+    if (claimed) {
+        await Session.revokeAllForUser(user._id, "email_claimed");
+    }
+    return user;
+};
+
+/**
+ * Emails the user a link that confirms linking a provider account whose email the provider
+ * didn't verify, so anyone who can set that email at the provider can't take over the account.
+ *
+ * @async
+ * @param {Object} user - The user document
+ * @param {Object} account - { provider, providerId, email }
+ * @param {Object} req - Express request object (to build the link)
+ * @returns {Promise<void>}
+ * @throws {AppError} 500 when the email can't be sent
+ */
+const sendLinkConfirmation = async (user, account, req) => {
+    const token = jwt.sign(
+        { id: user._id, ...account, purpose: "oauth_link" },
+        process.env.JWT_SECRET,
+        { expiresIn: LINK_CONFIRMATION_TTL }
+    );
+    const confirmURL = `${req.protocol}://${req.get("host")}/api/v1/users/oauth/link/${token}`;
+    const label = PROVIDER_LABELS[account.provider];
+
+    const htmlContent = `
+        <div style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; background: #f7f7fa; padding: 40px 0;">
+            <div style="max-width: 480px; margin: 0 auto; background: #fff; border-radius: 16px; box-shadow: 0 4px 24px rgba(0,0,0,0.07); padding: 32px;">
+                <h2 style="color: #2d2d6e; margin-bottom: 8px; text-align: center;">${label} ანგარიშის დაკავშირება</h2>
+                <p style="color: #444; font-size: 16px; margin-bottom: 24px;">
+                    გამარჯობა, <b>${escapeHTML(user.name)}</b>!<br>
+                    ვიღაც ცდილობს Services.ge-ზე შესვლას ${label} ანგარიშით, რომელიც ამ ელფოსტას იყენებს.
+                    თუ ეს თქვენ ხართ, დააჭირეთ ღილაკს ანგარიშების დასაკავშირებლად. თუ არა, უგულებელყავით ეს წერილი.
+                </p>
+                <div style="text-align: center; margin-bottom: 24px;">
+                    <a href="${confirmURL}" style="display: inline-block; background: linear-gradient(90deg, #6a82fb 0%, #fc5c7d 100%); color: #fff; text-decoration: none; font-size: 18px; padding: 14px 32px; border-radius: 8px; font-weight: bold;">
+                        დაკავშირება
+                    </a>
+                </div>
+                <p style="color: #888; font-size: 14px; margin-bottom: 0;">
+                    ბმული მოქმედებს 1 საათის განმავლობაში.
+                </p>
+            </div>
+        </div>
+    `;
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: `${label} ანგარიშის დაკავშირება (მოქმედებს 1 საათი)`,
+            htmlContent
+        });
+    } catch (err) {
+        console.error("Email Error:", err);
+        throw new AppError("ელფოსტის გაგზავნისას მოხდა შეცდომა. გთხოვთ, სცადეთ მოგვიანებით!", 500);
+    }
+};
+
+/**
+ * Finds the user of a provider account, linking or creating one when needed.
+ *
+ * An existing user with the same email is linked right away only when the provider verified the
+ * address; otherwise the user is emailed a link confirmation (see sendLinkConfirmation).
+ * A new user created with an unverified email gets the usual verification email.
+ *
+ * Deactivated accounts are looked up too (the default queries hide them): they can't sign in, and
+ * their email can't be taken by a new account.
+ *
+ * @async
+ * @param {string} providerName - "google" or "facebook"
+ * @param {Object} profile - Result of fetchProfile
+ * @param {Object} req - Express request object (to build emailed links)
+ * @returns {Promise<Object|null>} - The user document, or null when a link confirmation was emailed
+ * @throws {AppError} 403 when the account is deactivated
+ */
+const findOrCreateUser = async (providerName, profile, req) => {
+    const account = { provider: providerName, providerId: profile.providerId };
+
+    const linkedUser = await User.findOne({ oauthAccounts: { $elemMatch: account }, active: ANY_ACTIVE_STATE }).select("+active");
+    if (linkedUser) return checkActive(linkedUser);
+
+    const email = profile.email.toLowerCase();
+    const user = await User.findOne({ email, active: ANY_ACTIVE_STATE }).select("+password +active");
+
+    if (!user) {
+        let newUser;
+        try {
+            newUser = await User.create({
+                name: profile.name || email.split("@")[0],
+                email,
+                isEmailVerified: profile.emailVerified,
+                profileImage: profile.picture || null,
+                oauthAccounts: [{ ...account, email }]
+            });
+        } catch (err) {
+            // Another sign-in created the account in the meantime
+            if (err.code === 11000) throw new AppError("ავტორიზაცია ვერ მოხერხდა. გთხოვთ, სცადეთ თავიდან!", 409);
+            throw err;
+        }
+
+        if (!profile.emailVerified) {
+            await sendVerificationEmail(newUser, email, req);
+        }
+        return newUser;
+    }
+
+    checkActive(user);
+
+    if (!profile.emailVerified) {
+        await sendLinkConfirmation(user, { ...account, email }, req);
+        return null;
+    }
+
+    if (!user.profileImage && profile.picture) user.profileImage = profile.picture;
+    return linkAccount(user, { ...account, email });
+};
+
+/**
+ * @desc    Start signing in with a provider: redirects to the provider's login page
+ * @route   GET /api/v1/users/oauth/:provider
+ * @access  Public
+ */
+const startOAuth = catchAsync(async (req, res, next) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+        return next(new AppError("ავტორიზაციის პროვაიდერი ვერ მოიძებნა!", 404));
+    }
+
+    const { state, codeVerifier, codeChallenge } = createLoginAttempt();
+
+    // Remember the attempt in a signed cookie so the callback can check it came from this browser
+    const attempt = jwt.sign({ provider: provider.name, state, codeVerifier }, process.env.JWT_SECRET, { expiresIn: LOGIN_ATTEMPT_TTL });
+    res.cookie(STATE_COOKIE, attempt, {
+        maxAge: LOGIN_ATTEMPT_TTL * 1000,
+        path: STATE_COOKIE_PATH,
+        secure: process.env.NODE_ENV === "prod",
+        httpOnly: true,
+        // Lax so the cookie comes back with the provider's top-level redirect
+        sameSite: "lax"
+    });
+
+    res.redirect(buildAuthorizationURL(provider, {
+        redirectURI: callbackURL(req, provider.name),
+        state,
+        codeChallenge
+    }));
+});
+
+/**
+ * @desc    Provider callback: signs the user in and redirects to the client
+ * @route   GET /api/v1/users/oauth/:provider/callback
+ * @access  Public
+ */
+const oauthCallback = catchAsync(async (req, res, next) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+        return next(new AppError("ავტორიზაციის პროვაიდერი ვერ მოიძებნა!", 404));
+    }
+
+    const attemptCookie = req.cookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+    // The user cancelled at the provider
+    if (req.query.error) {
+        return redirectToClient(res, { status: "error", message: "ავტორიზაცია გაუქმდა!" });
+    }
+
+    let attempt;
+    try {
+        attempt = jwt.verify(attemptCookie, process.env.JWT_SECRET);
+    } catch (err) {
+        attempt = null;
+    }
+
+    if (!attempt || attempt.provider !== provider.name || attempt.state !== req.query.state || typeof req.query.code !== "string") {
+        return redirectToClient(res, { status: "error", message: "ავტორიზაციის სესიას ვადა გაუვიდა. გთხოვთ, სცადეთ თავიდან!" });
+    }
+
+    let profile;
+    try {
+        profile = await fetchProfile(provider, {
+            code: req.query.code,
+            redirectURI: callbackURL(req, provider.name),
+            codeVerifier: attempt.codeVerifier
+        });
+    } catch (err) {
+        console.error("OAuth Error:", err.message);
+        return redirectToClient(res, { status: "error", message: "ავტორიზაცია ვერ მოხერხდა. გთხოვთ, სცადეთ მოგვიანებით!" });
+    }
+
+    if (!profile.email) {
+        return redirectToClient(res, { status: "error", message: "ანგარიშს არ აქვს ელექტრონული ფოსტა!" });
+    }
+
+    let user;
+    try {
+        user = await findOrCreateUser(provider.name, profile, req);
+    } catch (err) {
+        if (!err.isOperational) throw err;
+        return redirectToClient(res, { status: "error", message: err.message });
+    }
+
+    if (!user) {
+        return redirectToClient(res, {
+            status: "link_pending",
+            message: `ამ ელფოსტით ანგარიში უკვე არსებობს. ${PROVIDER_LABELS[provider.name]} ანგარიშის დასაკავშირებლად გამოიყენეთ ელფოსტაზე გამოგზავნილი ბმული!`
+        });
+    }
+
+    // Suspended users and users who have to reset their password can't sign in
+    const blocked = loginBlockedError(user);
+    if (blocked) {
+        return redirectToClient(res, { status: "error", message: blocked.message });
+    }
+
+    // Users with 2FA still have to give their second factor
+    if (user.twoFactor?.enabled) {
+        const challengedUser = await User.findById(user._id).select(User.TWO_FACTOR_SECRET_FIELDS);
+        setChallengeCookie(res, await startTwoFactorChallenge(challengedUser));
+
+        return redirectToClient(res, { status: "two_factor", method: challengedUser.twoFactor.method });
+    }
+
+    await startSession(user, req, res);
+
+    redirectToClient(res, { status: "success", needsPhone: String(!user.isPhoneVerified) });
+});
+
+/**
+ * @desc    Page the emailed link confirmation opens, with a button that links the account.
+ *          Mail scanners that prefetch links therefore can't confirm the link.
+ * @route   GET /api/v1/users/oauth/link/:token
+ * @access  Public
+ */
+const linkConfirmationPage = (req, res) => {
+    res.status(200).type("html").send(`<!DOCTYPE html>
+<html lang="ka">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>ანგარიშის დაკავშირება</title>
+</head>
+<body style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; background: #f7f7fa; padding: 40px 0;">
+    <div style="max-width: 480px; margin: 0 auto; background: #fff; border-radius: 16px; box-shadow: 0 4px 24px rgba(0,0,0,0.07); padding: 32px; text-align: center;">
+        <h2 style="color: #2d2d6e; margin-bottom: 24px;">ანგარიშის დაკავშირება</h2>
+        <form method="POST">
+            <button type="submit" style="background: linear-gradient(90deg, #6a82fb 0%, #fc5c7d 100%); color: #fff; border: none; font-size: 18px; padding: 14px 32px; border-radius: 8px; font-weight: bold; cursor: pointer;">
+                დაკავშირება
+            </button>
+        </form>
+    </div>
+</body>
+</html>`);
+};
+
+/**
+ * @desc    Link the provider account from an emailed link confirmation (submitted from
+ *          linkConfirmationPage). Using the link also proves the email address.
+ * @route   POST /api/v1/users/oauth/link/:token
+ * @access  Public
+ */
+const confirmOAuthLink = catchAsync(async (req, res, next) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (err) {
+        decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "oauth_link" || !Object.hasOwn(PROVIDER_LABELS, decoded.provider)) {
+        return next(new AppError("ბმული არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    // The link is only valid while the account still has the email it was sent to
+    const user = await User.findById(decoded.id).select("+password");
+    if (!user || user.email !== decoded.email) {
+        return next(new AppError("ბმული არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    const { provider, providerId, email } = decoded;
+    const alreadyLinked = user.oauthAccounts.some((account) => account.provider === provider && account.providerId === providerId);
+
+    if (!alreadyLinked) {
+        try {
+            await linkAccount(user, { provider, providerId, email });
+        } catch (err) {
+            if (err.code === 11000) {
+                return next(new AppError(`ეს ${PROVIDER_LABELS[provider]} ანგარიში უკვე დაკავშირებულია სხვა მომხმარებელთან!`, 400));
+            }
+            throw err;
+        }
+    }
+
+    res.status(200).json({
+        status: "success",
+        message: `${PROVIDER_LABELS[provider]} ანგარიში დაკავშირებულია! ახლა შეგიძლიათ მისით შესვლა.`
+    });
+});
+
+module.exports = { startOAuth, oauthCallback, linkConfirmationPage, confirmOAuthLink };
@@ -0,0 +1,67 @@
+/**
+ * @file provider.controller.js
+ * @description Controller functions for public provider profiles.
+ * Only public fields are returned: never the provider's email, phone or account settings.
+ * @author Luka Tskhvaradze
+ */
+
+const User = require("../models/user.model");
+const Service = require("../models/service.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const getProviderStats = require("../helpers/providerStats");
+
+// Service fields shown on the profile
+const PROFILE_SERVICE_FIELDS = "title description price tags images averageRating totalReviews providerVerified createdAt";
+
+/**
+ * @desc    Public profile of a provider: who they are, their services and aggregated stats
+ * @route   GET /api/v1/providers/:id
+ * @access  Public
+ *
+ * @example
+ * // Response data
+ * {
+ *   "provider": { "_id": "...", "name": "...", "profileImage": "...", "bio": "...", "memberSince": "...", "verified": true, "verifiedAt": "..." },
+ *   "stats": { "averageRating": 4.7, "totalReviews": 31, "totalServices": 3, "completedJobs": 24, "responseTimeMinutes": 42 },
+ *   "services": [ ... ]
+ * }
+ */
+const getProviderProfile = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი პროვაიდერის ID!", 400));
+    }
+
+    // Deactivated accounts are hidden by the User find hook
+    const user = await User.findById(id).select("name profileImage bio role isVerifiedProvider providerVerifiedAt createdAt");
+
+    if (!user || user.role !== "service_provider") {
+        return next(new AppError("პროვაიდერი ვერ მოიძებნა!", 404));
+    }
+
+    const [services, stats] = await Promise.all([
+        Service.find({ providerID: user._id }).select(PROFILE_SERVICE_FIELDS).sort("-averageRating -createdAt"),
+        getProviderStats(user._id)
+    ]);
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            provider: {
+                _id: user._id,
+                name: user.name,
+                profileImage: user.profileImage,
+                bio: user.bio || null,
+                memberSince: user.createdAt,
+                verified: user.isVerifiedProvider,
+                verifiedAt: user.isVerifiedProvider ? user.providerVerifiedAt : null
+            },
+            stats,
+            services
+        }
+    });
+});
+
+module.exports = { getProviderProfile };
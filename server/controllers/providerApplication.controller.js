@@ -0,0 +1,301 @@
+/**
+ * @file providerApplication.controller.js
+ * @description Controller functions for the provider onboarding workflow: users apply with their
+ * business details, moderators review the queue and approve or reject with a comment. Approval makes
+ * the user a verified service provider and shows the "verified" badge on their services.
+ * @author Luka Tskhvaradze
+ */
+
+const ProviderApplication = require("../models/providerApplication.model");
+const User = require("../models/user.model");
+const Service = require("../models/service.model");
+const AdminLog = require("../models/adminLog.model");
+const APIFeatures = require("../utils/APIFeatures");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const sendEmail = require("../utils/email");
+const { escapeHTML } = require("../utils/georgianSearch");
+
+/**
+ * Review queue filters. Oldest applications come first so they are handled in order.
+ */
+const APPLICATION_QUERY_OPTIONS = {
+    filterable: {
+        status: "string",
+        businessType: "string",
+        categories: "string",
+        createdAt: "date"
+    },
+    sortable: ["createdAt", "updatedAt"],
+    defaultSort: "createdAt"
+};
+
+// Applicant fields moderators see in the queue
+const APPLICANT_FIELDS = "name email phone profileImage role isEmailVerified isPhoneVerified createdAt";
+
+/**
+ * Emails the applicant the moderator's decision. Sent in the background: a failing mail
+ * server doesn't undo the decision.
+ *
+ * @param {Object} user - The applicant
+ * @param {Object} application - The decided application
+ */
+const notifyApplicant = (user, application) => {
+    const approved = application.status === "approved";
+    const comment = application.reviewComment ? `<br><br>კომენტარი: ${escapeHTML(application.reviewComment)}` : "";
+
+    sendEmail({
+        to: user.email,
+        subject: approved ? "თქვენი განაცხადი დადასტურდა" : "თქვენი განაცხადი უარყოფილია",
+        htmlContent: `
+            <div style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; padding: 24px; color: #444;">
+                გამარჯობა, <b>${escapeHTML(user.name)}</b>!<br>
+                ${approved
+                    ? "თქვენი განაცხადი დადასტურდა: ახლა ხართ დადასტურებული პროვაიდერი <b>Services.ge</b>-ზე."
+                    : "სამწუხაროდ, თქვენი პროვაიდერის განაცხადი უარყოფილია. შეგიძლიათ შეასწოროთ მონაცემები და გამოაგზავნოთ ხელახლა."}
+                ${comment}
+            </div>
+        `
+    }).catch((err) => console.error("Email Error:", err));
+};
+
+/**
+ * @desc    Apply to become a verified service provider
+ * @route   POST /api/v1/provider-applications
+ * @body    { businessType: "individual" | "company", personalId?, companyId?, businessName?, address, categories, documents? }
+ * @access  Protected (provider_application:create)
+ */
+const createApplication = catchAsync(async (req, res, next) => {
+    if (req.user.isVerifiedProvider) {
+        return next(new AppError("თქვენ უკვე ხართ დადასტურებული პროვაიდერი!", 400));
+    }
+
+    if (await ProviderApplication.exists({ applicant: req.user._id, status: "pending" })) {
+        return next(new AppError("თქვენი განაცხადი უკვე განხილვის პროცესშია!", 400));
+    }
+
+    const { businessType, personalId, companyId, businessName, address, categories, documents } = req.body;
+
+    // Only the ID number that matches the business type is kept
+    const application = await ProviderApplication.create({
+        applicant: req.user._id,
+        businessType,
+        personalId: businessType === "individual" ? personalId : undefined,
+        companyId: businessType === "company" ? companyId : undefined,
+        businessName,
+        address,
+        categories,
+        documents
+    });
+
+    res.status(201).json({
+        status: "success",
+        data: {
+            application
+        }
+    });
+});
+
+/**
+ * @desc    List the authenticated user's applications, newest first
+ * @route   GET /api/v1/provider-applications/me
+ * @access  Protected
+ */
+const getMyApplications = catchAsync(async (req, res, next) => {
+    const applications = await ProviderApplication.find({ applicant: req.user._id }).sort("-createdAt");
+
+    res.status(200).json({
+        status: "success",
+        results: applications.length,
+        data: {
+            applications
+        }
+    });
+});
+
+/**
+ * @desc    Review queue: pending applications, oldest first (?status= to see decided ones)
+ * @route   GET /api/v1/provider-applications
+ * @access  Protected (provider_application:review)
+ *
+ * @example
+ * GET /api/v1/provider-applications?businessType=company&limit=20
+ * GET /api/v1/provider-applications?status=rejected&sort=-updatedAt
+ */
+const listApplications = catchAsync(async (req, res, next) => {
+    const queryString = { status: "pending", ...req.query };
+
+    const features = new APIFeatures(
+        ProviderApplication.find().populate("applicant", APPLICANT_FIELDS),
+        queryString,
+        APPLICATION_QUERY_OPTIONS
+    )
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: applications, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: "success",
+        results: applications.length,
+        ...pagination,
+        data: {
+            applications
+        }
+    });
+});
+
+/**
+ * @desc    Retrieve an application
+ * @route   GET /api/v1/provider-applications/:id
+ * @access  Protected (provider_application:review)
+ */
+const getApplication = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი განაცხადის ID!", 400));
+    }
+
+    const application = await ProviderApplication.findById(id)
+        .populate("applicant", APPLICANT_FIELDS)
+        .populate("reviewedBy", "name role");
+
+    if (!application) {
+        return next(new AppError("განაცხადი ვერ მოიძებნა!", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            application
+        }
+    });
+});
+
+/**
+ * Records a moderator's decision on a pending application.
+ *
+ * The status only changes while the application is still pending, so two moderators
+ * can't decide the same application twice.
+ *
+ * @async
+ * @param {Object} req - Express request object (req.params.id, req.user is the moderator)
+ * @param {string} status - "approved" or "rejected"
+ * @param {string} [comment] - Comment shown to the applicant
+ * @returns {Promise<Object>} - The decided application
+ * @throws {AppError} 400 on an invalid ID, a decided application or approving a deactivated applicant,
+ *         404 when not found, 403 on one's own application
+ */
+const decideApplication = async (req, status, comment) => {
+    const { id } = req.params;
+
+    if (!id || id.length !== 24) {
+        throw new AppError("არასწორი განაცხადის ID!", 400);
+    }
+
+    const pending = await ProviderApplication.findById(id);
+    if (!pending) {
+        throw new AppError("განაცხადი ვერ მოიძებნა!", 404);
+    }
+
+    if (pending.applicant.toString() === req.user._id.toString()) {
+        throw new AppError("საკუთარ განაცხადს ვერ განიხილავთ!", 403);
+    }
+
+    // Deactivated users are hidden from find queries, so this also catches deleted accounts
+    if (status === "approved" && !(await User.exists({ _id: pending.applicant }))) {
+        throw new AppError("განმცხადებლის ანგარიში გაუქმებულია, განაცხადის დადასტურება შეუძლებელია!", 400);
+    }
+
+    const application = await ProviderApplication.findOneAndUpdate(
+        { _id: id, status: "pending" },
+        { status, reviewedBy: req.user._id, reviewedAt: Date.now(), reviewComment: comment },
+        { new: true, runValidators: true }
+    );
+
+    if (!application) {
+        throw new AppError("განაცხადი უკვე განხილულია!", 400);
+    }
+
+    return application;
+};
+
+/**
+ * @desc    Approve an application: the applicant becomes a verified service provider
+ * @route   PATCH /api/v1/provider-applications/:id/approve
+ * @body    { comment? }
+ * @access  Protected (provider_application:review)
+ */
+const approveApplication = catchAsync(async (req, res, next) => {
+    const { comment } = req.body || {};
+    const application = await decideApplication(req, "approved", comment);
+
+    const user = await User.findById(application.applicant);
+    if (user) {
+        // Moderators and admins keep their role, customers become providers
+        if (user.role === "costumer") user.role = "service_provider";
+        user.isVerifiedProvider = true;
+        user.providerVerifiedAt = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        await Service.updateMany({ providerID: user._id }, { providerVerified: true });
+        notifyApplicant(user, application);
+    }
+
+    await AdminLog.record(req, "provider_application.approve", {
+        target: user,
+        reason: comment,
+        details: { application: application._id }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            application
+        }
+    });
+});
+
+/**
+ * @desc    Reject an application with a comment for the applicant, who may apply again
+ * @route   PATCH /api/v1/provider-applications/:id/reject
+ * @body    { comment }
+ * @access  Protected (provider_application:review)
+ */
+const rejectApplication = catchAsync(async (req, res, next) => {
+    const { comment } = req.body || {};
+
+    if (typeof comment !== "string" || !comment.trim()) {
+        return next(new AppError("გთხოვთ მიუთითოთ უარის მიზეზი!", 400));
+    }
+
+    const application = await decideApplication(req, "rejected", comment.trim());
+
+    const user = await User.findById(application.applicant);
+    if (user) notifyApplicant(user, application);
+
+    await AdminLog.record(req, "provider_application.reject", {
+        target: user,
+        reason: application.reviewComment,
+        details: { application: application._id }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            application
+        }
+    });
+});
+
+module.exports = {
+    createApplication,
+    getMyApplications,
+    listApplications,
+    getApplication,
+    approveApplication,
+    rejectApplication
+};
@@ -1,11 +1,51 @@
-const updateServiceStats = require("../helpers/updateServiceStats");
 const Review = require("../models/review.model");
 const Service = require("../models/service.model");
+const Booking = require("../models/booking.model");
+const ReviewVote = require("../models/reviewVote.model");
+const User = require("../models/user.model");
+const APIFeatures = require("../utils/APIFeatures");
 const AppError = require("../utils/appError");
 const catchAsync = require("../utils/catchAsync");
+const sendEmail = require("../utils/email");
+const { can, hasPermission } = require("../utils/permissions");
+const { escapeHTML } = require("../utils/georgianSearch");
 
+// What clients may filter, sort and select when listing a service's reviews
+const REVIEW_QUERY_OPTIONS = {
+    filterable: { rating: "number", verified: "boolean", createdAt: "date" },
+    sortable: ["rating", "helpfulCount", "createdAt"],
+    selectable: ["serviceId", "userId", "comment", "rating", "criteria", "verified", "reply", "helpfulCount", "unhelpfulCount", "editedAt", "createdAt", "updatedAt"]
+};
+
+// Named orders accepted by ?sort= on a service's reviews, next to plain field sorts
+const REVIEW_SORTS = {
+    newest: "-createdAt",
+    highest: "-rating",
+    lowest: "rating",
+    helpful: "-helpfulCount"
+};
+
+// Review counter of every vote type
+const VOTE_COUNTERS = { helpful: "helpfulCount", unhelpful: "unhelpfulCount" };
+
+// How long after a booking is completed the customer can review it (REVIEW_WINDOW_DAYS, default 30)
+const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 30;
+
+// How long a provider can edit their reply after posting it (REVIEW_REPLY_EDIT_HOURS, default 48)
+const REPLY_EDIT_HOURS = Number(process.env.REVIEW_REPLY_EDIT_HOURS) || 48;
+
+// Fields the author may change through PATCH /api/v1/reviews/:reviewId
+const EDITABLE_FIELDS = ["rating", "criteria", "comment"];
+
+/**
+ * @desc    Review a service. Only customers with a booking of the service completed in the last
+ *          REVIEW_WINDOW_DAYS (default 30) days can review it; such reviews are marked verified.
+ * @route   POST /api/v1/reviews
+ * @body    { serviceId, rating, criteria?, comment } - criteria: { quality?, punctuality?, communication?, value? }, 1-5 each
+ * @access  Protected (review:create)
+ */
 const createReview = catchAsync(async (req, res, next) => {
-    const { serviceId, rating, comment } = req.body;
+    const { serviceId, rating, criteria, comment } = req.body;
 
     // Check if service exsist
     const service = await Service.findById(serviceId);
@@ -13,29 +53,48 @@ const createReview = catchAsync(async (req, res, next) => {
         return next(new AppError("სერვისის მოძიება ვერ მოხეხრდა!", 404));
     }
 
+    if (String(service.providerID) === String(req.user._id)) {
+        return next(new AppError("საკუთარ სერვისს ვერ შეაფასებთ!", 403));
+    }
+
+    // The most recent completed booking of this service by the user
+    const booking = await Booking.findOne({ serviceId: service._id, customerId: req.user._id, status: "completed" })
+        .sort("-completedAt")
+        .select("completedAt");
+
+    if (!booking) {
+        return next(new AppError("სერვისის შეფასება შეუძლიათ მხოლოდ მომხმარებლებს, რომელთა ჯავშანიც დასრულდა!", 403));
+    }
+
+    if (Date.now() - booking.completedAt.getTime() > REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        return next(new AppError(`შეფასების დატოვება შესაძლებელია ჯავშნის დასრულებიდან ${REVIEW_WINDOW_DAYS} დღის განმავლობაში!`, 403));
+    }
+
+    const alreadyReviewed = new AppError("სერვისზე შეფასება უკვე გაკეთებული გაქვთ!", 400);
+
     // Chekc if user already reviewd this service
     const exsistingReview = await Review.findOne({userId: req.user._id, serviceId});
     if(exsistingReview) {
-        return next(new AppError("სერვისზე შეფასება უკვე გაკეთებული გაქვთ!", 400));
+        return next(alreadyReviewed);
     }
 
-    // Create review
-    const review = await Review.create({
-        serviceId,
-        userId: req.user._id,
-        rating, 
-        comment
-    });
-
-    // Add new ID in reviews arr
-    await Service.findByIdAndUpdate(
-        serviceId,
-        { $push: { reviews: review._id } },
-        { new: true }
-    );
-  
-
-    await updateServiceStats(service._id);
+    // Create review (the model adds it to Service.reviews and updates the service's rating stats).
+    // The unique { userId, serviceId } index rejects a concurrent second review.
+    let review;
+    try {
+        review = await Review.create({
+            serviceId,
+            userId: req.user._id,
+            bookingId: booking._id,
+            verified: true,
+            rating, 
+            criteria,
+            comment
+        });
+    } catch (err) {
+        if (err.code === 11000) return next(alreadyReviewed);
+        throw err;
+    }
 
     res.status(201).json({
         status: "success",
@@ -43,6 +102,39 @@ const createReview = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * Loads a review that's visible to everyone (not hidden by a moderator).
+ *
+ * @async
+ * @param {string} reviewId
+ * @returns {Promise<Object>} - The review document
+ * @throws {AppError} 400 on an invalid ID, 404 when missing or hidden
+ */
+const findVisibleReview = async (reviewId) => {
+    if (!reviewId || reviewId.length !== 24) {
+        throw new AppError("შეფასების ID აუცილებელია და უნდა იყოს სწორი ფორმატით!", 400);
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review || review.status === "hidden") {
+        throw new AppError("შეფასება ვერ მოიძებნა!", 404);
+    }
+
+    return review;
+};
+
+/**
+ * @desc    A service's reviews (hidden reviews left out), with provider replies inline
+ * @route   GET /api/v1/reviews/service/:serviceId
+ * @access  Public
+ *
+ * ?sort= takes newest (default), highest, lowest or helpful, or a plain field sort.
+ * Page-number pagination by default, ?cursor= for cursors (same contract as GET /api/v1/services).
+ *
+ * @example
+ * GET /api/v1/reviews/service/<id>?sort=helpful&limit=10&cursor=
+ * GET /api/v1/reviews/service/<id>?sort=lowest&verified=true&page=2
+ */
 const getReviewsByService = catchAsync(async (req, res, next) => {
     const { serviceId } = req.params;
 
@@ -56,11 +148,21 @@ const getReviewsByService = catchAsync(async (req, res, next) => {
         return next(new AppError("სერვისი ვერ მოიძებნა!", 404));
     }
 
-    const reviews = await Review.find({ serviceId });
+    const queryString = { ...req.query };
+    if (Object.hasOwn(REVIEW_SORTS, queryString.sort)) queryString.sort = REVIEW_SORTS[queryString.sort];
+
+    const features = new APIFeatures(Review.find({ serviceId, status: { $ne: "hidden" } }), queryString, REVIEW_QUERY_OPTIONS)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: reviews, pagination } = await features.execute();
 
     res.status(200).json({
         status: "success",
         results: reviews.length,
+        ...pagination,
         data: {
             reviews
         }
@@ -74,12 +176,71 @@ const getReview = catchAsync(async (req, res, next) => {
         return next(new AppError("შეფასების ID აუცილებელია და უნდა იყოს სწორი ფორმატით!", 400));
     }
 
-    const review = await Review.findById(reviewId);
+    const review = await Review.findById(reviewId).select("+editHistory");
+
+    // Hidden reviews are only shown to their author and moderators
+    const canSeeHidden = review && (String(review.userId) === String(req.user._id) || hasPermission(req.user.role, "review:moderate"));
+    if (!review || (review.status === "hidden" && !canSeeHidden)) {
+        return next(new AppError("შეფასება ვერ მოიძებნა!", 404));
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            review
+        }
+    });
+});
+
+/**
+ * @desc    Edit a review (rating, sub-ratings and/or comment). The previous version is kept in editHistory.
+ *          New criteria replace the previous sub-ratings as a whole.
+ * @route   PATCH /api/v1/reviews/:reviewId
+ * @body    { rating?, criteria?, comment? }
+ * @access  Protected (review:update - own reviews only)
+ */
+const updateReview = catchAsync(async (req, res, next) => {
+    const { reviewId } = req.params;
+    const body = req.body || {};
+
+    if (!reviewId || reviewId.length !== 24) {
+        return next(new AppError("შეფასების ID აუცილებელია და უნდა იყოს სწორი ფორმატით!", 400));
+    }
+
+    const review = await Review.findById(reviewId).select("+editHistory");
 
     if (!review) {
         return next(new AppError("შეფასება ვერ მოიძებნა!", 404));
     }
 
+    // Only the author may edit a review
+    if (!can(req.user, "review:update", review)) {
+        return next(new AppError("თქვენ არ გაქვთ ამ შეფასების რედაქტირების უფლება!", 403));
+    }
+
+    const previous = {
+        rating: review.rating,
+        criteria: review.criteria?.toObject(),
+        comment: review.comment,
+        editedAt: review.editedAt || review.createdAt
+    };
+
+    // Mongoose compares by value (criteria included), so resending the current values changes nothing.
+    // Values that fail to cast count as changes, so save() reports them.
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) review.set(field, body[field]);
+    }
+    const changed = EDITABLE_FIELDS.filter((field) => review.isModified(field) || !review.$isValid(field));
+    if (changed.length === 0) {
+        return next(new AppError(`შესაცვლელი ველები: ${EDITABLE_FIELDS.join(", ")}`, 400));
+    }
+
+    review.editHistory.push(previous);
+    review.editedAt = Date.now();
+
+    // Saving runs the validators and updates the service's rating stats
+    await review.save();
+
     res.status(200).json({
         status: "success",
         data: {
@@ -101,11 +262,12 @@ const deleteReview = catchAsync(async (req, res, next) => {
         return next(new AppError("შეფასება ვერ მოიძებნა!", 404));
     }
 
-    // Only the user who created the review can delete it
-    if (review.userId.toString() !== req.user._id.toString()) {
+    // Authors may delete their own review, admins and moderators any
+    if (!can(req.user, "review:delete", review)) {
         return next(new AppError("თქვენ არ გაქვთ ამ შეფასების წაშლის უფლება!", 403));
     }
 
+    // The model removes it from Service.reviews and updates the service's rating stats
     await Review.findByIdAndDelete(reviewId);
 
     res.status(204).json({
@@ -114,4 +276,236 @@ const deleteReview = catchAsync(async (req, res, next) => {
     });
 });
 
-module.exports = { createReview, getReviewsByService, getReview, deleteReview };
\ No newline at end of file
+/**
+ * Loads a review for replying and checks that the user is the provider of the reviewed service.
+ *
+ * @async
+ * @param {Object} req - Express request (params.reviewId, user)
+ * @returns {Promise<{ review: Object, service: Object }>}
+ * @throws {AppError} 400 on an invalid ID, 404 when the review or service is gone, 403 for anyone but the provider
+ */
+const findReviewForReply = async (req) => {
+    const { reviewId } = req.params;
+
+    if (!reviewId || reviewId.length !== 24) {
+        throw new AppError("შეფასების ID აუცილებელია და უნდა იყოს სწორი ფორმატით!", 400);
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+        throw new AppError("შეფასება ვერ მოიძებნა!", 404);
+    }
+
+    const service = await Service.findById(review.serviceId).select("title providerID");
+    if (!service) {
+        throw new AppError("სერვისი ვერ მოიძებნა!", 404);
+    }
+
+    if (!can(req.user, "service:reply", service)) {
+        throw new AppError("შეფასებას პასუხი შეუძლია მხოლოდ სერვისის პროვაიდერს!", 403);
+    }
+
+    return { review, service };
+};
+
+/**
+ * Emails the reviewer that the provider replied. Sent in the background: a failing mail
+ * server doesn't undo the reply.
+ *
+ * @async
+ * @param {Object} review - The review with its new reply
+ * @param {Object} service - The reviewed service
+ */
+const notifyReviewer = async (review, service) => {
+    const reviewer = await User.findById(review.userId).select("name email");
+    if (!reviewer) return;
+
+    await sendEmail({
+        to: reviewer.email,
+        subject: "პროვაიდერმა უპასუხა თქვენს შეფასებას",
+        htmlContent: `
+            <div style="font-family: 'BPG Nino Mtavruli', Arial, sans-serif; padding: 24px; color: #444;">
+                გამარჯობა, <b>${escapeHTML(reviewer.name)}</b>!<br>
+                სერვისის „<b>${escapeHTML(service.title)}</b>“ პროვაიდერმა უპასუხა თქვენს შეფასებას:<br><br>
+                <i>${escapeHTML(review.reply.text)}</i>
+            </div>
+        `
+    });
+};
+
+/**
+ * @desc    Post the provider's public reply to a review (one per review). The reviewer is notified by email.
+ * @route   POST /api/v1/reviews/:reviewId/reply
+ * @body    { text }
+ * @access  Protected (service:reply - the reviewed service's provider)
+ */
+const replyToReview = catchAsync(async (req, res, next) => {
+    const { review, service } = await findReviewForReply(req);
+
+    if (review.reply) {
+        return next(new AppError("ამ შეფასებას უკვე აქვს პასუხი. შეგიძლიათ მისი რედაქტირება.", 400));
+    }
+
+    review.reply = { text: req.body?.text, providerId: req.user._id };
+    await review.save();
+
+    notifyReviewer(review, service).catch((err) => console.error("Email Error:", err));
+
+    res.status(201).json({
+        status: "success",
+        data: {
+            review
+        }
+    });
+});
+
+/**
+ * @desc    Edit the provider's reply, within REVIEW_REPLY_EDIT_HOURS (default 48) of posting it
+ * @route   PATCH /api/v1/reviews/:reviewId/reply
+ * @body    { text }
+ * @access  Protected (service:reply - the reviewed service's provider)
+ */
+const updateReply = catchAsync(async (req, res, next) => {
+    const { review } = await findReviewForReply(req);
+
+    if (!review.reply) {
+        return next(new AppError("ამ შეფასებას პასუხი არ აქვს!", 404));
+    }
+
+    if (Date.now() - review.reply.createdAt.getTime() > REPLY_EDIT_HOURS * 60 * 60 * 1000) {
+        return next(new AppError(`პასუხის რედაქტირება შესაძლებელია მხოლოდ ${REPLY_EDIT_HOURS} საათის განმავლობაში!`, 403));
+    }
+
+    review.reply.text = req.body?.text;
+    review.reply.editedAt = Date.now();
+    await review.save();
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            review
+        }
+    });
+});
+
+/**
+ * @desc    Vote a review helpful or unhelpful (one vote per user, voting again changes it)
+ * @route   PUT /api/v1/reviews/:reviewId/vote
+ * @body    { vote: "helpful" | "unhelpful" }
+ * @access  Protected (review:vote)
+ */
+const voteReview = catchAsync(async (req, res, next) => {
+    const vote = req.body?.vote;
+
+    if (!Object.hasOwn(VOTE_COUNTERS, vote)) {
+        return next(new AppError('ხმა უნდა იყოს "helpful" ან "unhelpful"!', 400));
+    }
+
+    const review = await findVisibleReview(req.params.reviewId);
+
+    if (String(review.userId) === String(req.user._id)) {
+        return next(new AppError("საკუთარ შეფასებას ხმას ვერ მისცემთ!", 400));
+    }
+
+    // Returns the previous vote (null for a first vote)
+    const previous = await ReviewVote.record(review._id, req.user._id, vote);
+
+    let updatedReview = review;
+    if (previous?.vote !== vote) {
+        const counters = { [VOTE_COUNTERS[vote]]: 1 };
+        if (previous) counters[VOTE_COUNTERS[previous.vote]] = -1;
+        updatedReview = await Review.findByIdAndUpdate(review._id, { $inc: counters }, { new: true });
+    }
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            vote,
+            review: updatedReview
+        }
+    });
+});
+
+/**
+ * @desc    Take back one's vote on a review
+ * @route   DELETE /api/v1/reviews/:reviewId/vote
+ * @access  Protected (review:vote)
+ */
+const removeVote = catchAsync(async (req, res, next) => {
+    const review = await findVisibleReview(req.params.reviewId);
+
+    const previous = await ReviewVote.findOneAndDelete({ review: review._id, user: req.user._id });
+    if (!previous) {
+        return next(new AppError("ამ შეფასებაზე ხმა არ მიგიციათ!", 404));
+    }
+
+    const updatedReview = await Review.findByIdAndUpdate(
+        review._id,
+        { $inc: { [VOTE_COUNTERS[previous.vote]]: -1 } },
+        { new: true }
+    );
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            review: updatedReview
+        }
+    });
+});
+
+/**
+ * @desc    Report an abusive review to the moderators (once per user)
+ * @route   POST /api/v1/reviews/:reviewId/report
+ * @body    { reason: "spam" | "offensive" | "fake" | "irrelevant" | "personal_info" | "other", comment? }
+ * @access  Protected (review:report)
+ */
+const reportReview = catchAsync(async (req, res, next) => {
+    const { reason, comment } = req.body || {};
+
+    if (!Review.REPORT_REASONS.includes(reason)) {
+        return next(new AppError(`მიზეზი უნდა იყოს: ${Review.REPORT_REASONS.join(", ")}`, 400));
+    }
+
+    if (comment !== undefined && (typeof comment !== "string" || comment.length > 500)) {
+        return next(new AppError("კომენტარი არ უნდა აღემატებოდეს 500 სიმბოლოს!", 400));
+    }
+
+    const review = await findVisibleReview(req.params.reviewId);
+
+    if (String(review.userId) === String(req.user._id)) {
+        return next(new AppError("საკუთარ შეფასებას ვერ გაასაჩივრებთ!", 400));
+    }
+
+    // Only matches when the user hasn't reported the review yet
+    const reported = await Review.findOneAndUpdate(
+        { _id: review._id, "reports.user": { $ne: req.user._id } },
+        {
+            $push: { reports: { user: req.user._id, reason, comment } },
+            $inc: { reportCount: 1 }
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!reported) {
+        return next(new AppError("ეს შეფასება უკვე გაასაჩივრეთ!", 400));
+    }
+
+    res.status(201).json({
+        status: "success",
+        message: "შეფასება გასაჩივრდა. მას მოდერატორი განიხილავს.",
+        data: null
+    });
+});
+
+module.exports = {
+    createReview,
+    getReviewsByService,
+    getReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    updateReply,
+    voteReview,
+    removeVote,
+    reportReview
+};
\ No newline at end of file
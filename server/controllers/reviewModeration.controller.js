@@ -0,0 +1,195 @@
+/**
+ * @file reviewModeration.controller.js
+ * @description Controller functions for the review moderation queue: moderators go through reported
+ * reviews and hide, restore or delete them. Hidden reviews are left out of listings and of the
+ * service's rating stats. Every decision is recorded in the AdminLog with its reason.
+ * @author Luka Tskhvaradze
+ */
+
+const Review = require("../models/review.model");
+const AdminLog = require("../models/adminLog.model");
+const APIFeatures = require("../utils/APIFeatures");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+
+/**
+ * Queue filters. The most reported reviews come first.
+ */
+const MODERATION_QUERY_OPTIONS = {
+    filterable: {
+        status: "string",
+        reportCount: "number",
+        serviceId: "objectId",
+        userId: "objectId",
+        verified: "boolean",
+        createdAt: "date"
+    },
+    sortable: ["reportCount", "rating", "createdAt"],
+    defaultSort: "-reportCount"
+};
+
+/**
+ * Loads the review a moderation action targets and checks that a reason was given.
+ *
+ * @async
+ * @param {Object} req - Express request object (req.params.id, req.body.reason)
+ * @returns {Promise<{ review: Object, reason: string }>}
+ * @throws {AppError} 400 on an invalid ID or missing reason, 404 when not found
+ */
+const findModeratedReview = async (req) => {
+    const { id } = req.params;
+    const reason = req.body?.reason;
+
+    if (!id || id.length !== 24) {
+        throw new AppError("არასწორი შეფასების ID!", 400);
+    }
+
+    if (typeof reason !== "string" || !reason.trim()) {
+        throw new AppError("მიუთითეთ მიზეზი!", 400);
+    }
+
+    const review = await Review.findById(id).select("+reports +moderation");
+    if (!review) {
+        throw new AppError("შეფასება ვერ მოიძებნა!", 404);
+    }
+
+    return { review, reason: reason.trim() };
+};
+
+/**
+ * @desc    Moderation queue: reported reviews that are still published, most reported first.
+ *          Passing ?status= or a reportCount filter lists by those instead (e.g. ?status=hidden).
+ * @route   GET /api/v1/admin/reviews
+ * @access  Protected (review:moderate)
+ *
+ * @example
+ * GET /api/v1/admin/reviews?limit=20
+ * GET /api/v1/admin/reviews?status=hidden&sort=-createdAt
+ */
+const listReviews = catchAsync(async (req, res, next) => {
+    const ownFilter = Object.keys(req.query).some((key) => key === "status" || key.startsWith("reportCount"));
+    const queryString = ownFilter ? req.query : { status: "published", "reportCount[gte]": "1", ...req.query };
+
+    const features = new APIFeatures(
+        Review.find()
+            .select("+reports +moderation")
+            .populate("userId", "name email")
+            .populate("serviceId", "title providerID"),
+        queryString,
+        MODERATION_QUERY_OPTIONS
+    )
+        .filter()
+        .sort()
+        .paginate();
+
+    const { docs: reviews, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: "success",
+        results: reviews.length,
+        ...pagination,
+        data: {
+            reviews
+        }
+    });
+});
+
+/**
+ * @desc    Hide a review from listings and from the service's rating stats
+ * @route   PATCH /api/v1/admin/reviews/:id/hide
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+const hideReview = catchAsync(async (req, res, next) => {
+    const { review, reason } = await findModeratedReview(req);
+
+    if (review.status === "hidden") {
+        return next(new AppError("შეფასება უკვე დამალულია!", 400));
+    }
+
+    review.status = "hidden";
+    review.moderation = { action: "hidden", moderator: req.user._id, reason, at: Date.now() };
+    // Saving recalculates the service's rating stats without this review
+    await review.save();
+
+    await AdminLog.record(req, "review.hide", {
+        target: { _id: review.userId },
+        reason,
+        details: { review: review._id, service: review.serviceId, reportCount: review.reportCount }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            review
+        }
+    });
+});
+
+/**
+ * @desc    Restore a hidden review, or dismiss the reports of a published one. Clears its reports.
+ * @route   PATCH /api/v1/admin/reviews/:id/restore
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+const restoreReview = catchAsync(async (req, res, next) => {
+    const { review, reason } = await findModeratedReview(req);
+
+    if (review.status !== "hidden" && review.reportCount === 0) {
+        return next(new AppError("შეფასება არც დამალულია და არც გასაჩივრებული!", 400));
+    }
+
+    const wasHidden = review.status === "hidden";
+    const reportCount = review.reportCount;
+
+    review.status = "published";
+    review.moderation = { action: "restored", moderator: req.user._id, reason, at: Date.now() };
+    review.reports = [];
+    review.reportCount = 0;
+    await review.save();
+
+    await AdminLog.record(req, wasHidden ? "review.restore" : "review.dismiss_reports", {
+        target: { _id: review.userId },
+        reason,
+        details: { review: review._id, service: review.serviceId, reportCount }
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            review
+        }
+    });
+});
+
+/**
+ * @desc    Delete a review. The log entry keeps its rating and comment.
+ * @route   DELETE /api/v1/admin/reviews/:id
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+const deleteReview = catchAsync(async (req, res, next) => {
+    const { review, reason } = await findModeratedReview(req);
+
+    // The model removes it from Service.reviews, deletes its votes and updates the rating stats
+    await Review.findByIdAndDelete(review._id);
+
+    await AdminLog.record(req, "review.delete", {
+        target: { _id: review.userId },
+        reason,
+        details: {
+            review: review._id,
+            service: review.serviceId,
+            rating: review.rating,
+            comment: review.comment,
+            reportCount: review.reportCount
+        }
+    });
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+module.exports = { listReviews, hideReview, restoreReview, deleteReview };
@@ -7,30 +7,276 @@
  */
 
 const Service = require("../models/service.model");
+const Category = require("../models/category.model");
 const APIFeatures = require("../utils/APIFeatures");
 const AppError = require("../utils/appError");
 const catchAsync = require("../utils/catchAsync");
+const { can } = require("../utils/permissions");
+const { toSearchKey, escapeRegExp, highlight } = require("../utils/georgianSearch");
+const { EARTH_RADIUS_KM, GEORGIAN_REGIONS, toPoint, parseLatLng, distanceKm } = require("../utils/geo");
+const { saveImage, removeImages } = require("../utils/images");
+
+// "Near me" search radius in kilometres, when ?maxDistance= isn't given, and its upper bound
+const DEFAULT_MAX_DISTANCE_KM = 50;
+const MAX_DISTANCE_KM = 500;
+
+// Images a service can have (uploaded and pre-hosted together)
+const MAX_SERVICE_IMAGES = 10;
+
+/**
+ * Whitelist of what clients may filter, sort and select on the services listing.
+ * Everything else is rejected by APIFeatures with a 400.
+ */
+const SERVICE_QUERY_OPTIONS = {
+    filterable: {
+        title: "string",
+        price: "number",
+        averageRating: "number",
+        totalReviews: "number",
+        providerID: "objectId",
+        providerVerified: "boolean",
+        createdAt: "date",
+        tags: "string"
+    },
+    sortable: ["title", "price", "averageRating", "totalReviews", "createdAt", "updatedAt"],
+    selectable: ["title", "description", "price", "tags", "images", "category", "location", "serviceRadiusKm", "regions", "averageRating", "totalReviews", "ratingDistribution", "criteriaRatings", "providerID", "providerVerified", "createdAt", "updatedAt"]
+};
 
 /**
- * @desc    Retrieve all services
+ * Builds the listing condition for ?category=, which takes a category ID or slug
+ * and also matches the services of its subcategories.
+ *
+ * @async
+ * @param {*} value - Raw ?category= value
+ * @returns {Promise<Object>} - Mongo condition ({} when no category was requested)
+ * @throws {AppError} 404 when the category doesn't exist
+ */
+const categoryCondition = async (value) => {
+    if (value === undefined) return {};
+
+    if (typeof value !== "string" || !value) {
+        throw new AppError('პარამეტრი "category" უნდა იყოს კატეგორიის ID ან slug!', 400);
+    }
+
+    const category = await Category.findOne(value.length === 24 && /^[a-f0-9]+$/i.test(value) ? { _id: value } : { slug: value.toLowerCase() });
+    if (!category) {
+        throw new AppError("კატეგორია ვერ მოიძებნა!", 404);
+    }
+
+    return { category: { $in: await Category.subtreeIds(category._id) } };
+};
+
+/**
+ * Builds the listing condition for ?near=lat,lng&maxDistance=km and ?region=.
+ *
+ * "Near me" matches services located within maxDistance of the point whose coverage
+ * area (when they have one) includes the point. ?region= takes a comma-separated list
+ * of region codes and matches services provided in any of them.
+ *
+ * @param {Object} query - { near, maxDistance, region } from req.query
+ * @returns {{ condition: Object, point: Object|null }} - Mongo condition and the parsed ?near= point
+ * @throws {AppError} 400 on malformed coordinates, distance or region
+ */
+const locationCondition = ({ near, maxDistance, region }) => {
+    const condition = {};
+    let point = null;
+
+    if (near !== undefined) {
+        point = parseLatLng(near);
+
+        const distance = maxDistance === undefined ? DEFAULT_MAX_DISTANCE_KM : Number(maxDistance);
+        if (typeof distance !== "number" || !Number.isFinite(distance) || distance <= 0 || distance > MAX_DISTANCE_KM) {
+            throw new AppError(`პარამეტრი "maxDistance" უნდა იყოს 0-დან ${MAX_DISTANCE_KM} კმ-მდე!`, 400);
+        }
+
+        condition.location = { $geoWithin: { $centerSphere: [point.coordinates, distance / EARTH_RADIUS_KM] } };
+        condition.$or = [
+            { coverageArea: { $exists: false } },
+            { coverageArea: { $geoIntersects: { $geometry: point } } }
+        ];
+    } else if (maxDistance !== undefined) {
+        throw new AppError('პარამეტრი "maxDistance" გამოიყენება მხოლოდ "near"-თან ერთად!', 400);
+    }
+
+    if (region !== undefined) {
+        const regions = typeof region === "string" ? region.split(",").map((code) => code.trim()) : [];
+        if (regions.length === 0 || regions.some((code) => !GEORGIAN_REGIONS[code])) {
+            throw new AppError(`რეგიონი უნდა იყოს: ${Object.keys(GEORGIAN_REGIONS).join(", ")}`, 400);
+        }
+        condition.regions = { $in: regions };
+    }
+
+    return { condition, point };
+};
+
+/**
+ * Adds the distance from the ?near= point (km, one decimal) to listed services.
+ *
+ * @param {Object[]} services - Plain service objects
+ * @param {Object|null} point - Parsed ?near= point
+ * @returns {Object[]}
+ */
+const withDistance = (services, point) => {
+    if (!point) return services;
+    return services.map((service) => ({
+        ...service,
+        distance: service.location?.coordinates ? Math.round(distanceKm(point, service.location) * 10) / 10 : null
+    }));
+};
+
+/**
+ * Converts the location fields of a create/update request body.
+ * `location` is given as { lat, lng }; null removes the location (or the radius).
+ *
+ * @param {Object} body - req.body
+ * @returns {{ set: Object, unset: Object }}
+ * @throws {AppError} 400 on invalid coordinates
+ */
+const locationUpdates = (body) => {
+    const set = {};
+    const unset = {};
+
+    if (body.location === null) unset.location = 1;
+    else if (body.location !== undefined) set.location = toPoint(body.location?.lat, body.location?.lng);
+
+    if (body.serviceRadiusKm === null) unset.serviceRadiusKm = 1;
+    else if (body.serviceRadiusKm !== undefined) set.serviceRadiusKm = body.serviceRadiusKm;
+
+    if (body.regions !== undefined) set.regions = body.regions || [];
+
+    return { set, unset };
+};
+
+/**
+ * Storage folder of a service's uploaded images.
+ * @param {Object} service
+ * @returns {string}
+ */
+const imagePrefix = (service) => `services/${service._id}`;
+
+/**
+ * Checks that a category given in a create/update request exists.
+ *
+ * @async
+ * @param {*} id - Category ID from req.body
+ * @throws {AppError} 400 when the ID is invalid or the category doesn't exist
+ */
+const checkCategory = async (id) => {
+    if (typeof id !== "string" || id.length !== 24 || !(await Category.exists({ _id: id }))) {
+        throw new AppError("კატეგორია ვერ მოიძებნა!", 400);
+    }
+};
+
+/**
+ * @desc    Retrieve all services (supports filtering, sorting, field selection and pagination)
  * @route   GET /api/v1/services
  * @access  Public
+ *
+ * Pagination is by page number by default (response carries `total`, `page` and `pages`).
+ * Passing ?cursor= (empty for the first page) switches to cursor mode, which responds with `next`/`prev`
+ * cursors to pass back as ?cursor= instead; it needs a single sort field.
+ *
+ * @example
+ * GET /api/v1/services?price[gte]=50&tags=react,node&sort=-averageRating&fields=title,price&page=2&limit=10
+ * GET /api/v1/services?sort=-averageRating&limit=10&cursor=
+ * GET /api/v1/services?sort=-averageRating&limit=10&cursor=eyJrIjoiYXZlcmFnZVJhdGluZyIs...
+ * GET /api/v1/services?providerVerified=true
+ * GET /api/v1/services?category=plumbing&sort=price
+ * GET /api/v1/services?near=41.7151,44.8271&maxDistance=10
+ * GET /api/v1/services?region=tbilisi,kakheti
+ *
+ * With ?near=, every service carries its `distance` from the point in kilometres.
  */
 const getServices = catchAsync(async (req, res, next) => {
-    // const features = new APIFeatures(Service.find(), req.query)
-    //     .filter()
-    //     .sort()
-    //     .limitFields()
-    //     .paginate();
-        
-    // const services = await features;
+    const { category, near, maxDistance, region, ...queryString } = req.query;
+    const { condition: nearby, point } = locationCondition({ near, maxDistance, region });
+    const condition = { ...(await categoryCondition(category)), ...nearby };
+
+    const features = new APIFeatures(Service.find(condition), queryString, SERVICE_QUERY_OPTIONS)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs, pagination } = await features.execute();
+    const services = point ? withDistance(docs.map((service) => service.toObject()), point) : docs;
+
+    res.status(200).json({
+        status: "success",
+        results: services.length,
+        ...pagination,
+        data: {
+            services
+        }
+    });
+});
+
+/**
+ * @desc    Full-text search over services (title, tags, description), Georgian/Latin transliteration aware.
+ *          Combines with the listing filters (price[gte], tags, ...) and returns highlighted snippets.
+ * @route   GET /api/v1/services/search?q=
+ * @access  Public
+ *
+ * Results are ranked by text relevance unless ?sort= is given. When the text index finds nothing
+ * (e.g. a partially typed word), falls back to a prefix match on the normalised search key.
+ * Always paginated by page number (?page=, ?limit=).
+ *
+ * @example
+ * GET /api/v1/services/search?q=santeqniki&price[lte]=100&page=1&limit=20
+ * GET /api/v1/services/search?q=santeqniki&category=plumbing
+ * GET /api/v1/services/search?q=santeqniki&near=41.7151,44.8271&maxDistance=10
+ */
+const searchServices = catchAsync(async (req, res, next) => {
+    const { q, category, near, maxDistance, region, ...queryString } = req.query;
+
+    if (typeof q !== "string" || q.trim().length < 2 || q.length > 100) {
+        return next(new AppError("საძიებო ტექსტი უნდა შეიცავდეს 2-დან 100 სიმბოლომდე!", 400));
+    }
+
+    const key = toSearchKey(q);
+    const terms = [...new Set(key.split(" ").filter(Boolean))];
+    if (terms.length === 0) {
+        return next(new AppError("საძიებო ტექსტი უნდა შეიცავდეს ასოებს ან ციფრებს!", 400));
+    }
+
+    const options = { ...SERVICE_QUERY_OPTIONS, cursor: false, defaultSort: "-averageRating" };
+    const { condition: nearby, point } = locationCondition({ near, maxDistance, region });
+    const inCategory = { ...(await categoryCondition(category)), ...nearby };
+
+    // Search both the raw query (matches title/description/tags as typed) and its normalised key
+    const runSearch = (condition, byRelevance) => {
+        const features = new APIFeatures(Service.find({ ...inCategory, ...condition }), queryString, options).filter();
+        if (byRelevance && !queryString.sort) {
+            features.query = features.query.sort({ score: { $meta: "textScore" } });
+        } else {
+            features.sort();
+        }
+        return features.limitFields().paginate().execute();
+    };
 
-    const services = await Service.find();
+    let result = await runSearch({ $text: { $search: `${q} ${key}` } }, true);
 
+    if (result.pagination.total === 0) {
+        // Fuzzy fallback: every term must start a word in the search key
+        const condition = {
+            $and: terms.map((term) => ({ searchKey: { $regex: `(^| )${escapeRegExp(term)}` } }))
+        };
+        result = await runSearch(condition, false);
+    }
+
+    const services = withDistance(result.docs.map((service) => ({
+        ...service.toObject(),
+        highlights: {
+            title: highlight(service.title, terms),
+            description: highlight(service.description, terms),
+            tags: (service.tags || []).filter((tag) => highlight(tag, terms))
+        }
+    })), point);
 
     res.status(200).json({
         status: "success",
         results: services.length,
+        ...result.pagination,
         data: {
             services
         }
@@ -38,7 +284,8 @@ const getServices = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc    Retrieve a single service by ID
+ * @desc    Retrieve a single service by ID, with its rating stats (averageRating, totalReviews,
+ *          ratingDistribution per star and criteriaRatings per sub-rating)
  * @route   GET /api/v1/services/:id
  * @access  Public
  */
@@ -50,7 +297,7 @@ const getService = catchAsync(async (req, res, next) => {
         return next(new AppError("არასწორი სერვისის ID!", 400));
     }
 
-    const service = await Service.findById(id);
+    const service = await Service.findById(id).populate("category", "name slug icon parent");
 
     if (!service) {
         return next(new AppError("ვერ მოიძებნა სერვისი!", 404));
@@ -67,11 +314,12 @@ const getService = catchAsync(async (req, res, next) => {
 /**
  * @desc    Create a new service
  * @route   POST /api/v1/services
- * @access  Protected (provider only)
+ * @body    { title, description, price, category, tags?, images?, location?: { lat, lng }, serviceRadiusKm?, regions? }
+ * @access  Protected (service:create)
  */
 const addService = catchAsync(async (req, res, next) => {
     // Extract fields from request body
-    const { title, description, price, tags, images } = req.body;
+    const { title, description, price, tags, images, category } = req.body;
 
     // Optionally, get providerID from authenticated user (if using auth middleware)
     // const providerID = req.user._id;
@@ -81,14 +329,22 @@ const addService = catchAsync(async (req, res, next) => {
         return next(new AppError("სერვისის დამატება შეუძლებელია: პროვაიდერი არ არის მითითებული!", 400));
     }
 
+    // A missing category is reported by the schema validation
+    if (category !== undefined) await checkCategory(category);
+
+    const { set: location } = locationUpdates(req.body);
+
     // Create new service document
     const newService = await Service.create({
         providerID,
+        providerVerified: req.user.isVerifiedProvider,
+        category,
         title,
         description,
         price,
         tags,
-        images
+        images,
+        ...location
     });
 
     res.status(201).json({
@@ -102,7 +358,8 @@ const addService = catchAsync(async (req, res, next) => {
 /**
  * @desc    Update an existing service by ID
  * @route   PATCH /api/v1/services/:id
- * @access  Protected (provider only)
+ * @body    { title?, description?, price?, category?, tags?, images?, location?: { lat, lng } | null, serviceRadiusKm?, regions? }
+ * @access  Protected (service:update)
  */
 const updateService = catchAsync(async (req, res, next) => {
     const { id } = req.params;
@@ -119,13 +376,13 @@ const updateService = catchAsync(async (req, res, next) => {
         return next(new AppError("ვერ მოიძებნა სერვისი განახლებისთვის!", 404));
     }
 
-    // Check if the current user is the provider of the service
-    if (service.providerID.toString() !== req.user._id.toString()) {
+    // Providers may only update their own services, admins and moderators any
+    if (!can(req.user, "service:update", service)) {
         return next(new AppError("თქვენ არ გაქვთ უფლება ამ სერვისის განახლების!", 403));
     }
 
     // Only allow updatable fields
-    const allowedFields = ["title", "description", "price", "tags", "images"];
+    const allowedFields = ["title", "description", "price", "tags", "images", "category"];
     const updates = {};
     for (const key of allowedFields) {
         if (req.body[key] !== undefined) {
@@ -133,11 +390,23 @@ const updateService = catchAsync(async (req, res, next) => {
         }
     }
 
+    if (updates.category !== undefined) await checkCategory(updates.category);
+
+    const { set, unset } = locationUpdates(req.body);
+    Object.assign(updates, set);
+    if (Object.keys(unset).length > 0) updates.$unset = unset;
+
     const updatedService = await Service.findByIdAndUpdate(id, updates, {
         new: true,
         runValidators: true
     });
 
+    // Uploaded images left out of a new images list are deleted from storage
+    if (updates.images !== undefined) {
+        const removed = service.images.filter((url) => !updatedService.images.includes(url));
+        await removeImages(removed, imagePrefix(service));
+    }
+
     res.status(200).json({
         status: "success",
         data: {
@@ -149,7 +418,7 @@ const updateService = catchAsync(async (req, res, next) => {
 /**
  * @desc    Delete a service by ID
  * @route   DELETE /api/v1/services/:id
- * @access  Protected (provider only)
+ * @access  Protected (service:delete)
  */
 const deleteService = catchAsync(async (req, res, next) => {
     const { id } = req.params;
@@ -166,12 +435,13 @@ const deleteService = catchAsync(async (req, res, next) => {
         return next(new AppError("ვერ მოიძებნა სერვისი წასაშლელად!", 404));
     }
 
-    // Check if the current user is the provider of the service
-    if (service.providerID.toString() !== req.user._id.toString()) {
+    // Providers may only delete their own services, admins and moderators any
+    if (!can(req.user, "service:delete", service)) {
         return next(new AppError("თქვენ არ გაქვთ უფლება ამ სერვისის წაშლის!", 403));
     }
 
     await Service.findByIdAndDelete(id);
+    await removeImages(service.images, imagePrefix(service));
 
     res.status(204).json({
         status: "success",
@@ -179,11 +449,149 @@ const deleteService = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * Middleware run before the upload middleware of POST /:id/images: loads the service into
+ * req.service and checks the user may edit it, so files are only buffered for allowed requests.
+ * Services that already have the maximum number of images are turned away here as well.
+ *
+ * @param {Object} req - Express request object (req.params.id)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadServiceForImageUpload = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    // Validate ID format
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const service = await Service.findById(id);
+
+    if (!service) {
+        return next(new AppError("ვერ მოიძებნა სერვისი!", 404));
+    }
+
+    if (!can(req.user, "service:update", service)) {
+        return next(new AppError("თქვენ არ გაქვთ უფლება ამ სერვისის განახლების!", 403));
+    }
+
+    if (service.images.length >= MAX_SERVICE_IMAGES) {
+        return next(new AppError(`სერვისს შეიძლება ჰქონდეს მაქსიმუმ ${MAX_SERVICE_IMAGES} სურათი!`, 400));
+    }
+
+    req.service = service;
+    next();
+});
+
+/**
+ * @desc    Upload images to a service. Every image is checked, stripped of EXIF data and stored
+ *          with a thumbnail and WebP variants; its full-size URL is added to the service's images.
+ *          Runs after loadServiceForImageUpload and the upload middleware.
+ * @route   POST /api/v1/services/:id/images
+ * @body    multipart/form-data with up to 10 files in the "images" field (JPEG, PNG or WebP)
+ * @access  Protected (service:update)
+ *
+ * @example
+ * // Response data
+ * { "images": [{ "url": ".../services/<id>/<name>.jpg", "thumbnailUrl": ".../<name>-thumb.jpg",
+ *   "webpUrl": ".../<name>.webp", "thumbnailWebpUrl": ".../<name>-thumb.webp" }], "service": { ... } }
+ */
+const uploadServiceImages = catchAsync(async (req, res, next) => {
+    const { service } = req;
+    const tooManyImages = new AppError(`სერვისს შეიძლება ჰქონდეს მაქსიმუმ ${MAX_SERVICE_IMAGES} სურათი!`, 400);
+
+    // Early answer before processing; the update below enforces the limit
+    if (service.images.length + req.files.length > MAX_SERVICE_IMAGES) {
+        return next(tooManyImages);
+    }
+
+    const images = [];
+    try {
+        for (const file of req.files) {
+            images.push(await saveImage(file.buffer, imagePrefix(service), req));
+        }
+    } catch (err) {
+        // Don't leave the files of the images processed before the failing one
+        await removeImages(images.map((image) => image.url), imagePrefix(service));
+        throw err;
+    }
+
+    // $push, so concurrent uploads don't overwrite each other's images. The filter only matches
+    // while there is room for all of them (no image at index MAX - count yet), so concurrent
+    // uploads can't go over the limit together.
+    const updatedService = await Service.findOneAndUpdate(
+        { _id: service._id, [`images.${MAX_SERVICE_IMAGES - images.length}`]: { $exists: false } },
+        { $push: { images: { $each: images.map((image) => image.url) } } },
+        { new: true, runValidators: true }
+    );
+
+    if (!updatedService) {
+        await removeImages(images.map((image) => image.url), imagePrefix(service));
+
+        // Either another upload filled the service up, or the service was deleted meanwhile
+        const exists = await Service.exists({ _id: service._id });
+        return next(exists ? tooManyImages : new AppError("ვერ მოიძებნა სერვისი!", 404));
+    }
+
+    res.status(201).json({
+        status: "success",
+        data: {
+            images,
+            service: updatedService
+        }
+    });
+});
+
+/**
+ * @desc    Remove an image from a service. Uploaded images are also deleted from storage.
+ * @route   DELETE /api/v1/services/:id/images
+ * @body    { url }
+ * @access  Protected (service:update)
+ */
+const deleteServiceImage = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const url = req.body?.url;
+
+    // Validate ID format
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი სერვისის ID!", 400));
+    }
+
+    const service = await Service.findById(id);
+
+    if (!service) {
+        return next(new AppError("ვერ მოიძებნა სერვისი!", 404));
+    }
+
+    if (!can(req.user, "service:update", service)) {
+        return next(new AppError("თქვენ არ გაქვთ უფლება ამ სერვისის განახლების!", 403));
+    }
+
+    if (typeof url !== "string" || !service.images.includes(url)) {
+        return next(new AppError("სერვისს ასეთი სურათი არ აქვს!", 404));
+    }
+
+    const updatedService = await Service.findByIdAndUpdate(id, { $pull: { images: url } }, { new: true });
+    await removeImages([url], imagePrefix(service));
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            service: updatedService
+        }
+    });
+});
+
 // Export controller functions for use in routes
 module.exports = {
     getServices,
+    searchServices,
     getService,
     addService,
     updateService,
-    deleteService
+    deleteService,
+    loadServiceForImageUpload,
+    uploadServiceImages,
+    deleteServiceImage
 };
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * @file twoFactor.controller.js
+ * @description Controller functions for two-factor authentication (2FA): setting up an authenticator
+ * app (TOTP) or SMS codes, recovery codes, turning 2FA off, and letting admins/moderators require it.
+ * The login side of 2FA lives in auth.controller.js.
+ * @author Luka Tskhvaradze
+ */
+
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const totp = require("../utils/totp");
+const { hasPermission } = require("../utils/permissions");
+const { sendTwoFactorSms, TWO_FACTOR_MAX_ATTEMPTS } = require("./auth.controller");
+
+/**
+ * Loads the authenticated user together with the 2FA secret fields.
+ * @param {Object} req - Express request (expects req.user)
+ * @param {boolean} [withPassword=false] - Also load the password hash
+ * @returns {Promise<Object>}
+ */
+const loadUserWithSecrets = (req, withPassword = false) =>
+    User.findById(req.user._id).select(withPassword ? `+password ${User.TWO_FACTOR_SECRET_FIELDS}` : User.TWO_FACTOR_SECRET_FIELDS);
+
+/**
+ * Checks the password when 2FA is already on, so a stolen session can't replace the second factor.
+ * @param {Object} user - User document loaded with the password
+ * @param {string} password - Password from the request body
+ * @returns {Promise<AppError|null>} - The error to report, or null
+ */
+const checkPassword = async (user, password) => {
+    if (!user.twoFactor.enabled) return null;
+
+    if (!password || !(await user.correctPassword(password, user.password))) {
+        return new AppError("პაროლი არასწორია!", 401);
+    }
+    return null;
+};
+
+/**
+ * Checks a current second-factor code (TOTP, SMS or recovery code) when 2FA is already on.
+ * @param {Object} user - User document loaded with the 2FA secret fields
+ * @param {string} currentCode - Code from the request body
+ * @returns {AppError|null} - The error to report, or null
+ */
+const checkCurrentCode = (user, currentCode) => {
+    if (!user.twoFactor.enabled) return null;
+
+    if (!user.verifyTwoFactorCode(currentCode)) {
+        return new AppError("მიმდინარე ორსაფეხურიანი კოდი არასწორია!", 401);
+    }
+    return null;
+};
+
+/**
+ * Turns 2FA on with the given method and returns fresh recovery codes.
+ * @param {Object} user - User document loaded with the 2FA secret fields
+ * @param {"totp"|"sms"} method
+ * @returns {Promise<string[]>} - The plain recovery codes
+ */
+const enableTwoFactor = async (user, method) => {
+    user.twoFactor.enabled = true;
+    user.twoFactor.method = method;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+};
+
+/**
+ * @desc    Start authenticator app setup: creates a secret to scan as a QR code.
+ *          When 2FA is already on, needs the password and a current code.
+ * @route   POST /api/v1/users/2fa/totp/setup
+ * @access  Protected (provider, moderator, admin)
+ */
+const setupTotp = catchAsync(async (req, res, next) => {
+    const { password, currentCode } = req.body || {};
+    const user = await loadUserWithSecrets(req, true);
+
+    const error = (await checkPassword(user, password)) || checkCurrentCode(user, currentCode);
+    if (error) {
+        return next(error);
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingTotpSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: "success",
+        message: "დაასკანერეთ QR კოდი ავთენტიფიკატორ აპლიკაციით და დაადასტურეთ კოდით!",
+        data: {
+            secret,
+            otpauthURL: totp.provisioningURI(secret, user.email)
+        }
+    });
+});
+
+/**
+ * @desc    Confirm authenticator app setup with a code from the app and enable 2FA.
+ *          When 2FA is already on, needs the password (the current code was checked by setupTotp).
+ * @route   POST /api/v1/users/2fa/totp/enable
+ * @access  Protected (provider, moderator, admin)
+ */
+const enableTotp = catchAsync(async (req, res, next) => {
+    const { code, password } = req.body || {};
+    const user = await loadUserWithSecrets(req, true);
+
+    // While 2FA is on, a pending secret only exists after setupTotp checked a current code
+    if (!user.twoFactor.pendingTotpSecret) {
+        return next(new AppError("ჯერ დაიწყეთ ავთენტიფიკატორის დაყენება!", 400));
+    }
+
+    const error = await checkPassword(user, password);
+    if (error) {
+        return next(error);
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingTotpSecret, code);
+    if (step === null) {
+        return next(new AppError("კოდი არასწორია!", 400));
+    }
+
+    user.twoFactor.totpSecret = user.twoFactor.pendingTotpSecret;
+    user.twoFactor.pendingTotpSecret = undefined;
+    user.twoFactor.lastTotpStep = step;
+
+    const recoveryCodes = await enableTwoFactor(user, "totp");
+
+    res.status(200).json({
+        status: "success",
+        message: "ორსაფეხურიანი ავტორიზაცია ჩაირთო! შეინახეთ აღდგენის კოდები უსაფრთხო ადგილას.",
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+/**
+ * @desc    Start SMS 2FA setup: sends a code to the verified phone number. When SMS 2FA is
+ *          already on, the code serves as the current code for switching to an authenticator app.
+ * @route   POST /api/v1/users/2fa/sms/setup
+ * @access  Protected (provider, moderator, admin)
+ */
+const setupSms = catchAsync(async (req, res, next) => {
+    const user = await loadUserWithSecrets(req);
+
+    if (!user.isPhoneVerified) {
+        return next(new AppError("SMS კოდის გასაგზავნად ტელეფონი უნდა იყოს დადასტურებული!", 400));
+    }
+
+    const wait = user.twoFactorSmsWait();
+    if (wait > 0) {
+        res.set("Retry-After", String(wait));
+        return next(new AppError(`გთხოვთ სცადოთ ${wait} წამში!`, 429));
+    }
+
+    try {
+        await sendTwoFactorSms(user);
+    } catch (err) {
+        console.error("SMS Error:", err);
+        return next(new AppError("SMS ვერ გაიგზავნა. გთხოვთ, სცადეთ მოგვიანებით!", 500));
+    }
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: "success",
+        message: "კოდი გაიგზავნა ტელეფონზე!"
+    });
+});
+
+/**
+ * @desc    Confirm SMS 2FA setup with the code sent by SMS and enable 2FA.
+ *          When 2FA is already on, needs the password and a current code too.
+ * @route   POST /api/v1/users/2fa/sms/enable
+ * @access  Protected (provider, moderator, admin)
+ */
+const enableSms = catchAsync(async (req, res, next) => {
+    const { code, password, currentCode } = req.body || {};
+    const user = await loadUserWithSecrets(req, true);
+
+    if (user.twoFactor.enabled && user.twoFactor.method === "sms") {
+        return next(new AppError("SMS-ით ორსაფეხურიანი ავტორიზაცია უკვე ჩართულია!", 400));
+    }
+
+    const passwordError = await checkPassword(user, password);
+    if (passwordError) {
+        return next(passwordError);
+    }
+
+    // Only the SMS code counts here, not a TOTP or recovery code
+    if (!user.verifyTwoFactorSmsCode(code)) {
+        return next(new AppError("კოდი არასწორია ან ვადა გაუვიდა!", 400));
+    }
+
+    // Checked after the SMS code is consumed, so it can't stand in for the current factor
+    const codeError = checkCurrentCode(user, currentCode);
+    if (codeError) {
+        return next(codeError);
+    }
+
+    user.twoFactor.totpSecret = undefined;
+    user.twoFactor.pendingTotpSecret = undefined;
+    user.twoFactor.lastTotpStep = undefined;
+
+    const recoveryCodes = await enableTwoFactor(user, "sms");
+
+    res.status(200).json({
+        status: "success",
+        message: "ორსაფეხურიანი ავტორიზაცია ჩაირთო! შეინახეთ აღდგენის კოდები უსაფრთხო ადგილას.",
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+/**
+ * @desc    Turn 2FA off (needs the password and a current code). Not allowed when 2FA is required.
+ * @route   POST /api/v1/users/2fa/disable
+ * @access  Protected (provider, moderator, admin)
+ */
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+    const { password, code } = req.body || {};
+    const user = await User.findById(req.user._id).select(`+password ${User.TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+        return next(new AppError("ორსაფეხურიანი ავტორიზაცია არ არის ჩართული!", 400));
+    }
+
+    if (user.twoFactor.required) {
+        return next(new AppError("თქვენი ანგარიშისთვის ორსაფეხურიანი ავტორიზაცია სავალდებულოა!", 403));
+    }
+
+    if (!password || !(await user.correctPassword(password, user.password))) {
+        return next(new AppError("პაროლი არასწორია!", 401));
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+        return next(new AppError("კოდი არასწორია!", 401));
+    }
+
+    user.twoFactor = {
+        enabled: false,
+        required: user.twoFactor.required
+    };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: "success",
+        message: "ორსაფეხურიანი ავტორიზაცია გამოირთო!"
+    });
+});
+
+/**
+ * @desc    Replace the recovery codes (needs the password and a current code).
+ *          Wrong codes count towards the login challenge limit; once it is reached,
+ *          the user has to log in again before trying more codes.
+ * @route   POST /api/v1/users/2fa/recovery-codes
+ * @access  Protected (provider, moderator, admin)
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+    const { password, code } = req.body || {};
+    const user = await loadUserWithSecrets(req, true);
+
+    if (!user.twoFactor.enabled) {
+        return next(new AppError("ორსაფეხურიანი ავტორიზაცია არ არის ჩართული!", 400));
+    }
+
+    if (user.twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        return next(new AppError("ძალიან ბევრი არასწორი კოდი. გთხოვთ, შედით თავიდან!", 429));
+    }
+
+    const passwordError = await checkPassword(user, password);
+    if (passwordError) return next(passwordError);
+
+    if (!user.verifyTwoFactorCode(code)) {
+        user.twoFactor.failedAttempts += 1;
+        await user.save({ validateBeforeSave: false });
+
+        return next(new AppError("კოდი არასწორია!", 401));
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    user.twoFactor.failedAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+/**
+ * @desc    Require (or stop requiring) 2FA for a user. Moderators may only target service providers.
+ * @route   PATCH /api/v1/users/:id/require-2fa
+ * @access  Protected (admin, moderator)
+ */
+const requireTwoFactor = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const { required } = req.body || {};
+
+    if (!id || id.length !== 24) {
+        return next(new AppError("არასწორი მომხმარებლის ID!", 400));
+    }
+
+    if (typeof required !== "boolean") {
+        return next(new AppError("გთხოვთ მიუთითოთ required (true ან false)!", 400));
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+        return next(new AppError("მომხმარებელი არ არსებობს!", 404));
+    }
+
+    if (!hasPermission(user.role, "two_factor:manage")) {
+        return next(new AppError("ორსაფეხურიანი ავტორიზაცია ხელმისაწვდომია მხოლოდ პროვაიდერებისა და ადმინისტრატორებისთვის!", 400));
+    }
+
+    if (req.user.role === "moderator" && user.role !== "service_provider") {
+        return next(new AppError("თქვენ არ გაქვთ უფლება ამ მოქმედების გამოყენების!", 403));
+    }
+
+    user.twoFactor.required = required;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+module.exports = {
+    setupTotp,
+    enableTotp,
+    setupSms,
+    enableSms,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    requireTwoFactor
+};
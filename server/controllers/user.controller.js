@@ -0,0 +1,208 @@
+/**
+ * @file user.controller.js
+ * @description Controller functions for the authenticated user's own account: viewing and
+ * updating the profile, and deactivating the account.
+ * @author Luka Tskhvaradze
+ */
+
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { saveImage, removeImages } = require("../utils/images");
+const { sendVerificationEmail, sendPhoneVerificationCode, clearAuthCookies } = require("./auth.controller");
+
+// Fields a user may change through PATCH /updateMe
+const UPDATABLE_FIELDS = ["name", "profileImage", "bio", "phone", "email"];
+// Fields with their own endpoints or that only admins may change
+const BLOCKED_FIELDS = ["password", "passwordConfirm", "role"];
+
+/**
+ * Storage folder of a user's uploaded profile photos.
+ * @param {Object} user
+ * @returns {string}
+ */
+const imagePrefix = (user) => `users/${user._id}`;
+
+/**
+ * Keeps only the allowed fields of an object.
+ * @param {Object} obj - Source object (e.g. req.body)
+ * @param {string[]} allowedFields
+ * @returns {Object}
+ */
+const filterObj = (obj, allowedFields) => {
+    const newObj = {};
+    Object.keys(obj).forEach((field) => {
+        if (allowedFields.includes(field)) newObj[field] = obj[field];
+    });
+    return newObj;
+};
+
+/**
+ * @desc    Retrieve the authenticated user's profile
+ * @route   GET /api/v1/users/me
+ * @access  Protected
+ */
+const getMe = catchAsync(async (req, res, next) => {
+    res.status(200).json({
+        status: "success",
+        data: {
+            user: req.user
+        }
+    });
+});
+
+/**
+ * @desc    Update the authenticated user's profile
+ * @route   PATCH /api/v1/users/updateMe
+ * @access  Protected
+ *
+ * - `name`, `profileImage` and `bio` change right away.
+ * - A new `phone` is saved unverified and a verification code is sent to it (POST /verify-phone).
+ * - A new `email` is kept as pendingEmail until the link sent to it is opened; the old address stays in use until then.
+ * - Password and role can't be changed here.
+ */
+const updateMe = catchAsync(async (req, res, next) => {
+    const body = req.body || {};
+
+    const blocked = BLOCKED_FIELDS.filter((field) => field in body);
+    if (blocked.length > 0) {
+        return next(new AppError(`ამ მარშრუტით ვერ შეცვლით: ${blocked.join(", ")}. პაროლისთვის გამოიყენეთ /updateMyPassword.`, 400));
+    }
+
+    const updates = filterObj(body, UPDATABLE_FIELDS);
+    if (Object.keys(updates).length === 0) {
+        return next(new AppError(`შესაცვლელი ველები: ${UPDATABLE_FIELDS.join(", ")}`, 400));
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousImage = user.profileImage;
+
+    if (updates.name !== undefined) user.name = updates.name;
+    if (updates.profileImage !== undefined) user.profileImage = updates.profileImage;
+    if (updates.bio !== undefined) user.bio = updates.bio;
+
+    const phoneChanged = updates.phone !== undefined && updates.phone !== user.phone;
+    if (phoneChanged) {
+        // SMS two-factor codes go to this number, so it can't change under an enabled SMS 2FA
+        if (user.twoFactor?.enabled && user.twoFactor.method === "sms") {
+            return next(new AppError("ტელეფონის შესაცვლელად ჯერ გამორთეთ SMS ორსაფეხურიანი ავტორიზაცია!", 400));
+        }
+
+        const wait = user.phoneCodeResendWait();
+        if (wait > 0) {
+            res.set("Retry-After", String(wait));
+            return next(new AppError(`გთხოვთ სცადოთ ${wait} წამში!`, 429));
+        }
+
+        user.phone = updates.phone;
+        user.isPhoneVerified = false;
+    }
+
+    const emailChanged = typeof updates.email === "string" && updates.email.toLowerCase() !== user.email;
+    if (emailChanged) {
+        // Deactivated accounts keep their email too
+        if (await User.exists({ email: updates.email.toLowerCase(), active: { $in: [true, false, null] } })) {
+            return next(new AppError("ეს ელექტრონული ფოსტა უკვე გამოიყენება!", 400));
+        }
+        user.pendingEmail = updates.email;
+    }
+
+    const validationError = user.validateSync(["name", "profileImage", "bio", "phone", "pendingEmail"]);
+    if (validationError) {
+        const messages = Object.values(validationError.errors).map((el) => el.message);
+        return next(new AppError(`არასწორი მონაცემები. ${messages.join(". ")}`, 400));
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    if (user.profileImage !== previousImage) {
+        await removeImages([previousImage], imagePrefix(user));
+    }
+
+    if (emailChanged) {
+        await sendVerificationEmail(user, user.pendingEmail, req);
+    }
+
+    const smsSent = phoneChanged ? await sendPhoneVerificationCode(user) : true;
+
+    const messages = ["პროფილი განახლდა!"];
+    if (emailChanged) messages.push("ახალ ელფოსტაზე გაიგზავნა დამადასტურებელი ლინკი.");
+    if (phoneChanged) messages.push(smsSent ? "ახალ ნომერზე გაიგზავნა დადასტურების კოდი." : "SMS კოდი ვერ გაიგზავნა, გთხოვთ მოითხოვოთ ხელახლა.");
+
+    res.status(200).json({
+        status: "success",
+        message: messages.join(" "),
+        data: {
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Deactivate the authenticated user's account (soft delete)
+ * @route   DELETE /api/v1/users/deleteMe
+ * @access  Protected
+ *
+ * The account is kept but hidden from every query and can't log in; all its sessions end.
+ */
+const deleteMe = catchAsync(async (req, res, next) => {
+    await User.findByIdAndUpdate(req.user._id, { active: false, deactivatedAt: Date.now() });
+    await Session.revokeAllForUser(req.user._id, "account_deactivated");
+
+    clearAuthCookies(res);
+
+    res.status(204).json({
+        status: "success",
+        data: null
+    });
+});
+
+/**
+ * @desc    Upload a new profile photo. It's stripped of EXIF data and stored with a thumbnail and
+ *          WebP variants; the previous uploaded photo is deleted.
+ * @route   PATCH /api/v1/users/updateMyPhoto
+ * @body    multipart/form-data with one file in the "photo" field (JPEG, PNG or WebP)
+ * @access  Protected
+ */
+const updateMyPhoto = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user._id);
+    const previousImage = user.profileImage;
+
+    const image = await saveImage(req.files[0].buffer, imagePrefix(user), req);
+
+    user.profileImage = image.url;
+    await user.save({ validateBeforeSave: false });
+    await removeImages([previousImage], imagePrefix(user));
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            image,
+            user
+        }
+    });
+});
+
+/**
+ * @desc    Remove the profile photo (an uploaded photo is also deleted from storage)
+ * @route   DELETE /api/v1/users/deleteMyPhoto
+ * @access  Protected
+ */
+const deleteMyPhoto = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user._id);
+    const previousImage = user.profileImage;
+
+    user.profileImage = null;
+    await user.save({ validateBeforeSave: false });
+    await removeImages([previousImage], imagePrefix(user));
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            user
+        }
+    });
+});
+
+module.exports = { getMe, updateMe, deleteMe, updateMyPhoto, deleteMyPhoto };
@@ -0,0 +1,128 @@
+/**
+ * Helpers for computing bookable time slots from a service's availability.
+ *
+ * Slots are generated from the provider's weekly rules (or the exception for
+ * that date) in the Asia/Tbilisi time zone, then any slot overlapping a booking
+ * that still holds its time is removed. Slots that already started are never open.
+ *
+ * Usage:
+ *   const slots = await getOpenSlots(availability, "2025-10-01", "2025-10-07");
+ *   const { open, end } = await checkSlot(availability, new Date(req.body.scheduledAt));
+ *   const booking = await withScheduleLock(providerId, async () => { ...checkSlot, then Booking.create... });
+ *
+ * Notes:
+ * - Overlaps are checked per provider, not per service, since a provider can't
+ *   do two jobs at once.
+ * - Check and insert under withScheduleLock: two bookings with different start times or
+ *   lengths can overlap, which the unique slotKey alone doesn't catch.
+ */
+
+const Booking = require("../models/booking.model.js");
+const ScheduleLock = require("../models/scheduleLock.model.js");
+const AppError = require("../utils/appError.js");
+const { zonedTimeToUtc, toZonedDate, eachDate } = require("../utils/timezone.js");
+
+// Booking statuses that keep the time slot taken (declined/cancelled free it)
+const SLOT_BLOCKING_STATUSES = ["requested", "accepted", "in_progress", "completed"];
+
+// How often and how long to wait for a provider's schedule held by another booking
+const LOCK_ATTEMPTS = 20;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Generates every slot of the schedule between two local dates, ignoring bookings.
+ *
+ * @param {Object} availability - Availability document
+ * @param {string} from - Local date "YYYY-MM-DD"
+ * @param {string} to - Local date "YYYY-MM-DD" (inclusive)
+ * @returns {{ start: Date, end: Date }[]}
+ */
+const generateSlots = (availability, from, to) => {
+    const { slotMinutes, timezone } = availability;
+    const slots = [];
+
+    for (const { date, weekday } of eachDate(from, to)) {
+        for (const interval of availability.intervalsFor(date, weekday)) {
+            const intervalStart = zonedTimeToUtc(date, interval.start, timezone).getTime();
+            const intervalEnd = zonedTimeToUtc(date, interval.end, timezone).getTime();
+
+            for (let start = intervalStart; start + slotMinutes * 60 * 1000 <= intervalEnd; start += slotMinutes * 60 * 1000) {
+                slots.push({ start: new Date(start), end: new Date(start + slotMinutes * 60 * 1000) });
+            }
+        }
+    }
+
+    return slots;
+};
+
+/**
+ * Returns the slots between two local dates that are in the future and not booked.
+ *
+ * @async
+ * @param {Object} availability - Availability document
+ * @param {string} from - Local date "YYYY-MM-DD"
+ * @param {string} to - Local date "YYYY-MM-DD" (inclusive)
+ * @returns {Promise<{ start: Date, end: Date }[]>}
+ */
+const getOpenSlots = async (availability, from, to) => {
+    const now = Date.now();
+    const slots = generateSlots(availability, from, to).filter((slot) => slot.start.getTime() > now);
+    if (slots.length === 0) return [];
+
+    const bookings = await Booking.find({
+        providerId: availability.providerId,
+        status: { $in: SLOT_BLOCKING_STATUSES },
+        scheduledAt: { $lt: slots[slots.length - 1].end },
+        scheduledEnd: { $gt: slots[0].start },
+    }).select("scheduledAt scheduledEnd");
+
+    return slots.filter((slot) => !bookings.some((booking) =>
+        booking.scheduledAt < slot.end && booking.scheduledEnd > slot.start
+    ));
+};
+
+/**
+ * Checks whether a booking may start at the given instant.
+ *
+ * @async
+ * @param {Object} availability - Availability document
+ * @param {Date} start - Requested start
+ * @returns {Promise<{ open: boolean, end?: Date }>} - end of the slot when it is open
+ */
+const checkSlot = async (availability, start) => {
+    const date = toZonedDate(start, availability.timezone);
+    const slot = (await getOpenSlots(availability, date, date))
+        .find((candidate) => candidate.start.getTime() === start.getTime());
+
+    return slot ? { open: true, end: slot.end } : { open: false };
+};
+
+/**
+ * Runs `fn` while holding the lock of the provider's schedule, so a slot check and the booking
+ * insert that follows it can't interleave with another booking of the same provider.
+ *
+ * @async
+ * @param {mongoose.Types.ObjectId|string} providerId
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<*>} - What fn returns
+ * @throws {AppError} 409 when the schedule stays locked
+ */
+const withScheduleLock = async (providerId, fn) => {
+    let token = null;
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS && !token; attempt++) {
+        if (attempt > 0) await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+        token = await ScheduleLock.acquire(providerId);
+    }
+
+    if (!token) {
+        throw new AppError("პროვაიდერის განრიგი ახლა იცვლება, სცადეთ თავიდან!", 409);
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await ScheduleLock.release(providerId, token);
+    }
+};
+
+module.exports = { SLOT_BLOCKING_STATUSES, generateSlots, getOpenSlots, checkSlot, withScheduleLock };
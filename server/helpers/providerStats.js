@@ -0,0 +1,91 @@
+/**
+ * Computes the public statistics shown on a provider's profile.
+ *
+ * - Rating: average over all of the provider's reviews, i.e. every service's averageRating
+ *   weighted by its totalReviews (a service with one review doesn't count as much as one with fifty).
+ * - Completed jobs: bookings of the provider that reached "completed".
+ * - Response time: average time from a booking request to the provider accepting or
+ *   declining it, over the last RESPONSE_TIME_WINDOW_DAYS days.
+ *
+ * Usage:
+ *   const stats = await getProviderStats(provider._id);
+ *   // { averageRating: 4.7, totalReviews: 31, totalServices: 3, completedJobs: 24, responseTimeMinutes: 42 }
+ *
+ * Notes:
+ * - averageRating is rounded to one decimal, responseTimeMinutes to whole minutes.
+ * - responseTimeMinutes is null while the provider hasn't answered any booking in the window.
+ */
+
+const Booking = require("../models/booking.model.js");
+const Service = require("../models/service.model.js");
+
+// Only recent answers count, so the response time reflects how the provider works now
+const RESPONSE_TIME_WINDOW_DAYS = 90;
+
+/**
+ * @async
+ * @function getProviderStats
+ * @param {mongoose.Types.ObjectId} providerId - The provider's user ID
+ * @returns {Promise<{ averageRating: number, totalReviews: number, totalServices: number, completedJobs: number, responseTimeMinutes: number|null }>}
+ */
+const getProviderStats = async (providerId) => {
+    const since = new Date(Date.now() - RESPONSE_TIME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const [ratings, completedJobs, responses] = await Promise.all([
+        Service.aggregate([
+            { $match: { providerID: providerId } },
+            {
+                $group: {
+                    _id: null,
+                    totalServices: { $sum: 1 },
+                    totalReviews: { $sum: "$totalReviews" },
+                    ratingSum: { $sum: { $multiply: ["$averageRating", "$totalReviews"] } }
+                }
+            }
+        ]),
+
+        Booking.countDocuments({ providerId, status: "completed" }),
+
+        Booking.aggregate([
+            { $match: { providerId, createdAt: { $gte: since } } },
+            // First time the provider accepted or declined the request
+            {
+                $project: {
+                    createdAt: 1,
+                    respondedAt: {
+                        $min: {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: "$statusHistory",
+                                        cond: { $in: ["$$this.status", ["accepted", "declined"]] }
+                                    }
+                                },
+                                in: "$$this.at"
+                            }
+                        }
+                    }
+                }
+            },
+            { $match: { respondedAt: { $ne: null } } },
+            {
+                $group: {
+                    _id: null,
+                    averageMs: { $avg: { $subtract: ["$respondedAt", "$createdAt"] } }
+                }
+            }
+        ])
+    ]);
+
+    const { totalServices = 0, totalReviews = 0, ratingSum = 0 } = ratings[0] || {};
+
+    return {
+        averageRating: totalReviews > 0 ? Math.round((ratingSum / totalReviews) * 10) / 10 : 0,
+        totalReviews,
+        totalServices,
+        completedJobs,
+        responseTimeMinutes: responses.length > 0 ? Math.round(responses[0].averageMs / 60000) : null
+    };
+};
+
+module.exports = getProviderStats;
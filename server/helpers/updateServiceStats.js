@@ -1,5 +1,6 @@
 /**
- * Updates the average rating and total number of reviews for a given service.
+ * Updates the rating stats of a given service: average rating, total number of reviews,
+ * number of reviews per star and the average of every sub-rating.
  *
  * This helper function recalculates the average rating and total review count
  * for a service based on all associated reviews in the database. It uses MongoDB's
@@ -16,40 +17,53 @@
  *
  * Notes:
  * - If there are no reviews for the service, the averageRating is set to 0 and totalReviews to 0.
- * - This function should be called after creating, updating, or deleting a review.
+ * - The per-star counts always add up to totalReviews (older ratings outside 1-5 count as 1 or 5 stars).
+ * - A sub-rating's average only counts the reviews that gave it, and is null when none did.
+ * - Reviews hidden by moderators aren't counted.
+ * - Called by the Review model middleware whenever a review is created, edited or deleted.
  */
 
-const Review = require("../models/review.model.js");
+const mongoose = require("mongoose");
 const Service = require("../models/service.model.js");
 
+const STARS = [1, 2, 3, 4, 5];
+
 const updateServiceStats = async (serviceId) => {
+    // Looked up by name: the Review model requires this helper, so requiring it here would be circular
+    const Review = mongoose.model("Review");
+
+    // Aggregation pipelines aren't cast by the schema, so a string ID would match nothing
+    const id = new mongoose.Types.ObjectId(String(serviceId));
+
     // Aggregate reviews to calculate average rating and total number of reviews for the service
     const stats = await Review.aggregate([
-        { $match: { serviceId } }, // Match reviews for the given service
+        { $match: { serviceId: id, status: { $ne: "hidden" } } }, // Match visible reviews for the given service
         {
             $group: {
                 _id: "$serviceId", // Group by service ID
                 averageRating: { $avg: "$rating" }, // Calculate average rating
-                totalReviews: { $sum: 1 } // Count total reviews
+                totalReviews: { $sum: 1 }, // Count total reviews
+                // Count reviews per star. Older reviews may have fractional ratings or a rating of 0, so
+                // ratings are rounded and clamped to 1-5: every counted review lands in a bucket
+                ...Object.fromEntries(STARS.map((star) => [
+                    `stars${star}`,
+                    { $sum: { $cond: [{ $eq: [{ $min: [5, { $max: [1, { $round: ["$rating", 0] }] }] }, star] }, 1, 0] } }
+                ])),
+                // $avg skips reviews without the sub-rating and gives null when none has it
+                ...Object.fromEntries(Service.RATING_CRITERIA.map((criterion) => [criterion, { $avg: `$criteria.${criterion}` }]))
             }
         }
     ]);
 
-    console.log(stats)
-  
-    if (stats.length > 0) {
-        // If there are reviews, update the service with calculated stats
-        await Service.findByIdAndUpdate(serviceId, {
-            averageRating: stats[0].averageRating,
-            totalReviews: stats[0].totalReviews
-        });
-    } else {
-        // If no reviews exist, reset stats to zero
-        await Service.findByIdAndUpdate(serviceId, {
-            averageRating: 0,
-            totalReviews: 0
-        });
-    }
+    // If no reviews exist, reset stats to zero
+    const result = stats[0] || { averageRating: 0, totalReviews: 0 };
+
+    await Service.findByIdAndUpdate(serviceId, {
+        averageRating: result.averageRating,
+        totalReviews: result.totalReviews,
+        ratingDistribution: Object.fromEntries(STARS.map((star) => [star, result[`stars${star}`] || 0])),
+        criteriaRatings: Object.fromEntries(Service.RATING_CRITERIA.map((criterion) => [criterion, result[criterion] ?? null]))
+    });
 };
 
 module.exports = updateServiceStats;
\ No newline at end of file
@@ -7,13 +7,24 @@
 
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model.js"); // Update path if needed
+const Session = require("../models/session.model.js");
 const AppError = require("../utils/appError.js");
+const { loginBlockedError } = require("../controllers/auth.controller.js");
+
+// lastSeenAt is refreshed at most this often to avoid a write on every request
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000; // 1 minute
 
 /**
- * Protect middleware to secure routes.
- * Checks JWT from cookies, verifies it, and attaches user to req.user.
+ * Builds the protect middleware.
+ * Checks JWT from cookies, verifies it, checks that its session is still active and that the
+ * user isn't blocked from logging in (suspension, required password reset), and attaches the
+ * user to req.user and the session to req.authSession.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enforceTwoFactor - Block users who were required to enable 2FA but haven't yet
+ * @returns {Function} Express middleware
  */
-const protect = async (req, res, next) => {
+const authenticate = ({ enforceTwoFactor }) => async (req, res, next) => {
     try {
         // 1. Check if token exists in cookies
         const token = req.cookies?.token;
@@ -26,21 +37,51 @@ const protect = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
 
-        if (!decoded || !decoded.id) {
+        if (!decoded || !decoded.id || !decoded.sid) {
             return next(new AppError("არასწორი ტოკენი!", 401));
         }
 
-        // 3. Find user by ID and exclude sensitive fields
+        // 3. Reject tokens whose session was revoked (logout, password reset, ...) or expired
+        const session = await Session.findById(decoded.sid);
+
+        if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+            return next(new AppError("სესია დასრულებულია. გთხოვთ, შედით თავიდან!", 401));
+        }
+
+        // 4. Find user by ID and exclude sensitive fields
         const user = await User.findById(decoded.id).select("-password");
 
         if (!user) {
             return next(new AppError("მომხმარებელი არ არსებობს!", 404));
         }
 
-        // 4. Attach user to request object
+        // 5. Reject tokens issued before the password was last changed
+        if (user.changedPasswordAfter(decoded.iat)) {
+            return next(new AppError("პაროლი ცოტა ხნის წინ შეიცვალა. გთხოვთ, შედით თავიდან!", 401));
+        }
+
+        // 6. Suspended users, and users who have to reset their password, can't use live tokens either
+        const blocked = loginBlockedError(user);
+        if (blocked) {
+            return next(blocked);
+        }
+
+        // 7. Users required to use 2FA may only reach the 2FA setup routes until they enable it
+        if (enforceTwoFactor && user.twoFactor?.required && !user.twoFactor.enabled) {
+            return next(new AppError("თქვენი ანგარიშისთვის სავალდებულოა ორსაფეხურიანი ავტორიზაციის ჩართვა!", 403));
+        }
+
+        // 8. Keep track of when the session was last used
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+            session.lastSeenAt = Date.now();
+            await session.save();
+        }
+
+        // 9. Attach user and session to request object
         req.user = user;
+        req.authSession = session;
 
-        // 5. Move to next middleware or controller
+        // 10. Move to next middleware or controller
         next();
     } catch (error) {
         console.error("Auth Middleware Error:", error.message);
@@ -54,4 +95,10 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Default middleware for protected routes
+const protect = authenticate({ enforceTwoFactor: true });
+
+// Variant for the routes a user needs to set up 2FA when it is required of them
+protect.allowTwoFactorSetup = authenticate({ enforceTwoFactor: false });
+
 module.exports = protect;
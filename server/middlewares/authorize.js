@@ -0,0 +1,32 @@
+/**
+ * @file authorize.js
+ * @description Permission-based access middleware (replaces hard-coded restrictTo role lists).
+ * The role to permission mapping lives in utils/permissions.js.
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const AppError = require("../utils/appError.js");
+const { hasPermission } = require("../utils/permissions.js");
+
+/**
+ * Lets the request through when the user's role has the action in some scope.
+ *
+ * For `:own` permissions this only means the user may try: the controller still checks the
+ * resource with `can(req.user, action, resource)`. Must run after protect.
+ *
+ * @param {string} action - e.g. "service:update"
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * serviceRouter.patch("/:id", protect, authorize("service:update"), updateService);
+ */
+const authorize = (action) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, action)) {
+        return next(new AppError("თქვენ არ გაქვთ უფლება ამ მოქმედების გამოყენების!", 403));
+    }
+
+    next();
+};
+
+module.exports = authorize;
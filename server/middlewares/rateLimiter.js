@@ -0,0 +1,176 @@
+/**
+ * @file rateLimiter.js
+ * @description Rate limiting middleware for sensitive endpoints (login, password reset, code checks).
+ *
+ * Every limiter counts requests per client IP and, optionally, per account (e.g. the email or phone
+ * in the request body), in fixed windows. When a limit is reached the request fails with 429 and a
+ * `Retry-After` header.
+ *
+ * Counters are kept in a pluggable store chosen with the `RATE_LIMIT_STORE` environment variable:
+ * - `memory` — in-process Map (default, fine for a single server instance)
+ * - `mongo`  — the RateLimit collection, shared between instances
+ *
+ * Limits can be changed without code changes with `RATE_LIMIT_<NAME>_MAX` (per IP),
+ * `RATE_LIMIT_<NAME>_ACCOUNT_MAX` and `RATE_LIMIT_<NAME>_WINDOW_MINUTES`
+ * (e.g. RATE_LIMIT_LOGIN_MAX=20). `RATE_LIMIT_DISABLED=true`
+ * turns all limiters off (local development only). Behind a reverse proxy set `TRUST_PROXY`
+ * (see app.js) so the client IP is used instead of the proxy's.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const AppError = require("../utils/appError.js");
+
+/**
+ * In-memory store. Expired counters are swept every minute.
+ */
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, 60 * 1000);
+    // Don't keep the process alive just for the sweep
+    sweep.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + windowMs };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+
+            return { count: counter.count, resetAt: counter.resetAt };
+        }
+    };
+};
+
+/**
+ * MongoDB store backed by the RateLimit model.
+ */
+const createMongoStore = () => {
+    // Required lazily so the memory store works without loading the model
+    const RateLimit = require("../models/rateLimit.model.js");
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+
+            // Count the request in the current window
+            let counter = await RateLimit.findOneAndUpdate(
+                { key, resetAt: { $gt: now } },
+                { $inc: { count: 1 } },
+                { new: true }
+            );
+
+            // No window yet, or the last one is over: start a new one
+            if (!counter) {
+                try {
+                    counter = await RateLimit.findOneAndUpdate(
+                        { key },
+                        { count: 1, resetAt: now + windowMs },
+                        { new: true, upsert: true }
+                    );
+                } catch (err) {
+                    // Another request created the window first
+                    if (err.code !== 11000) throw err;
+                    return this.increment(key, windowMs);
+                }
+            }
+
+            return { count: counter.count, resetAt: counter.resetAt.getTime() };
+        }
+    };
+};
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+let store;
+
+/**
+ * Returns the configured store, created on first use.
+ * @returns {{ increment: Function }}
+ */
+const getStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || "memory";
+        if (!stores[name]) {
+            throw new Error(`Unknown rate limit store "${name}"`);
+        }
+        store = stores[name]();
+    }
+    return store;
+};
+
+/**
+ * Normalizes an account identifier from the request body (email, phone, ...).
+ * @param {*} value
+ * @returns {string|null} - null when the value can't identify an account
+ */
+const normalizeAccount = (value) => {
+    if (typeof value !== "string" || !value.trim()) return null;
+    return value.trim().toLowerCase();
+};
+
+/**
+ * Creates a rate limiting middleware.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used in store keys and env overrides
+ * @param {number} options.windowMinutes - Window length
+ * @param {number} options.maxPerIp - Requests allowed per IP in a window
+ * @param {number} [options.maxPerAccount] - Requests allowed per account in a window
+ * @param {Function} [options.account] - Returns the account identifier from the request, e.g. (req) => req.body?.email
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.post("/login", rateLimit({ name: "login", windowMinutes: 15, maxPerIp: 50, maxPerAccount: 10, account: (req) => req.body?.email }), login);
+ */
+const rateLimit = ({ name, windowMinutes, maxPerIp, maxPerAccount, account }) => {
+    const envName = `RATE_LIMIT_${name.toUpperCase().replace(/\W/g, "_")}`;
+    const windowMs = (Number(process.env[`${envName}_WINDOW_MINUTES`]) || windowMinutes) * 60 * 1000;
+    const ipLimit = Number(process.env[`${envName}_MAX`]) || maxPerIp;
+    const accountLimit = Number(process.env[`${envName}_ACCOUNT_MAX`]) || maxPerAccount;
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_DISABLED === "true") return next();
+
+        try {
+            const checks = [{ key: `${name}:ip:${req.ip}`, limit: ipLimit }];
+
+            const accountId = account && accountLimit ? normalizeAccount(account(req)) : null;
+            if (accountId) {
+                checks.push({ key: `${name}:account:${accountId}`, limit: accountLimit });
+            }
+
+            let retryAt = 0;
+            for (const { key, limit } of checks) {
+                const { count, resetAt } = await getStore().increment(key, windowMs);
+                if (count > limit) retryAt = Math.max(retryAt, resetAt);
+            }
+
+            if (retryAt) {
+                const wait = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+                res.set("Retry-After", String(wait));
+                return next(new AppError(`ძალიან ბევრი მცდელობა. გთხოვთ სცადოთ ${Math.ceil(wait / 60)} წუთში!`, 429));
+            }
+
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
+
+module.exports = rateLimit;
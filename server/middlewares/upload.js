@@ -0,0 +1,58 @@
+/**
+ * @file upload.js
+ * @description Multipart image upload middleware (multer).
+ *
+ * Files are kept in memory for processing by utils/images.js and never written as uploaded.
+ * The client's MIME type is checked here; the actual content is checked again by sharp.
+ * The size limit can be changed with `UPLOAD_MAX_IMAGE_MB` (default 5).
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const multer = require("multer");
+const AppError = require("../utils/appError.js");
+
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_MB = Number(process.env.UPLOAD_MAX_IMAGE_MB) || 5;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+            return cb(new AppError("დაშვებულია მხოლოდ JPEG, PNG და WebP სურათები!", 400));
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Accepts up to `maxCount` images in a multipart field; they end up in req.files.
+ *
+ * @param {string} field - Form field name
+ * @param {number} maxCount - Files allowed in one request
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * serviceRouter.post("/:id/images", protect, authorize("service:update"), loadServiceForImageUpload, uploadImages("images", 10), uploadServiceImages);
+ */
+const uploadImages = (field, maxCount) => (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return next(new AppError(`სურათის ზომა არ უნდა აღემატებოდეს ${MAX_IMAGE_MB} MB-ს!`, 400));
+            }
+            if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+                return next(new AppError(`ატვირთეთ მაქსიმუმ ${maxCount} სურათი ველში "${field}"!`, 400));
+            }
+            return next(new AppError(`ფაილის ატვირთვა ვერ მოხერხდა: ${err.message}`, 400));
+        }
+        if (!err && !req.files?.length) {
+            return next(new AppError(`აირჩიეთ სურათი ველში "${field}"!`, 400));
+        }
+        next(err);
+    });
+};
+
+module.exports = uploadImages;
@@ -0,0 +1,47 @@
+/**
+ * @file 001-backfill-service-search-keys.js
+ * @description Gives services created before Georgian-aware search their searchKey, which the
+ * prefix fallback of GET /api/v1/services/search matches on. Only the save and update hooks
+ * set it, so older services were never found by that fallback.
+ */
+
+const Service = require("../models/service.model");
+
+const BATCH_SIZE = 500;
+
+const up = async () => {
+    let updated = 0;
+    let lastId = null;
+
+    for (;;) {
+        const services = await Service.find({
+            searchKey: { $exists: false },
+            ...(lastId && { _id: { $gt: lastId } })
+        })
+            .sort("_id")
+            .limit(BATCH_SIZE)
+            .select("title description tags")
+            .lean();
+
+        if (services.length === 0) break;
+
+        // Written directly: saving would also run validators that older services may not pass
+        await Service.bulkWrite(services.map((service) => ({
+            updateOne: {
+                filter: { _id: service._id },
+                update: { $set: { searchKey: Service.buildSearchKey(service) } },
+                timestamps: false
+            }
+        })));
+
+        updated += services.length;
+        lastId = services[services.length - 1]._id;
+    }
+
+    console.log(`searchKey set on ${updated} services`);
+};
+
+module.exports = {
+    description: "Backfill Service.searchKey",
+    up
+};
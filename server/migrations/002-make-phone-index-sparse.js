@@ -0,0 +1,43 @@
+/**
+ * @file 002-make-phone-index-sparse.js
+ * @description Rebuilds the unique phone index as sparse. Users signing in with Google/Facebook
+ * have no phone number until they add one, but Mongoose only creates missing indexes and never
+ * changes an existing one, so databases created earlier keep the non-sparse phone_1 index and
+ * reject the second user without a phone.
+ */
+
+const User = require("../models/user.model");
+
+const INDEX_NAME = "phone_1";
+
+const up = async () => {
+    // Empty values would still be indexed, and clash with each other, under a sparse index
+    const { modifiedCount } = await User.collection.updateMany(
+        { phone: { $in: [null, ""] } },
+        { $unset: { phone: "" } }
+    );
+    console.log(`Empty phone removed from ${modifiedCount} users`);
+
+    const indexes = await User.collection.indexes().catch((err) => {
+        // The collection doesn't exist yet
+        if (err.codeName === "NamespaceNotFound") return [];
+        throw err;
+    });
+    const index = indexes.find(({ name }) => name === INDEX_NAME);
+
+    if (index?.unique && index.sparse) {
+        console.log(`${INDEX_NAME} is already sparse`);
+        return;
+    }
+
+    if (index) {
+        await User.collection.dropIndex(INDEX_NAME);
+    }
+    await User.collection.createIndex({ phone: 1 }, { name: INDEX_NAME, unique: true, sparse: true });
+    console.log(`${INDEX_NAME} rebuilt as unique and sparse`);
+};
+
+module.exports = {
+    description: "Rebuild the User phone index as unique and sparse",
+    up
+};
@@ -0,0 +1,47 @@
+/**
+ * @file 003-backfill-service-categories.js
+ * @description Puts services created before categories existed into an "other" category
+ * (created when missing). Service.category is required, so those services failed validation on
+ * every save and were left out of category browsing. Their providers can move them to a better
+ * category with PATCH /api/v1/services/:id.
+ */
+
+const Category = require("../models/category.model");
+const Service = require("../models/service.model");
+
+// Top-level catch-all category, sorted after the others
+const FALLBACK_CATEGORY = {
+    slug: "other",
+    name: { ka: "სხვა", en: "Other" },
+    order: 999
+};
+
+const up = async () => {
+    const uncategorized = { $or: [{ category: { $exists: false } }, { category: null }] };
+
+    if (!(await Service.exists(uncategorized))) {
+        console.log("Every service has a category");
+        return;
+    }
+
+    const { slug, ...fields } = FALLBACK_CATEGORY;
+    const category = await Category.findOneAndUpdate(
+        { slug },
+        { $setOnInsert: { ...fields, parent: null } },
+        { upsert: true, new: true }
+    );
+
+    // Written directly: saving would also run validators that older services may not pass
+    const { modifiedCount } = await Service.updateMany(
+        uncategorized,
+        { $set: { category: category._id } },
+        { timestamps: false }
+    );
+
+    console.log(`${modifiedCount} services moved to the "${slug}" category`);
+};
+
+module.exports = {
+    description: "Give services without a category the \"other\" category",
+    up
+};
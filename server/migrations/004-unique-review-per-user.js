@@ -0,0 +1,34 @@
+/**
+ * @file 004-unique-review-per-user.js
+ * @description Builds the unique { userId, serviceId } review index. Until now one review per user
+ * and service was only checked before inserting, so two concurrent requests could both pass the
+ * check. Mongoose can't build the index while such duplicates exist, so they are listed instead and
+ * have to be removed (DELETE /api/v1/reviews/:id, which also updates the service stats) before
+ * running the migration again.
+ */
+
+const Review = require("../models/review.model");
+
+const INDEX_NAME = "userId_1_serviceId_1";
+
+const up = async () => {
+    const duplicates = await Review.aggregate([
+        { $group: { _id: { userId: "$userId", serviceId: "$serviceId" }, reviews: { $push: "$_id" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+
+    if (duplicates.length) {
+        for (const { _id, reviews } of duplicates) {
+            console.log(`User ${_id.userId} reviewed service ${_id.serviceId} ${reviews.length} times: ${reviews.join(", ")}`);
+        }
+        throw new Error(`${duplicates.length} users reviewed a service more than once, remove the extra reviews first`);
+    }
+
+    await Review.collection.createIndex({ userId: 1, serviceId: 1 }, { name: INDEX_NAME, unique: true });
+    console.log(`${INDEX_NAME} built`);
+};
+
+module.exports = {
+    description: "Allow one review per user and service",
+    up
+};
@@ -0,0 +1,48 @@
+/**
+ * @file migrate.js
+ * @description Runs the pending data migrations of this folder against MONGO_URL, in file name order.
+ *
+ * A migration is a `NNN-name.js` file exporting `{ description, up }`, where `up` is an async function
+ * that must be safe to run again. Applied migrations are recorded in the `migrations` collection,
+ * so each one runs once per database.
+ *
+ * Usage: npm run migrate
+ *
+ * @author Luka Tskhvaradze
+ */
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const mongoose = require("mongoose");
+
+const MIGRATION_FILE = /^\d{3}-[\w-]+\.js$/;
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URL);
+    const applied = mongoose.connection.collection("migrations");
+
+    const files = fs.readdirSync(__dirname).filter((file) => MIGRATION_FILE.test(file)).sort();
+
+    for (const file of files) {
+        const name = path.basename(file, ".js");
+        if (await applied.findOne({ _id: name })) continue;
+
+        const { description, up } = require(path.join(__dirname, file));
+        console.log(`Running ${name}: ${description}`);
+        await up();
+        await applied.insertOne({ _id: name, appliedAt: new Date() });
+    }
+
+    console.log("Migrations are up to date!");
+};
+
+migrate()
+    .catch((err) => {
+        console.error("Migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,80 @@
+/**
+ * Admin Log Model Schema
+ *
+ * Audit trail of every action taken through the admin API (role changes, suspensions,
+ * forced password resets, manual verifications, ...): who did what to whom, when and why.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Admin Log Schema Definition
+ */
+const adminLogSchema = new mongoose.Schema({
+    // Admin or moderator who performed the action
+    actor: {
+        type: mongoose.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    actorRole: String,
+
+    // What was done, e.g. "user.role_change", "user.suspend"
+    action: {
+        type: String,
+        required: true
+    },
+
+    // User the action was performed on
+    targetUser: {
+        type: mongoose.Types.ObjectId,
+        ref: "User",
+        index: true
+    },
+
+    // Reason given by the actor
+    reason: String,
+    // Action specific data, e.g. { from: "costumer", to: "moderator" }
+    details: mongoose.Schema.Types.Mixed,
+
+    // Where the request came from
+    ip: String
+}, {
+    // Only createdAt: log entries are never updated
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+adminLogSchema.index({ createdAt: -1, _id: -1 });
+adminLogSchema.index({ actor: 1, createdAt: -1 });
+
+/**
+ * Static method to record an admin action.
+ *
+ * @async
+ * @function
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {string} action - Action name
+ * @param {Object} [data]
+ * @param {Object} [data.target] - Target user document
+ * @param {string} [data.reason] - Reason given by the actor
+ * @param {Object} [data.details] - Action specific data
+ * @returns {Promise<Object>} - The log entry
+ */
+adminLogSchema.statics.record = function(req, action, { target, reason, details } = {}) {
+    return this.create({
+        actor: req.user._id,
+        actorRole: req.user.role,
+        action,
+        targetUser: target?._id,
+        reason,
+        details,
+        ip: req.ip
+    });
+};
+
+const AdminLog = mongoose.model("AdminLog", adminLogSchema);
+
+module.exports = AdminLog;
@@ -0,0 +1,210 @@
+/**
+ * @file Availability Model
+ * @description Defines the Mongoose schema for a provider's working schedule on a service:
+ * recurring weekly hours, one-off exceptions (days off or special hours) and slot length.
+ * All times are wall-clock times in the Asia/Tbilisi time zone.
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ * @created 2025-09-22
+ */
+
+const mongoose = require("mongoose");
+const { TBILISI_TZ } = require("../utils/timezone");
+
+// "HH:mm", 00:00 - 24:00
+const TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+// "YYYY-MM-DD"
+const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Converts "HH:mm" to minutes since midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Working interval within a day, e.g. { start: "09:00", end: "13:00" }.
+ */
+const intervalSchema = new mongoose.Schema(
+    {
+        start: {
+            type: String,
+            required: [true, "სამუშაო ინტერვალს სჭირდება დასაწყისი!"],
+            match: [TIME_REGEX, "დრო უნდა იყოს HH:mm ფორმატში!"],
+        },
+        end: {
+            type: String,
+            required: [true, "სამუშაო ინტერვალს სჭირდება დასასრული!"],
+            match: [TIME_REGEX, "დრო უნდა იყოს HH:mm ფორმატში!"],
+            validate: {
+                validator: function (value) {
+                    return !this.start || toMinutes(value) > toMinutes(this.start);
+                },
+                message: "ინტერვალის დასასრული უნდა იყოს დასაწყისის შემდეგ!",
+            },
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Availability Schema
+ * -----------------------
+ * One document per service. Slots are generated from the weekly rules,
+ * unless an exception exists for that date.
+ */
+const availabilitySchema = new mongoose.Schema(
+    {
+        /**
+         * Service this schedule belongs to (one schedule per service).
+         */
+        serviceId: {
+            type: mongoose.Types.ObjectId,
+            ref: "Service",
+            required: [true, "განრიგს სჭირდება სერვისი!"],
+            unique: true,
+        },
+
+        /**
+         * Provider of the service (Service.providerID).
+         */
+        providerId: {
+            type: mongoose.Types.ObjectId,
+            ref: "User",
+            required: [true, "განრიგს სჭირდება პროვაიდერი!"],
+        },
+
+        /**
+         * Time zone of all wall-clock times below. Fixed to Asia/Tbilisi.
+         */
+        timezone: {
+            type: String,
+            default: TBILISI_TZ,
+            enum: [TBILISI_TZ],
+        },
+
+        /**
+         * Length of one bookable slot in minutes.
+         */
+        slotMinutes: {
+            type: Number,
+            default: 60,
+            min: [15, "სლოტი უნდა იყოს მინიმუმ 15 წუთი!"],
+            max: [720, "სლოტი არ უნდა აღემატებოდეს 12 საათს!"],
+            validate: {
+                validator: Number.isInteger,
+                message: "სლოტის ხანგრძლივობა უნდა იყოს მთელი რიცხვი!",
+            },
+        },
+
+        /**
+         * Recurring weekly working hours.
+         * day: 0 = Sunday ... 6 = Saturday. Several intervals per day are allowed (e.g. a lunch break).
+         */
+        weeklyRules: [
+            {
+                _id: false,
+                day: {
+                    type: Number,
+                    required: [true, "კვირის დღე აუცილებელია!"],
+                    min: [0, "კვირის დღე უნდა იყოს 0-დან 6-მდე!"],
+                    max: [6, "კვირის დღე უნდა იყოს 0-დან 6-მდე!"],
+                },
+                intervals: {
+                    type: [intervalSchema],
+                    validate: {
+                        validator: (value) => value.length > 0,
+                        message: "სამუშაო დღეს სჭირდება მინიმუმ ერთი ინტერვალი!",
+                    },
+                },
+            },
+        ],
+
+        /**
+         * One-off exceptions for specific dates ("YYYY-MM-DD").
+         * closed: true marks a day off; otherwise `intervals` replace the weekly hours for that date.
+         */
+        exceptions: [
+            {
+                _id: false,
+                date: {
+                    type: String,
+                    required: [true, "გამონაკლისს სჭირდება თარიღი!"],
+                    match: [DATE_REGEX, "თარიღი უნდა იყოს YYYY-MM-DD ფორმატში!"],
+                },
+                closed: {
+                    type: Boolean,
+                    default: false,
+                },
+                intervals: [intervalSchema],
+                note: {
+                    type: String,
+                    trim: true,
+                    maxlength: [200, "შენიშვნა არ უნდა აღემატებოდეს 200 სიმბოლოს!"],
+                },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Checks that a list of intervals doesn't overlap.
+ * @param {{ start: string, end: string }[]} intervals
+ * @returns {boolean}
+ */
+const intervalsOverlap = (intervals) => {
+    const sorted = [...intervals].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+    return sorted.some((interval, i) => i > 0 && toMinutes(interval.start) < toMinutes(sorted[i - 1].end));
+};
+
+/**
+ * Pre-validate hook to reject duplicate days/dates and overlapping intervals.
+ */
+availabilitySchema.pre("validate", function (next) {
+    const days = this.weeklyRules.map((rule) => rule.day);
+    if (new Set(days).size !== days.length) {
+        this.invalidate("weeklyRules", "კვირის ერთი დღე მხოლოდ ერთხელ შეიძლება იყოს მითითებული!");
+    }
+    if (this.weeklyRules.some((rule) => intervalsOverlap(rule.intervals))) {
+        this.invalidate("weeklyRules", "სამუშაო ინტერვალები ერთმანეთს არ უნდა ფარავდეს!");
+    }
+
+    const dates = this.exceptions.map((exception) => exception.date);
+    if (new Set(dates).size !== dates.length) {
+        this.invalidate("exceptions", "ერთი თარიღი მხოლოდ ერთხელ შეიძლება იყოს მითითებული!");
+    }
+    if (this.exceptions.some((exception) => intervalsOverlap(exception.intervals))) {
+        this.invalidate("exceptions", "სამუშაო ინტერვალები ერთმანეთს არ უნდა ფარავდეს!");
+    }
+    next();
+});
+
+/**
+ * Instance method returning the working intervals for a local date,
+ * taking exceptions into account.
+ *
+ * @function
+ * @param {string} date - Local date "YYYY-MM-DD"
+ * @param {number} weekday - 0 = Sunday ... 6 = Saturday
+ * @returns {{ start: string, end: string }[]}
+ */
+availabilitySchema.methods.intervalsFor = function (date, weekday) {
+    const exception = this.exceptions.find((item) => item.date === date);
+    if (exception) {
+        return exception.closed ? [] : exception.intervals;
+    }
+
+    const rule = this.weeklyRules.find((item) => item.day === weekday);
+    return rule ? rule.intervals : [];
+};
+
+const Availability = mongoose.model("Availability", availabilitySchema);
+
+module.exports = Availability;
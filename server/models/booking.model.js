@@ -0,0 +1,203 @@
+/**
+ * @file Booking Model
+ * @description Defines the Mongoose schema for orders a customer places on a service, and their lifecycle.
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ * @created 2025-09-20
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Booking lifecycle:
+ *
+ *   requested ──► accepted ──► in_progress ──► completed
+ *       │            │
+ *       ├──► declined │
+ *       └────────────┴──► cancelled
+ *
+ * Each entry lists the statuses a booking may move to from the given status.
+ * completed, declined and cancelled are terminal.
+ */
+const BOOKING_TRANSITIONS = {
+    requested: ["accepted", "declined", "cancelled"],
+    accepted: ["in_progress", "cancelled"],
+    in_progress: ["completed"],
+    completed: [],
+    declined: [],
+    cancelled: [],
+};
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+/**
+ * Booking Schema
+ * -----------------------
+ * A customer's order for a service. The provider is copied from the
+ * service at creation time so ownership checks don't need a lookup.
+ */
+const bookingSchema = new mongoose.Schema(
+    {
+        /**
+         * Service being ordered.
+         */
+        serviceId: {
+            type: mongoose.Types.ObjectId,
+            ref: "Service",
+            required: [true, "შეკვეთას სჭირდება სერვისი!"],
+        },
+
+        /**
+         * Customer who placed the order.
+         */
+        customerId: {
+            type: mongoose.Types.ObjectId,
+            ref: "User",
+            required: [true, "შეკვეთას სჭირდება მომხმარებელი!"],
+        },
+
+        /**
+         * Provider of the service (Service.providerID at creation time).
+         */
+        providerId: {
+            type: mongoose.Types.ObjectId,
+            ref: "User",
+            required: [true, "შეკვეთას სჭირდება პროვაიდერი!"],
+        },
+
+        /**
+         * Current lifecycle status (see BOOKING_TRANSITIONS).
+         */
+        status: {
+            type: String,
+            enum: {
+                values: BOOKING_STATUSES,
+                message: `შეკვეთის სტატუსი უნდა იყოს: ${BOOKING_STATUSES.join(", ")}`,
+            },
+            default: "requested",
+        },
+
+        /**
+         * Service price when the order was placed, so later price changes don't affect it.
+         */
+        price: {
+            type: Number,
+            required: [true, "შეკვეთას სჭირდება ფასი!"],
+            min: [0, "ფასი არ შეიძლება იყოს უარყოფითი!"],
+        },
+
+        /**
+         * Requested date and time of the job (optional).
+         */
+        scheduledAt: {
+            type: Date,
+            validate: {
+                validator: function (value) {
+                    // Only checked when the date is set or changed
+                    return !this.isModified || !this.isModified("scheduledAt") || value > Date.now();
+                },
+                message: "შეკვეთის თარიღი უნდა იყოს მომავალში!",
+            },
+        },
+
+        /**
+         * End of the booked time slot. Set together with scheduledAt when the
+         * service publishes availability (see helpers/availableSlots).
+         */
+        scheduledEnd: Date,
+
+        /**
+         * "<providerId>:<scheduledAt ISO>" while the booking holds its slot, unset once it is
+         * declined or cancelled. The unique index is a last guard against two bookings taking
+         * the same slot; overlaps in general are prevented by the provider's ScheduleLock.
+         */
+        slotKey: {
+            type: String,
+            select: false,
+        },
+
+        /**
+         * Address where the service should be provided (optional).
+         */
+        address: {
+            type: String,
+            trim: true,
+            maxlength: [300, "მისამართი არ უნდა აღემატებოდეს 300 სიმბოლოს!"],
+        },
+
+        /**
+         * Message from the customer to the provider (optional).
+         */
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "შეტყობინება არ უნდა აღემატებოდეს 1000 სიმბოლოს!"],
+        },
+
+        /**
+         * Set when the booking reaches "completed".
+         */
+        completedAt: Date,
+
+        /**
+         * Audit trail of every status change.
+         */
+        statusHistory: [
+            {
+                _id: false,
+                status: { type: String, enum: BOOKING_STATUSES },
+                changedBy: { type: mongoose.Types.ObjectId, ref: "User" },
+                reason: { type: String, trim: true, maxlength: 500 },
+                at: { type: Date, default: Date.now },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Customer and provider "my bookings" views
+bookingSchema.index({ customerId: 1, createdAt: -1 });
+bookingSchema.index({ providerId: 1, createdAt: -1 });
+// Overlap checks when computing open slots
+bookingSchema.index({ providerId: 1, scheduledAt: 1, scheduledEnd: 1 });
+bookingSchema.index({ slotKey: 1 }, { unique: true, sparse: true });
+// Completed-booking lookup when a customer reviews a service
+bookingSchema.index({ customerId: 1, serviceId: 1, status: 1, completedAt: -1 });
+
+/**
+ * Instance method to check whether the booking may move to the given status.
+ *
+ * @function
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+bookingSchema.methods.canTransitionTo = function (status) {
+    return (BOOKING_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Static method returning the statuses from which the booking may move to the given status.
+ *
+ * @function
+ * @param {string} status - Target status
+ * @returns {string[]}
+ */
+bookingSchema.statics.statusesLeadingTo = function (status) {
+    return BOOKING_STATUSES.filter((from) => BOOKING_TRANSITIONS[from].includes(status));
+};
+
+/**
+ * Pre-save hook to record the initial status in the history.
+ */
+bookingSchema.pre("save", function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, changedBy: this.customerId });
+    }
+    next();
+});
+
+const Booking = mongoose.model("Booking", bookingSchema);
+
+module.exports = Booking;
@@ -0,0 +1,133 @@
+/**
+ * @file Category Model
+ * @description Defines the Mongoose schema for the managed service category taxonomy (parent/child hierarchy).
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ * @created 2025-10-08
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Builds a URL slug from an English name: "Home Repair & Cleaning" → "home-repair-cleaning".
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text = "") => String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Category Schema
+ * -----------------------
+ * A node of the category tree. Top-level categories have no parent.
+ * Every service belongs to exactly one category (Service.category).
+ */
+const categorySchema = new mongoose.Schema(
+    {
+        /**
+         * Display names in Georgian and English.
+         */
+        name: {
+            ka: {
+                type: String,
+                trim: true,
+                required: [true, "კატეგორიას სჭირდება ქართული სახელი!"],
+                maxlength: [50, "სახელი არ უნდა აღემატებოდეს 50 სიმბოლოს!"],
+            },
+            en: {
+                type: String,
+                trim: true,
+                required: [true, "კატეგორიას სჭირდება ინგლისური სახელი!"],
+                maxlength: [50, "სახელი არ უნდა აღემატებოდეს 50 სიმბოლოს!"],
+            },
+        },
+
+        /**
+         * URL-friendly identifier, e.g. "plumbing". Generated from the English name when not given.
+         */
+        slug: {
+            type: String,
+            unique: true,
+            trim: true,
+            lowercase: true,
+            match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "slug უნდა შეიცავდეს მხოლოდ ლათინურ ასოებს, ციფრებს და ტირეს!"],
+        },
+
+        /**
+         * Icon shown next to the name (icon name or image URL).
+         */
+        icon: {
+            type: String,
+            trim: true,
+            maxlength: [200, "აიკონი არ უნდა აღემატებოდეს 200 სიმბოლოს!"],
+        },
+
+        /**
+         * Parent category, null for top-level categories.
+         */
+        parent: {
+            type: mongoose.Types.ObjectId,
+            ref: "Category",
+            default: null,
+        },
+
+        /**
+         * Position among its siblings (ascending).
+         */
+        order: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+categorySchema.index({ parent: 1, order: 1 });
+
+/**
+ * Pre-validate hook to generate the slug from the English name.
+ */
+categorySchema.pre("validate", function (next) {
+    if (!this.slug && this.name?.en) {
+        this.slug = slugify(this.name.en);
+    }
+    next();
+});
+
+/**
+ * Static method returning the IDs of a category and all of its descendants.
+ *
+ * The taxonomy is small, so the whole tree is loaded and walked in memory.
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} rootId
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+categorySchema.statics.subtreeIds = async function (rootId) {
+    const categories = await this.find().select("parent").lean();
+
+    const children = new Map();
+    for (const category of categories) {
+        const key = String(category.parent);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(category._id);
+    }
+
+    const ids = [];
+    const queue = [new mongoose.Types.ObjectId(String(rootId))];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        ids.push(id);
+        queue.push(...(children.get(String(id)) || []));
+    }
+    return ids;
+};
+
+categorySchema.statics.slugify = slugify;
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,166 @@
+/**
+ * @file Provider Application Model
+ * @description Defines the Mongoose schema for a user's application to become a verified service provider.
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ * @created 2025-10-05
+ */
+
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const APPLICATION_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * Provider Application Schema
+ * -----------------------
+ * Business details a user submits to become a provider. Moderators review pending
+ * applications and approve or reject them with a comment. A user can have only one
+ * pending application at a time; after a rejection they may apply again.
+ */
+const providerApplicationSchema = new mongoose.Schema(
+    {
+        /**
+         * User who applied.
+         */
+        applicant: {
+            type: mongoose.Types.ObjectId,
+            ref: "User",
+            required: [true, "განაცხადს სჭირდება მომხმარებელი!"],
+        },
+
+        /**
+         * Whether the applicant works as an individual (personal ID number)
+         * or as a registered company (identification code).
+         */
+        businessType: {
+            type: String,
+            enum: {
+                values: ["individual", "company"],
+                message: "ბიზნესის ტიპი უნდა იყოს: individual ან company",
+            },
+            required: [true, "გთხოვთ მიუთითოთ ბიზნესის ტიპი!"],
+        },
+
+        /**
+         * Georgian personal ID number (11 digits), for individuals.
+         */
+        personalId: {
+            type: String,
+            trim: true,
+            match: [/^\d{11}$/, "პირადი ნომერი უნდა შედგებოდეს 11 ციფრისგან!"],
+            required: [function () { return this.businessType === "individual"; }, "გთხოვთ მიუთითოთ პირადი ნომერი!"],
+        },
+
+        /**
+         * Company identification code (9 digits), for companies.
+         */
+        companyId: {
+            type: String,
+            trim: true,
+            match: [/^\d{9}$/, "საიდენტიფიკაციო კოდი უნდა შედგებოდეს 9 ციფრისგან!"],
+            required: [function () { return this.businessType === "company"; }, "გთხოვთ მიუთითოთ კომპანიის საიდენტიფიკაციო კოდი!"],
+        },
+
+        /**
+         * Registered company name, or the name the individual works under.
+         */
+        businessName: {
+            type: String,
+            trim: true,
+            maxlength: [100, "ბიზნესის სახელი არ უნდა აღემატებოდეს 100 სიმბოლოს!"],
+            required: [function () { return this.businessType === "company"; }, "გთხოვთ მიუთითოთ კომპანიის სახელი!"],
+        },
+
+        /**
+         * Business or home address.
+         */
+        address: {
+            type: String,
+            trim: true,
+            required: [true, "გთხოვთ მიუთითოთ მისამართი!"],
+            minlength: [5, "მისამართი უნდა შეიცავდეს მინიმუმ 5 სიმბოლოს!"],
+            maxlength: [200, "მისამართი არ უნდა აღემატებოდეს 200 სიმბოლოს!"],
+        },
+
+        /**
+         * Categories of services the applicant plans to offer.
+         */
+        categories: {
+            type: [
+                {
+                    type: String,
+                    trim: true,
+                    lowercase: true,
+                    maxlength: [50, "კატეგორია არ უნდა აღემატებოდეს 50 სიმბოლოს!"],
+                },
+            ],
+            validate: {
+                validator: (value) => value.length > 0 && value.length <= 10,
+                message: "გთხოვთ მიუთითოთ 1-დან 10-მდე კატეგორია!",
+            },
+        },
+
+        /**
+         * Supporting documents (ID card, company extract, licences), as links.
+         */
+        documents: [
+            {
+                name: {
+                    type: String,
+                    trim: true,
+                    required: [true, "დოკუმენტს სჭირდება სახელი!"],
+                    maxlength: [100, "დოკუმენტის სახელი არ უნდა აღემატებოდეს 100 სიმბოლოს!"],
+                },
+                url: {
+                    type: String,
+                    required: [true, "დოკუმენტს სჭირდება ბმული!"],
+                    validate: {
+                        validator: (value) => validator.isURL(value),
+                        message: "დოკუმენტის ბმული არასწორია!",
+                    },
+                },
+                _id: false,
+            },
+        ],
+
+        /**
+         * Review state: pending until a moderator approves or rejects it.
+         */
+        status: {
+            type: String,
+            enum: APPLICATION_STATUSES,
+            default: "pending",
+        },
+
+        /**
+         * Moderator who decided, when, and the comment shown to the applicant.
+         */
+        reviewedBy: {
+            type: mongoose.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: Date,
+        reviewComment: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "კომენტარი არ უნდა აღემატებოდეს 1000 სიმბოლოს!"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Review queue (oldest first) and an applicant's history
+providerApplicationSchema.index({ status: 1, createdAt: 1 });
+providerApplicationSchema.index({ applicant: 1, createdAt: -1 });
+// One pending application per user
+providerApplicationSchema.index(
+    { applicant: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+providerApplicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+
+module.exports = mongoose.model("ProviderApplication", providerApplicationSchema);
@@ -0,0 +1,40 @@
+/**
+ * Rate Limit Model Schema
+ *
+ * Request counters used by the Mongo store of middlewares/rateLimiter.js, so limits are
+ * shared between several server instances. One document per key and window.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Rate Limit Schema Definition
+ */
+const rateLimitSchema = new mongoose.Schema({
+    // Limiter name and client identifier, e.g. "login:ip:127.0.0.1"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Requests counted in the current window
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the current window
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB remove counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
@@ -1,4 +1,24 @@
 const mongoose = require("mongoose");
+const Service = require("./service.model");
+const ReviewVote = require("./reviewVote.model");
+const updateServiceStats = require("../helpers/updateServiceStats");
+
+// Stars are whole numbers from 1 to 5, for the overall rating and for every sub-rating.
+// Only new and changed ratings are checked: older reviews may have a rating of 0 or a fractional
+// one, and must stay savable (hiding and restoring, replies, comment-only edits).
+const starRating = (path, message) => ({
+    type: Number,
+    validate: {
+        validator: function(value) {
+            if (this?.isNew === false && !this.isModified(path)) return true;
+            return Number.isInteger(value) && value >= 1 && value <= 5;
+        },
+        message
+    }
+});
+
+// Reasons a review can be reported for (POST /api/v1/reviews/:reviewId/report)
+const REPORT_REASONS = ["spam", "offensive", "fake", "irrelevant", "personal_info", "other"];
 
 const reviewSchema = new mongoose.Schema({
     serviceId: {
@@ -19,13 +39,170 @@ const reviewSchema = new mongoose.Schema({
         maxlength: [2000, "აღწერა არ უნდა აღემატებოდეს 2000 სიმბოლოს!"],
     },
     rating: {
-        type: Number,
-        min: 0,
-        max: 5,
+        ...starRating("rating", "ქულა უნდა იყოს მთელი რიცხვი 1-დან 5-მდე!"),
         required: [true, "ქულის დაწერა აუცილებელია!"]
+    },
+    // Optional sub-ratings (Service.RATING_CRITERIA), e.g. { quality: 5, punctuality: 4 }
+    criteria: {
+        type: new mongoose.Schema(Object.fromEntries(Service.RATING_CRITERIA.map((criterion) => [
+            criterion,
+            starRating(criterion, `${criterion}: ქულა უნდა იყოს მთელი რიცხვი 1-დან 5-მდე!`)
+        ])), { _id: false }),
+        default: undefined
+    },
+    // Completed booking the review is based on
+    bookingId: {
+        type: mongoose.Types.ObjectId,
+        ref: "Booking",
+        select: false
+    },
+    // Whether the reviewer is a verified customer (had a completed booking of the service).
+    // Reviews written before booking checks existed are unverified.
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    // The service provider's public reply (one per review, POST /api/v1/reviews/:reviewId/reply)
+    reply: {
+        type: new mongoose.Schema({
+            text: {
+                type: String,
+                required: [true, "პასუხის ტექსტი აუცილებელია!"],
+                trim: true,
+                minlength: [2, "პასუხი უნდა შეიცავდეს მინიმუმ 2 სიმბოლოს!"],
+                maxlength: [1000, "პასუხი არ უნდა აღემატებოდეს 1000 სიმბოლოს!"]
+            },
+            providerId: {
+                type: mongoose.Types.ObjectId,
+                ref: "User",
+                required: true
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            },
+            editedAt: {
+                type: Date,
+                default: null
+            }
+        }, { _id: false }),
+        default: null
+    },
+    // When the author last edited the review (null if never)
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Previous versions, oldest first (PATCH /api/v1/reviews/:reviewId)
+    editHistory: {
+        type: [{
+            _id: false,
+            rating: Number,
+            criteria: Object,
+            comment: String,
+            editedAt: Date
+        }],
+        select: false
+    },
+    // Helpful / unhelpful votes (one per user, see ReviewVote)
+    helpfulCount: {
+        type: Number,
+        default: 0
+    },
+    unhelpfulCount: {
+        type: Number,
+        default: 0
+    },
+    // Hidden reviews are left out of listings and of the service's rating stats
+    status: {
+        type: String,
+        enum: ["published", "hidden"],
+        default: "published"
+    },
+    // Last moderation decision (who hid or restored the review and why)
+    moderation: {
+        type: {
+            _id: false,
+            action: { type: String, enum: ["hidden", "restored"] },
+            moderator: { type: mongoose.Types.ObjectId, ref: "User" },
+            reason: String,
+            at: Date
+        },
+        select: false
+    },
+    // User reports, one per user
+    reports: {
+        type: [{
+            _id: false,
+            user: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+            reason: {
+                type: String,
+                enum: { values: REPORT_REASONS, message: `მიზეზი უნდა იყოს: ${REPORT_REASONS.join(", ")}` },
+                required: true
+            },
+            comment: {
+                type: String,
+                trim: true,
+                maxlength: [500, "კომენტარი არ უნდა აღემატებოდეს 500 სიმბოლოს!"]
+            },
+            createdAt: { type: Date, default: Date.now }
+        }],
+        select: false
+    },
+    reportCount: {
+        type: Number,
+        default: 0
     }
+}, {
+    timestamps: true
 });
 
+// One review per user and service, also when two requests race past the controller's check
+reviewSchema.index({ userId: 1, serviceId: 1 }, { unique: true });
+// Supports listing a service's reviews in a stable (sort key, _id) order for cursor pagination
+reviewSchema.index({ serviceId: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ serviceId: 1, rating: -1, _id: -1 });
+reviewSchema.index({ serviceId: 1, helpfulCount: -1, _id: -1 });
+// Moderation queue: most reported first
+reviewSchema.index({ status: 1, reportCount: -1 });
+
+/**
+ * Service rating stats (averageRating, totalReviews, ratingDistribution, criteriaRatings) and Service.reviews follow every review
+ * change here, so no controller has to remember to update them.
+ */
+reviewSchema.pre("save", function (next) {
+    this.$locals.wasNew = this.isNew;
+    this.$locals.statsChanged = ["rating", "criteria", "status"].some((path) => this.isModified(path));
+    next();
+});
+
+reviewSchema.post("save", async function () {
+    if (this.$locals.wasNew) {
+        await Service.findByIdAndUpdate(this.serviceId, { $addToSet: { reviews: this._id } });
+    }
+    // Replies, comment edits, votes and reports don't change the stats
+    if (this.$locals.wasNew || this.$locals.statsChanged) {
+        await updateServiceStats(this.serviceId);
+    }
+});
+
+reviewSchema.post("findOneAndUpdate", async function (review) {
+    const update = this.getUpdate() || {};
+    const fields = { ...update, ...update.$set };
+    if (review && ["rating", "criteria", "status"].some((path) => path in fields)) {
+        await updateServiceStats(review.serviceId);
+    }
+});
+
+reviewSchema.post("findOneAndDelete", async function (review) {
+    if (!review) return;
+    await Service.findByIdAndUpdate(review.serviceId, { $pull: { reviews: review._id } });
+    await ReviewVote.deleteMany({ review: review._id });
+    await updateServiceStats(review.serviceId);
+});
+
+reviewSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
 const Review = mongoose.model('Review', reviewSchema);
 
 module.exports = Review;
\ No newline at end of file
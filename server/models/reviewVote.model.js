@@ -0,0 +1,67 @@
+/**
+ * Review Vote Model Schema
+ *
+ * One helpful / unhelpful vote of a user on a review. The totals are kept on the review
+ * (helpfulCount, unhelpfulCount) so listings can sort by them.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Review Vote Schema Definition
+ */
+const reviewVoteSchema = new mongoose.Schema({
+    review: {
+        type: mongoose.Types.ObjectId,
+        ref: "Review",
+        required: true
+    },
+    user: {
+        type: mongoose.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    vote: {
+        type: String,
+        enum: ["helpful", "unhelpful"],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One vote per user and review
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+/**
+ * Static method to record a user's vote on a review, replacing their previous vote.
+ *
+ * Two concurrent first votes can both take the upsert's insert path; the one that loses on the
+ * unique index is retried, which then updates the vote the other one inserted.
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} reviewId
+ * @param {mongoose.Types.ObjectId|string} userId
+ * @param {"helpful"|"unhelpful"} vote
+ * @returns {Promise<Object|null>} - The previous vote, null for a first vote
+ */
+reviewVoteSchema.statics.record = async function (reviewId, userId, vote) {
+    try {
+        return await this.findOneAndUpdate(
+            { review: reviewId, user: userId },
+            { vote },
+            { upsert: true, new: false, runValidators: true }
+        );
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        return this.record(reviewId, userId, vote);
+    }
+};
+
+const ReviewVote = mongoose.model("ReviewVote", reviewVoteSchema);
+
+module.exports = ReviewVote;
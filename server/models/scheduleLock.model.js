@@ -0,0 +1,82 @@
+/**
+ * Schedule Lock Model Schema
+ *
+ * Short-lived lock on a provider's schedule, held while a booking checks its slot and is inserted.
+ * Bookings of different lengths or start times can overlap without sharing a slotKey, so the
+ * overlap check and the insert must not interleave with another booking of the same provider.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// A lock left behind by a crashed request is taken over after this long
+const LOCK_TTL_MS = 10 * 1000;
+
+/**
+ * Schedule Lock Schema Definition
+ */
+const scheduleLockSchema = new mongoose.Schema({
+    // The provider whose schedule is locked
+    _id: {
+        type: mongoose.Types.ObjectId,
+        ref: "User"
+    },
+    // Identifies the holder, so only it can release the lock
+    token: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB remove expired locks
+scheduleLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to take the lock of a provider's schedule in one atomic upsert: a free or expired
+ * lock is (re)written, a held one makes the upsert collide on _id.
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} providerId
+ * @returns {Promise<string|null>} - Token to release the lock with, null while another request holds it
+ */
+scheduleLockSchema.statics.acquire = async function (providerId) {
+    const token = crypto.randomBytes(16).toString("hex");
+    const now = Date.now();
+
+    try {
+        await this.findOneAndUpdate(
+            { _id: providerId, expiresAt: { $lte: new Date(now) } },
+            { $set: { token, expiresAt: new Date(now + LOCK_TTL_MS) } },
+            { upsert: true }
+        );
+        return token;
+    } catch (err) {
+        if (err.code === 11000) return null;
+        throw err;
+    }
+};
+
+/**
+ * Static method to release a lock taken with acquire().
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} providerId
+ * @param {string} token - Returned by acquire()
+ * @returns {Promise<void>}
+ */
+scheduleLockSchema.statics.release = async function (providerId, token) {
+    await this.deleteOne({ _id: providerId, token });
+};
+
+const ScheduleLock = mongoose.model("ScheduleLock", scheduleLockSchema);
+
+module.exports = ScheduleLock;
@@ -8,6 +8,12 @@
 
 const mongoose = require("mongoose");
 const validator = require("validator");
+const { toSearchKey } = require("../utils/georgianSearch");
+const { GEORGIAN_REGIONS, circlePolygon } = require("../utils/geo");
+
+// Optional sub-ratings a review can give next to its overall rating (Review.criteria)
+const RATING_CRITERIA = ["quality", "punctuality", "communication", "value"];
+const STARS = [1, 2, 3, 4, 5];
 
 /**
  * Service Schema
@@ -27,6 +33,15 @@ const serviceSchema = new mongoose.Schema(
             required: [true, "სერვისს სჭირდება პროვაიდერი!"],
         },
 
+        /**
+         * Category of the service (leaf or parent node of the category tree).
+         */
+        category: {
+            type: mongoose.Types.ObjectId,
+            ref: "Category",
+            required: [true, "სერვისს სჭირდება კატეგორია!"],
+        },
+
         /**
          * Title of the service.
          * Example: "Full-Stack Web Development"
@@ -86,13 +101,15 @@ const serviceSchema = new mongoose.Schema(
 
         /**
          * Array of image URLs representing the service.
-         * Must be valid URLs.
+         * Must be valid URLs: pre-hosted, or uploaded (POST /services/:id/images), in which case
+         * thumbnail and WebP variants exist next to them (see utils/images.js).
          */
         images: [
             {
                 type: String,
                 validate: {
-                    validator: (value) => validator.isURL(value),
+                    // Without a TLD requirement, so local uploads (http://localhost:3000/uploads/...) pass
+                    validator: (value) => validator.isURL(value, { require_tld: false }),
                     message: "სურათის ბმული არასწორია!",
                 },
             },
@@ -123,12 +140,94 @@ const serviceSchema = new mongoose.Schema(
             },
         },
 
+        /**
+         * Number of reviews per star, e.g. { "1": 0, "2": 1, "3": 0, "4": 5, "5": 12 }.
+         * Calculated from reviews.
+         */
+        ratingDistribution: Object.fromEntries(STARS.map((star) => [star, { type: Number, default: 0 }])),
+
+        /**
+         * Average of every sub-rating (RATING_CRITERIA) over the reviews that gave it,
+         * null while none did. Calculated from reviews.
+         */
+        criteriaRatings: Object.fromEntries(RATING_CRITERIA.map((criterion) => [criterion, { type: Number, default: null }])),
+
         reviews: [
             {
                 type: mongoose.Types.ObjectId,
                 ref: "Review"
             }
-        ]
+        ],
+
+        /**
+         * Where the service is based, as a GeoJSON point ([longitude, latitude]).
+         */
+        location: {
+            type: {
+                type: String,
+                enum: ["Point"],
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined,
+            },
+        },
+
+        /**
+         * How far from its location the service is provided, in kilometres.
+         * Without a radius, "near me" search matches by distance only.
+         */
+        serviceRadiusKm: {
+            type: Number,
+            min: [1, "მომსახურების რადიუსი უნდა იყოს მინიმუმ 1 კმ!"],
+            max: [500, "მომსახურების რადიუსი არ უნდა აღემატებოდეს 500 კმ-ს!"],
+        },
+
+        /**
+         * Circle of serviceRadiusKm around location, as a polygon. Maintained by hooks,
+         * used only to find the services that cover a point.
+         */
+        coverageArea: {
+            type: new mongoose.Schema(
+                {
+                    type: { type: String, enum: ["Polygon"] },
+                    coordinates: { type: [[[Number]]], default: undefined },
+                },
+                { _id: false }
+            ),
+            select: false,
+        },
+
+        /**
+         * Regions of Georgia the service is provided in (codes of utils/geo GEORGIAN_REGIONS).
+         */
+        regions: [
+            {
+                type: String,
+                enum: {
+                    values: Object.keys(GEORGIAN_REGIONS),
+                    message: `რეგიონი უნდა იყოს: ${Object.keys(GEORGIAN_REGIONS).join(", ")}`,
+                },
+            },
+        ],
+
+        /**
+         * Whether the provider is verified (User.isVerifiedProvider), copied here
+         * so listings can show the badge and filter on it without a lookup.
+         */
+        providerVerified: {
+            type: Boolean,
+            default: false,
+        },
+
+        /**
+         * Transliteration-normalised copy of title, tags and description
+         * (see utils/georgianSearch). Maintained by hooks, used only for search.
+         */
+        searchKey: {
+            type: String,
+            select: false,
+        }
     },
     {
         timestamps: true,
@@ -143,6 +242,115 @@ const serviceSchema = new mongoose.Schema(
 
 // });
 
+/**
+ * Text index used by GET /api/v1/services/search.
+ * Weights rank title matches above tags, and both above the description.
+ * Georgian has no Mongo stemmer, so stemming is disabled ("none").
+ */
+serviceSchema.index(
+    { title: "text", tags: "text", searchKey: "text", description: "text" },
+    {
+        name: "service_search",
+        default_language: "none",
+        weights: { title: 10, tags: 5, searchKey: 3, description: 1 },
+    }
+);
+
+// Category browsing
+serviceSchema.index({ category: 1, createdAt: -1 });
+// "Near me" search and region filter
+serviceSchema.index({ location: "2dsphere" });
+serviceSchema.index({ coverageArea: "2dsphere" });
+serviceSchema.index({ regions: 1 });
+
+/**
+ * Builds the coverage polygon of a service, or undefined when it has no location or radius.
+ * @param {Object} fields - Object holding location and serviceRadiusKm
+ * @returns {Object|undefined}
+ */
+const buildCoverageArea = ({ location, serviceRadiusKm }) =>
+    location?.coordinates?.length === 2 && serviceRadiusKm
+        ? circlePolygon(location, serviceRadiusKm)
+        : undefined;
+
+/**
+ * Builds the search key from the searchable fields of a service.
+ * @param {Object} fields - Object holding title, description and tags
+ * @returns {string}
+ */
+const buildSearchKey = ({ title, description, tags }) =>
+    toSearchKey([title, ...(tags || []), description].filter(Boolean).join(" "));
+
+/**
+ * Pre-save hook to keep searchKey in sync with title, tags and description.
+ */
+serviceSchema.pre("save", function (next) {
+    if (this.isNew || this.isModified("title") || this.isModified("description") || this.isModified("tags")) {
+        this.searchKey = buildSearchKey(this);
+    }
+    next();
+});
+
+/**
+ * Pre-save hook to keep coverageArea in sync with location and serviceRadiusKm.
+ */
+serviceSchema.pre("save", function (next) {
+    if (this.isNew || this.isModified("location") || this.isModified("serviceRadiusKm")) {
+        this.coverageArea = buildCoverageArea(this);
+    }
+    next();
+});
+
+/**
+ * Collects the fields an update query sets, whether given at the top level or under $set
+ * (timestamps add a $set of their own, so both can be present). $unset fields map to undefined.
+ * @param {Object} update - Query update
+ * @returns {Object}
+ */
+const updatedFields = (update) => {
+    const fields = {};
+    for (const [key, value] of Object.entries({ ...update, ...update.$set })) {
+        if (!key.startsWith("$")) fields[key] = value;
+    }
+    for (const key of Object.keys(update.$unset || {})) fields[key] = undefined;
+    return fields;
+};
+
+/**
+ * Pre-findOneAndUpdate hook to keep coverageArea in sync when location or
+ * serviceRadiusKm are updated through a query.
+ */
+serviceSchema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate() || {};
+    const fields = updatedFields(update);
+    if (!["location", "serviceRadiusKm"].some((key) => key in fields)) return;
+
+    const current = await this.model.findOne(this.getQuery()).select("location serviceRadiusKm").lean();
+    if (!current) return;
+
+    const coverageArea = buildCoverageArea({ ...current, ...fields });
+    if (coverageArea) {
+        this.set("coverageArea", coverageArea);
+    } else {
+        // An empty GeoJSON object can't be indexed, so the field is removed instead
+        update.$unset = { ...update.$unset, coverageArea: 1 };
+    }
+});
+
+/**
+ * Pre-findOneAndUpdate hook (covers findByIdAndUpdate) to keep searchKey in sync
+ * when title, tags or description are updated through a query.
+ */
+serviceSchema.pre("findOneAndUpdate", async function () {
+    const fields = updatedFields(this.getUpdate() || {});
+    if (!["title", "description", "tags"].some((key) => fields[key] !== undefined)) return;
+
+    const current = await this.model.findOne(this.getQuery()).select("title description tags").lean();
+    if (!current) return;
+
+    this.set("searchKey", buildSearchKey({ ...current, ...fields }));
+});
+
 /**
  * Pre-save hook to ensure averageRating consistency.
  * If there are no reviews, rating resets to 0 automatically.
@@ -154,4 +362,8 @@ serviceSchema.pre("save", function (next) {
     next();
 });
 
+serviceSchema.statics.RATING_CRITERIA = RATING_CRITERIA;
+// Used by migrations to backfill searchKey without saving every service
+serviceSchema.statics.buildSearchKey = buildSearchKey;
+
 module.exports = mongoose.model("Service", serviceSchema);
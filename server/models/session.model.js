@@ -0,0 +1,209 @@
+/**
+ * Session Model Schema
+ *
+ * A session is created on every login and backs the refresh token given to that device.
+ * Refresh tokens rotate on every use: the session keeps the hash of the current token and
+ * of the previous one, so replaying an already rotated token (a sign of theft) revokes the session.
+ *
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * Hashes a refresh token for storage and lookup.
+ * @param {string} token - Plain refresh token
+ * @returns {string} - sha256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Builds a short, human readable device label from a User-Agent header.
+ * @param {string} userAgent
+ * @returns {string} - e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = "") => {
+    const browsers = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+    const systems = [["Android", /Android/], ["iOS", /iPhone|iPad/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || "Unknown device";
+};
+
+/**
+ * Session Schema Definition
+ */
+const sessionSchema = new mongoose.Schema({
+    // Owner of the session
+    userId: {
+        type: mongoose.Types.ObjectId,
+        ref: "User",
+        required: [true, "სესიას სჭირდება მომხმარებელი"],
+        index: true
+    },
+
+    // Hash of the current refresh token
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Hash of the refresh token before the last rotation (reuse detection)
+    previousTokenHash: {
+        type: String,
+        index: true,
+        select: false
+    },
+
+    // Device information shown in the sessions list
+    device: String,
+    userAgent: String,
+    ip: String,
+
+    // Last time the session was used (login, refresh or an authenticated request)
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // The refresh token can't be used after this date
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Set when the session is ended (logout, revoke, password reset, token reuse)
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    // Enable automatic timestamp fields (createdAt, updatedAt)
+    timestamps: true
+});
+
+// Let MongoDB remove sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Instance method telling whether the session can still be used.
+ *
+ * @function
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+/**
+ * Instance method to rotate the refresh token.
+ *
+ * - Generates a new token, keeps the hash of the current one as previousTokenHash.
+ * - Returns the plain new token (to be sent to the client). The caller saves the document.
+ *
+ * @function
+ * @returns {string} - The new plain refresh token
+ */
+sessionSchema.methods.rotateRefreshToken = function() {
+    const refreshToken = crypto.randomBytes(40).toString("hex");
+
+    this.previousTokenHash = this.refreshTokenHash;
+    this.refreshTokenHash = hashToken(refreshToken);
+    this.lastSeenAt = Date.now();
+
+    return refreshToken;
+};
+
+/**
+ * Instance method to revoke the session. The caller saves the document.
+ *
+ * @function
+ * @param {string} reason - Why the session was ended (e.g. "logout")
+ */
+sessionSchema.methods.revoke = function(reason) {
+    this.revokedAt = Date.now();
+    this.revokedReason = reason;
+};
+
+/**
+ * Static method to start a new session for a user.
+ *
+ * @async
+ * @function
+ * @param {Object} user - The user document
+ * @param {Object} req - Express request (for User-Agent and IP)
+ * @param {number} lifetimeMs - How long the refresh token stays valid
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+sessionSchema.statics.start = async function(user, req, lifetimeMs) {
+    const userAgent = (req.get("user-agent") || "").slice(0, 300);
+    const session = new this({
+        userId: user._id,
+        device: describeDevice(userAgent),
+        userAgent,
+        ip: req.ip,
+        expiresAt: Date.now() + lifetimeMs
+    });
+
+    const refreshToken = session.rotateRefreshToken();
+    session.previousTokenHash = undefined;
+    await session.save();
+
+    return { session, refreshToken };
+};
+
+/**
+ * Static method to rotate the refresh token of a session, if `token` is still its current one.
+ *
+ * - The check and the rotation are one conditional update, so when two requests present the same
+ *   token only one of them gets a new token; for the other the token counts as reused.
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} sessionId
+ * @param {string} token - Plain refresh token presented by the client
+ * @param {string} ip - Where the token was used from
+ * @returns {Promise<{ session: Object, refreshToken: string }|null>} - null when the token was already rotated
+ */
+sessionSchema.statics.rotate = async function(sessionId, token, ip) {
+    const refreshToken = crypto.randomBytes(40).toString("hex");
+    const currentHash = hashToken(token);
+
+    const session = await this.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: currentHash, revokedAt: null },
+        {
+            refreshTokenHash: hashToken(refreshToken),
+            previousTokenHash: currentHash,
+            lastSeenAt: Date.now(),
+            ip
+        },
+        { new: true }
+    );
+
+    return session && { session, refreshToken };
+};
+
+/**
+ * Static method to revoke every active session of a user.
+ *
+ * @async
+ * @function
+ * @param {mongoose.Types.ObjectId|string} userId
+ * @param {string} reason - Why the sessions were ended
+ * @returns {Promise<void>}
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+    await this.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: Date.now(), revokedReason: reason }
+    );
+};
+
+sessionSchema.statics.hashToken = hashToken;
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
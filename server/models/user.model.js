@@ -12,6 +12,34 @@ const mongoose = require("mongoose");
 const validator = require("validator");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
+const totp = require("../utils/totp");
+
+// Minimum delay between two phone verification SMS
+const PHONE_CODE_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+// Maximum phone verification SMS within one window
+const PHONE_CODE_MAX_SENDS = 5;
+const PHONE_CODE_SEND_WINDOW = 60 * 60 * 1000; // 1 hour
+// Wrong codes accepted before a phone verification code is discarded
+const PHONE_CODE_MAX_ATTEMPTS = 5;
+// Failed logins before the account is locked; every further series of failures doubles the lock
+const LOGIN_LOCK_THRESHOLD = 5;
+const LOGIN_LOCK_BASE = 5 * 60 * 1000; // 5 minutes
+const LOGIN_LOCK_MAX = 24 * 60 * 60 * 1000; // 24 hours
+// Wrong codes accepted before an SMS login code is discarded, and minimum delay between two of them
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const LOGIN_CODE_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+// Minimum delay between two two-factor SMS
+const TWO_FACTOR_SMS_COOLDOWN = 60 * 1000; // 1 minute
+
+// Stripped from every JSON response, also when they were just set on the document (e.g. a new
+// phone verification code) and so are present despite select: false
+const SECRET_FIELDS = [
+    "password", "failedLoginAttempts", "lockUntil",
+    "emailVerificationToken", "emailVerificationExpires",
+    "phoneVerificationCode", "phoneVerificationExpires", "phoneVerificationAttempts",
+    "passwordResetToken", "passwordResetExpires",
+    "loginToken", "loginTokenExpires", "loginCode", "loginCodeExpires", "loginCodeSentAt", "loginCodeAttempts"
+];
 
 /**
  * User Schema Definition
@@ -35,30 +63,52 @@ const userSchema = new mongoose.Schema({
         validate: [validator.isEmail, "გთხოვთ მიუთითოთ სწორი ელექტრონული ფოსტა"]
     },
 
+    // New email address waiting for verification (see PATCH /updateMe), replaces email once verified
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        validate: [validator.isEmail, "გთხოვთ მიუთითოთ სწორი ელექტრონული ფოსტა"]
+    },
+
     // User's email verification status
     isEmailVerified: {
         type: Boolean,
         default: false
     },
-    // Token for email verification (hashed)
-    emailVerificationToken: String,
-    // Expiry date for email verification token
-    emailVerificationExpires: Date,
+    // Token for email verification (hashed) and its expiry
+    emailVerificationToken: { type: String, select: false },
+    emailVerificationExpires: { type: Date, select: false },
 
     // User's phone verification status
     isPhoneVerified: {
         type: Boolean,
         default: false,
     },
-    // Code sent to user for phone verification
-    phoneVerificationCode: String,
-    // Expiry date for phone verification code
-    phoneVerificationExpires: Date,
+    // Code sent to user for phone verification (hashed) and its expiry
+    phoneVerificationCode: { type: String, select: false },
+    phoneVerificationExpires: { type: Date, select: false },
+    // When the last verification SMS was sent (used to throttle resends)
+    phoneVerificationSentAt: Date,
+    // Number of verification SMS sent in the current window, and when that window started
+    phoneVerificationSendCount: {
+        type: Number,
+        default: 0
+    },
+    phoneVerificationWindowStart: Date,
+    // Wrong codes entered for the current verification code
+    phoneVerificationAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
     
     // User's password with strong validation requirements
     password: {
         type: String,
-        required: [true, "პაროლი აუცილებელია"],
+        // Accounts created through Google/Facebook sign-in may have no password
+        required: [function() {
+            return !this.oauthAccounts?.length;
+        }, "პაროლი აუცილებელია"],
         minlength: [8, "პაროლი უნდა შედგებოდეს მინიმუმ 8 სიმბოლოსგან"],
         maxlength: [16, "პაროლი უნდა შედგებოდეს მაქსიმუმ 16 სიმბოლოსგან"],
         select: false, // Exclude password from queries by default for security
@@ -69,8 +119,8 @@ const userSchema = new mongoose.Schema({
     passwordConfirm: {
         type: String,
         required: function() {
-            // Only required on new documents (registration)
-            return this.isNew;
+            // Only required on new documents (registration) that set a password
+            return this.isNew && Boolean(this.password);
         },
         validate: {
             // Custom validator to ensure password confirmation matches password
@@ -83,10 +133,60 @@ const userSchema = new mongoose.Schema({
 
     // Date when the password was last changed
     passwordChangedAt: Date,
-    // Token for password reset (hashed)
-    passwordResetToken: String,
-    // Expiry date for password reset token
-    passwordResetExpires: Date,
+    // Token for password reset (hashed) and its expiry
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+
+    // Suspension or ban set through the admin API. A suspension ends at expiresAt, a ban has no end.
+    suspension: {
+        type: {
+            type: String,
+            enum: ["suspended", "banned"]
+        },
+        reason: String,
+        expiresAt: Date,
+        by: {
+            type: mongoose.Types.ObjectId,
+            ref: "User"
+        },
+        at: Date
+    },
+    // Set by an admin: the user has to reset the password (link sent by email) before logging in again
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+
+    // Deactivated accounts (DELETE /deleteMe) are kept but hidden from queries
+    active: {
+        type: Boolean,
+        default: true,
+        select: false
+    },
+    deactivatedAt: {
+        type: Date,
+        select: false
+    },
+
+    // Passwordless sign-in: one-time magic link token (hashed) and its expiry
+    loginToken: { type: String, select: false },
+    loginTokenExpires: { type: Date, select: false },
+    // Passwordless sign-in: one-time SMS code (hashed), expiry, send time and wrong attempts
+    loginCode: { type: String, select: false },
+    loginCodeExpires: { type: Date, select: false },
+    loginCodeSentAt: { type: Date, select: false },
+    loginCodeAttempts: { type: Number, default: 0, select: false },
+
+    // Consecutive failed logins (wrong password or second factor) and the end of the current lockout
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lockUntil: {
+        type: Date,
+        select: false
+    },
     
     // User role for authorization and access control
     role: {
@@ -97,11 +197,21 @@ const userSchema = new mongoose.Schema({
         },
         default: "costumer" // Default role for new users
     },
+
+    // Set when a moderator approves the user's provider application (public "verified" badge)
+    isVerifiedProvider: {
+        type: Boolean,
+        default: false
+    },
+    providerVerifiedAt: Date,
     
     // User's phone number with validation
     phone: {
         type: String,
-        required: [true, "ტელეფონის ნომერი აუცილებელია"],
+        // Accounts created through Google/Facebook sign-in add the phone as a follow-up step
+        required: [function() {
+            return !this.oauthAccounts?.length;
+        }, "ტელეფონის ნომერი აუცილებელია"],
         validate: {
             validator: function(v) {
                 // Validate Georgian phone number format
@@ -109,23 +219,131 @@ const userSchema = new mongoose.Schema({
             },
             message: "მომხმარებლის ტელეფონის ნომერი უნდა იყოს სწორი და ქართული"
         },
-        unique: true
+        unique: true,
+        sparse: true
     },
+
+    // Linked Google/Facebook accounts used for social sign-in
+    oauthAccounts: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ["google", "facebook"],
+            required: true
+        },
+        // Account ID at the provider ("sub" for Google, "id" for Facebook)
+        providerId: {
+            type: String,
+            required: true
+        },
+        // Email the provider reported when the account was linked
+        email: String,
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     
     // Optional profile image URL
     profileImage: {
         type: String,
         default: null
+    },
+
+    // Short public introduction shown on the provider profile
+    bio: {
+        type: String,
+        trim: true,
+        maxlength: [500, "ბიოგრაფია არ უნდა აღემატებოდეს 500 სიმბოლოს"]
+    },
+
+    // Two-factor authentication settings (providers, moderators and admins)
+    twoFactor: {
+        // Whether a second factor is asked for at login
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Second factor used at login
+        method: {
+            type: String,
+            enum: {
+                values: ["totp", "sms"],
+                message: "ორსაფეხურიანი ავტორიზაციის მეთოდი უნდა იყოს: totp ან sms"
+            }
+        },
+        // Set by an admin or moderator: the user must enable 2FA before using the API
+        required: {
+            type: Boolean,
+            default: false
+        },
+        // Authenticator app secret (base32), and the one awaiting confirmation during setup
+        totpSecret: { type: String, select: false },
+        pendingTotpSecret: { type: String, select: false },
+        // Last accepted TOTP time step, so a code can't be replayed
+        lastTotpStep: { type: Number, select: false },
+        // One-time recovery codes (hashed)
+        recoveryCodes: { type: [String], select: false },
+        // Login/setup code sent by SMS (hashed), its expiry and when it was sent
+        smsCode: { type: String, select: false },
+        smsCodeExpires: { type: Date, select: false },
+        smsCodeSentAt: { type: Date, select: false },
+        // Pending login challenge and failed attempts against it
+        challengeId: { type: String, select: false },
+        failedAttempts: { type: Number, default: 0, select: false }
     }
 }, {
     // Enable automatic timestamp fields (createdAt, updatedAt)
     timestamps: true,
     
     // Configure JSON output options
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        // Never send secrets to the client, even when they were selected
+        transform: function(doc, ret) {
+            for (const field of SECRET_FIELDS) {
+                delete ret[field];
+            }
+            if (ret.twoFactor) {
+                const { enabled, method, required } = ret.twoFactor;
+                ret.twoFactor = { enabled, method, required };
+            }
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
+// One user per provider account
+userSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.providerId": { $exists: true } } }
+);
+
+// Fields needed to check a second factor (select: false by default)
+const TWO_FACTOR_SECRET_FIELDS = [
+    "totpSecret", "pendingTotpSecret", "lastTotpStep", "recoveryCodes",
+    "smsCode", "smsCodeExpires", "smsCodeSentAt", "challengeId", "failedAttempts"
+].map((field) => `+twoFactor.${field}`).join(" ");
+
+// Fields needed to check a phone verification code (select: false by default)
+const PHONE_VERIFICATION_FIELDS = "+phoneVerificationCode +phoneVerificationExpires +phoneVerificationAttempts";
+
+/**
+ * Mongoose query middleware hiding deactivated users from every find and countDocuments query
+ * (counts have to agree with the listings they paginate, see utils/APIFeatures).
+ * 
+ * - Queries that filter on `active` themselves (e.g. admin views with { active: false }) are left as they are.
+ * - Populated references to a deactivated user come back as null.
+ *
+ * @function
+ */
+userSchema.pre(/^(find|countDocuments$)/, function() {
+    if (this.getFilter().active === undefined) {
+        this.where({ active: { $ne: false } });
+    }
+});
+
 /**
  * Mongoose pre-save middleware to hash user passwords before saving to the database.
  * 
@@ -137,8 +355,8 @@ const userSchema = new mongoose.Schema({
  * @param {Function} next - Callback to proceed to the next middleware
  */
 userSchema.pre("save", async function(next) {
-    // Only hash the password if it has been modified (or is new)
-    if (!this.isModified("password")) return next();
+    // Only hash the password if it has been modified (or is new), and was not removed
+    if (!this.isModified("password") || !this.password) return next();
 
     // Hash the password with a cost factor of 12
     this.password = await bcrypt.hash(this.password, 12);
@@ -182,9 +400,30 @@ userSchema.pre('save', async function(next) {
  * @returns {Promise<boolean>} - Returns true if passwords match, false otherwise
  */
 userSchema.methods.correctPassword = async function(candidatePassword, userPassword) {
+    // Social sign-in accounts may have no password
+    if (!userPassword) return false;
     return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+/**
+ * Instance method to check whether the password was changed after a point in time.
+ * 
+ * - Used by the protect middleware to reject tokens issued before the last password change.
+ * - Returns false when the password was never changed.
+ *
+ * @function
+ * @param {number} JWTTimestamp - Token "issued at" time in seconds (JWT iat claim)
+ * @returns {boolean} - true if the password was changed after the given time
+ */
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+    if (!this.passwordChangedAt) return false;
+
+    // JWT iat is in seconds, passwordChangedAt in milliseconds
+    const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+
+    return JWTTimestamp < changedTimestamp;
+};
+
 /**
  * Instance method to create an email verification token.
  * 
@@ -214,22 +453,183 @@ userSchema.methods.createEmailVerification = function() {
 /**
  * Instance method to generate a phone verification code.
  * 
- * - Generates a 6-digit code, sets it and its expiry on the user document.
- * - Returns the code (to be sent to the user).
+ * - Generates a 6-digit code, stores its hash and expiry on the user document.
+ * - Returns the plain code (to be sent to the user).
+ * - The send itself is recorded by User.claimPhoneCodeSend, which also enforces the throttle.
  *
  * @function
  * @returns {string} code - The phone verification code
  */
 userSchema.methods.generatePhoneVerificationCode = function () {
     // Generate a 6-digit code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    // Set code and expiry on the user document
-    this.phoneVerificationCode = code;
+    const code = crypto.randomInt(100000, 1000000).toString();
+    // Set hashed code and expiry on the user document
+    this.phoneVerificationCode = crypto.createHash("sha256").update(code).digest("hex");
     this.phoneVerificationExpires = Date.now() + 5 * 60 * 1000; // 5 min
+    this.phoneVerificationAttempts = 0;
+
     // Return the code (to be sent to the user)
     return code;
 };
 
+/**
+ * Static method to record a verification SMS send, if the throttle allows it (see phoneCodeResendWait).
+ *
+ * - The check and the record are one conditional update, so concurrent requests can't both get past
+ *   the throttle: either the send still fits the current window, or the window is over and a new one starts.
+ *
+ * @function
+ * @param {mongoose.Types.ObjectId|string} userId
+ * @returns {Promise<Object|null>} - The updated user, null when the user has to wait
+ */
+userSchema.statics.claimPhoneCodeSend = async function (userId) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - PHONE_CODE_SEND_WINDOW);
+    const cooledDown = {
+        $or: [
+            { phoneVerificationSentAt: null },
+            { phoneVerificationSentAt: { $lte: new Date(now.getTime() - PHONE_CODE_RESEND_COOLDOWN) } }
+        ]
+    };
+
+    const inWindow = await this.findOneAndUpdate(
+        {
+            _id: userId,
+            ...cooledDown,
+            phoneVerificationWindowStart: { $gt: windowStart },
+            phoneVerificationSendCount: { $lt: PHONE_CODE_MAX_SENDS }
+        },
+        { $set: { phoneVerificationSentAt: now }, $inc: { phoneVerificationSendCount: 1 } },
+        { new: true }
+    );
+    if (inWindow) return inWindow;
+
+    return this.findOneAndUpdate(
+        {
+            _id: userId,
+            $and: [
+                cooledDown,
+                { $or: [{ phoneVerificationWindowStart: null }, { phoneVerificationWindowStart: { $lte: windowStart } }] }
+            ]
+        },
+        { $set: { phoneVerificationSentAt: now, phoneVerificationWindowStart: now, phoneVerificationSendCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Instance method telling how long the user has to wait before another verification SMS can be sent.
+ * 
+ * - Enforces a cooldown between two sends and a maximum number of sends per window.
+ *
+ * @function
+ * @returns {number} - Seconds to wait, 0 when a new code may be sent now
+ */
+userSchema.methods.phoneCodeResendWait = function () {
+    const now = Date.now();
+    let waitUntil = 0;
+
+    if (this.phoneVerificationSentAt) {
+        waitUntil = this.phoneVerificationSentAt.getTime() + PHONE_CODE_RESEND_COOLDOWN;
+    }
+
+    const windowStart = this.phoneVerificationWindowStart?.getTime();
+    if (windowStart && now - windowStart <= PHONE_CODE_SEND_WINDOW && this.phoneVerificationSendCount >= PHONE_CODE_MAX_SENDS) {
+        waitUntil = Math.max(waitUntil, windowStart + PHONE_CODE_SEND_WINDOW);
+    }
+
+    return Math.max(0, Math.ceil((waitUntil - now) / 1000));
+};
+
+/**
+ * Instance method to check a phone verification code entered by the user.
+ *
+ * - Wrong codes are counted; after PHONE_CODE_MAX_ATTEMPTS the code is discarded so it can't be guessed.
+ * - The document has to be loaded with PHONE_VERIFICATION_FIELDS, and saved by the caller.
+ *
+ * @function
+ * @param {string} code - Code entered by the user
+ * @returns {"valid"|"invalid"|"expired"|"too_many_attempts"} - Result of the check
+ */
+userSchema.methods.checkPhoneVerificationCode = function (code) {
+    if (!this.phoneVerificationCode || !code) return "invalid";
+
+    const hashedCode = Buffer.from(crypto.createHash("sha256").update(String(code)).digest("hex"));
+    const storedCode = Buffer.from(this.phoneVerificationCode);
+    const matches = hashedCode.length === storedCode.length && crypto.timingSafeEqual(hashedCode, storedCode);
+
+    if (!matches) {
+        this.phoneVerificationAttempts = (this.phoneVerificationAttempts || 0) + 1;
+        if (this.phoneVerificationAttempts < PHONE_CODE_MAX_ATTEMPTS) return "invalid";
+
+        this.phoneVerificationCode = undefined;
+        this.phoneVerificationExpires = undefined;
+        return "too_many_attempts";
+    }
+    if (!this.phoneVerificationExpires || this.phoneVerificationExpires.getTime() < Date.now()) return "expired";
+    return "valid";
+};
+
+/**
+ * Instance method telling how long the account stays locked after failed logins.
+ * The document has to be loaded with +lockUntil.
+ *
+ * @function
+ * @returns {number} - Seconds until the lock ends, 0 when the user may log in
+ */
+userSchema.methods.loginLockWait = function () {
+    if (!this.lockUntil) return 0;
+    return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Instance method to record a failed login (wrong password or second factor).
+ *
+ * - Every LOGIN_LOCK_THRESHOLD consecutive failures lock the account, for 5 minutes the first time
+ *   and twice as long each following time (at most 24 hours).
+ * - The document has to be loaded with +failedLoginAttempts, and saved by the caller.
+ *
+ * @function
+ * @returns {number} - Seconds the account is now locked for, 0 when it isn't
+ */
+userSchema.methods.registerFailedLogin = function () {
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+    if (this.failedLoginAttempts % LOGIN_LOCK_THRESHOLD !== 0) return 0;
+
+    const lockouts = this.failedLoginAttempts / LOGIN_LOCK_THRESHOLD;
+    const duration = Math.min(LOGIN_LOCK_BASE * 2 ** (lockouts - 1), LOGIN_LOCK_MAX);
+    this.lockUntil = Date.now() + duration;
+
+    return Math.ceil(duration / 1000);
+};
+
+/**
+ * Instance method to clear failed logins after a successful one. The caller saves the document.
+ *
+ * @function
+ * @returns {boolean} - Whether anything changed (so the caller can skip the save)
+ */
+userSchema.methods.resetFailedLogins = function () {
+    if (!this.failedLoginAttempts && !this.lockUntil) return false;
+
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    return true;
+};
+
+/**
+ * Instance method telling whether the user is currently suspended or banned.
+ *
+ * @function
+ * @returns {boolean}
+ */
+userSchema.methods.isSuspended = function () {
+    if (!this.suspension?.type) return false;
+    if (this.suspension.type === "banned") return true;
+    return !this.suspension.expiresAt || this.suspension.expiresAt.getTime() > Date.now();
+};
+
 /**
  * Instance method to create a password reset token.
  * 
@@ -253,6 +653,205 @@ userSchema.methods.createPasswordResetToken = function() {
     return resetToken;
 };
 
+/**
+ * Hashes a one-time code (SMS code or recovery code) for storage.
+ * @param {string} code
+ * @returns {string}
+ */
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+/**
+ * Instance method to create a magic sign-in link token.
+ * 
+ * - Generates a random token, hashes it, and sets the hashed value and expiry (15 minutes) on the user document.
+ * - Returns the plain token (to be sent to the user).
+ *
+ * @function
+ * @returns {string} token - The plain sign-in token
+ */
+userSchema.methods.createLoginToken = function() {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    this.loginToken = hashCode(token);
+    this.loginTokenExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
+
+    return token;
+};
+
+/**
+ * Instance method to create an SMS sign-in code.
+ * 
+ * - Generates a 6-digit code, stores its hash, expiry (5 minutes) and send time, resets wrong attempts.
+ * - Returns the plain code (to be sent to the user).
+ *
+ * @function
+ * @returns {string} code - The sign-in code
+ */
+userSchema.methods.createLoginCode = function() {
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    this.loginCode = hashCode(code);
+    this.loginCodeExpires = Date.now() + 5 * 60 * 1000; // 5 minutes
+    this.loginCodeSentAt = Date.now();
+    this.loginCodeAttempts = 0;
+
+    return code;
+};
+
+/**
+ * Instance method telling how long the user has to wait before another SMS sign-in code can be sent.
+ * The document has to be loaded with +loginCodeSentAt.
+ *
+ * @function
+ * @returns {number} - Seconds to wait, 0 when a new code may be sent now
+ */
+userSchema.methods.loginCodeResendWait = function() {
+    if (!this.loginCodeSentAt) return 0;
+    return Math.max(0, Math.ceil((this.loginCodeSentAt.getTime() + LOGIN_CODE_RESEND_COOLDOWN - Date.now()) / 1000));
+};
+
+/**
+ * Instance method to check an SMS sign-in code.
+ * 
+ * - A valid code is consumed; after LOGIN_CODE_MAX_ATTEMPTS wrong codes the code is discarded.
+ * - The document has to be loaded with the login code fields, and saved by the caller.
+ *
+ * @function
+ * @param {string} code - Code entered by the user
+ * @returns {"valid"|"invalid"|"too_many_attempts"} - Result of the check
+ */
+userSchema.methods.checkLoginCode = function(code) {
+    if (!this.loginCode || !this.loginCodeExpires || this.loginCodeExpires.getTime() < Date.now()) return "invalid";
+
+    const hashedCode = Buffer.from(hashCode(code));
+    const storedCode = Buffer.from(this.loginCode);
+
+    if (hashedCode.length === storedCode.length && crypto.timingSafeEqual(hashedCode, storedCode)) {
+        this.loginCode = undefined;
+        this.loginCodeExpires = undefined;
+        return "valid";
+    }
+
+    this.loginCodeAttempts = (this.loginCodeAttempts || 0) + 1;
+    if (this.loginCodeAttempts < LOGIN_CODE_MAX_ATTEMPTS) return "invalid";
+
+    this.loginCode = undefined;
+    this.loginCodeExpires = undefined;
+    return "too_many_attempts";
+};
+
+/**
+ * Instance method to create a two-factor SMS code.
+ * 
+ * - Generates a 6-digit code, stores its hash, expiry (5 minutes) and send time.
+ * - Returns the plain code (to be sent to the user).
+ *
+ * @function
+ * @returns {string} code - The SMS code
+ */
+userSchema.methods.createTwoFactorSmsCode = function() {
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    this.twoFactor.smsCode = hashCode(code);
+    this.twoFactor.smsCodeExpires = Date.now() + 5 * 60 * 1000; // 5 minutes
+    this.twoFactor.smsCodeSentAt = Date.now();
+
+    return code;
+};
+
+/**
+ * Instance method telling how long the user has to wait before another two-factor SMS can be sent.
+ * The document has to be loaded with TWO_FACTOR_SECRET_FIELDS.
+ *
+ * @function
+ * @returns {number} - Seconds to wait, 0 when a new code may be sent now
+ */
+userSchema.methods.twoFactorSmsWait = function() {
+    const sentAt = this.twoFactor.smsCodeSentAt?.getTime();
+    if (!sentAt) return 0;
+
+    return Math.max(0, Math.ceil((sentAt + TWO_FACTOR_SMS_COOLDOWN - Date.now()) / 1000));
+};
+
+/**
+ * Instance method to generate new recovery codes, replacing the old ones.
+ * 
+ * - Generates 10 codes like "a1b2-c3d4", stores their hashes.
+ * - Returns the plain codes (shown to the user once).
+ *
+ * @function
+ * @returns {string[]} - The plain recovery codes
+ */
+userSchema.methods.generateRecoveryCodes = function() {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(4).toString("hex");
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map(hashCode);
+    return codes;
+};
+
+/**
+ * Instance method to check the pending 2FA SMS code only, consuming it when it matches.
+ * The document has to be loaded with TWO_FACTOR_SECRET_FIELDS, and saved by the caller.
+ *
+ * @function
+ * @param {string} code - Code entered by the user
+ * @returns {boolean}
+ */
+userSchema.methods.verifyTwoFactorSmsCode = function(code) {
+    if (typeof code !== "string" || !code.trim()) return false;
+    const twoFactor = this.twoFactor;
+
+    if (!twoFactor.smsCode || !(twoFactor.smsCodeExpires?.getTime() > Date.now())) return false;
+    if (hashCode(code.trim().toLowerCase()) !== twoFactor.smsCode) return false;
+
+    twoFactor.smsCode = undefined;
+    twoFactor.smsCodeExpires = undefined;
+    return true;
+};
+
+/**
+ * Instance method to check a second-factor code.
+ * 
+ * - Accepts a TOTP code (when the method is "totp"), the pending SMS code, or a recovery code.
+ * - Used SMS and recovery codes are consumed, accepted TOTP steps can't be replayed.
+ * - The document has to be loaded with TWO_FACTOR_SECRET_FIELDS, and saved by the caller.
+ *
+ * @function
+ * @param {string} code - Code entered by the user
+ * @returns {"totp"|"sms"|"recovery"|null} - Which factor matched, or null
+ */
+userSchema.methods.verifyTwoFactorCode = function(code) {
+    if (typeof code !== "string" || !code.trim()) return null;
+    const value = code.trim().toLowerCase();
+    const twoFactor = this.twoFactor;
+
+    if (twoFactor.method === "totp" && twoFactor.totpSecret) {
+        const step = totp.verifyCode(twoFactor.totpSecret, value);
+        if (step !== null && (twoFactor.lastTotpStep === undefined || step > twoFactor.lastTotpStep)) {
+            twoFactor.lastTotpStep = step;
+            return "totp";
+        }
+    }
+
+    if (this.verifyTwoFactorSmsCode(value)) {
+        return "sms";
+    }
+
+    const recoveryIndex = (twoFactor.recoveryCodes || []).indexOf(hashCode(value));
+    if (recoveryIndex !== -1) {
+        twoFactor.recoveryCodes.splice(recoveryIndex, 1);
+        return "recovery";
+    }
+
+    return null;
+};
+
+userSchema.statics.TWO_FACTOR_SECRET_FIELDS = TWO_FACTOR_SECRET_FIELDS;
+userSchema.statics.PHONE_VERIFICATION_FIELDS = PHONE_VERIFICATION_FIELDS;
+
 // Create and export the User model
 // This creates a Mongoose model named "User" using the userSchema defined above.
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,135 @@
+/**
+ * Admin Router
+ * 
+ * Admin user management routes: listing and searching users, role changes, suspensions and bans,
+ * forced password resets, manual verification, the review moderation queue and the admin log.
+ * Every route requires authentication; moderators get a narrower set of actions than admins.
+ * 
+ * @module routers/admin.router
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const {
+    listUsers,
+    getUser,
+    changeRole,
+    suspendUser,
+    liftSuspension,
+    forcePasswordReset,
+    verifyUserEmail,
+    verifyUserPhone,
+    getLogs
+} = require("../controllers/admin.controller");
+const { listReviews, hideReview, restoreReview, deleteReview } = require("../controllers/reviewModeration.controller");
+const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
+
+// Create a new Express router instance for admin routes
+const adminRouter = express.Router();
+
+// All admin routes require authentication
+adminRouter.use(protect);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List users (?q= search, filter by role and verification state, ?suspended=true|false)
+ * @access  Protected (user:read)
+ */
+adminRouter.get("/users", authorize("user:read"), listUsers);
+
+/**
+ * @route   GET /api/v1/admin/users/:id
+ * @desc    Get a user, including deactivated accounts
+ * @access  Protected (user:read)
+ */
+adminRouter.get("/users/:id", authorize("user:read"), getUser);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:id/role
+ * @desc    Change a user's role
+ * @body    { role, reason? }
+ * @access  Protected (user:change_role)
+ */
+adminRouter.patch("/users/:id/role", authorize("user:change_role"), changeRole);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/suspend
+ * @desc    Suspend or ban a user and end their sessions
+ * @body    { type: "suspended" | "banned", reason, expiresAt? }
+ * @access  Protected (user:suspend) - moderators may only suspend, for at most 30 days
+ */
+adminRouter.post("/users/:id/suspend", authorize("user:suspend"), suspendUser);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id/suspend
+ * @desc    Lift a suspension or ban
+ * @body    { reason? }
+ * @access  Protected (user:suspend) - only admins may lift bans
+ */
+adminRouter.delete("/users/:id/suspend", authorize("user:suspend"), liftSuspension);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/force-password-reset
+ * @desc    Log the user out everywhere and require a password reset (link sent by email)
+ * @body    { reason? }
+ * @access  Protected (user:force_password_reset)
+ */
+adminRouter.post("/users/:id/force-password-reset", authorize("user:force_password_reset"), forcePasswordReset);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/verify-email
+ * @desc    Mark the user's email as verified
+ * @body    { reason? }
+ * @access  Protected (user:verify)
+ */
+adminRouter.post("/users/:id/verify-email", authorize("user:verify"), verifyUserEmail);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/verify-phone
+ * @desc    Mark the user's phone number as verified
+ * @body    { reason? }
+ * @access  Protected (user:verify)
+ */
+adminRouter.post("/users/:id/verify-phone", authorize("user:verify"), verifyUserPhone);
+
+/**
+ * @route   GET /api/v1/admin/reviews
+ * @desc    Review moderation queue: reported published reviews, most reported first (?status= for others)
+ * @access  Protected (review:moderate)
+ */
+adminRouter.get("/reviews", authorize("review:moderate"), listReviews);
+
+/**
+ * @route   PATCH /api/v1/admin/reviews/:id/hide
+ * @desc    Hide a review from listings and rating stats
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+adminRouter.patch("/reviews/:id/hide", authorize("review:moderate"), hideReview);
+
+/**
+ * @route   PATCH /api/v1/admin/reviews/:id/restore
+ * @desc    Restore a hidden review or dismiss the reports of a published one
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+adminRouter.patch("/reviews/:id/restore", authorize("review:moderate"), restoreReview);
+
+/**
+ * @route   DELETE /api/v1/admin/reviews/:id
+ * @desc    Delete a review
+ * @body    { reason }
+ * @access  Protected (review:moderate)
+ */
+adminRouter.delete("/reviews/:id", authorize("review:moderate"), deleteReview);
+
+/**
+ * @route   GET /api/v1/admin/logs
+ * @desc    List admin log entries (filter by action, actor, targetUser, createdAt)
+ * @access  Protected (admin_log:read)
+ */
+adminRouter.get("/logs", authorize("admin_log:read"), getLogs);
+
+module.exports = adminRouter;
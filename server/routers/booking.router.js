@@ -0,0 +1,82 @@
+/**
+ * Booking Router
+ * 
+ * This module defines the routes for placing bookings on services and moving them through their lifecycle.
+ * Customers create and cancel bookings; the service's provider accepts, declines, starts and completes them.
+ * 
+ * @module routers/booking.router
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const express = require("express");
+
+// Import controller functions for booking operations
+const {
+    createBooking,
+    getCustomerBookings,
+    getProviderBookings,
+    getBooking,
+    acceptBooking,
+    declineBooking,
+    startBooking,
+    completeBooking,
+    cancelBooking
+} = require("../controllers/booking.controller");
+
+// Import authentication middleware, every booking route requires a logged in user
+const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
+
+// Create a new Express router instance for booking-related routes
+const bookingRouter = express.Router();
+
+bookingRouter.use(protect);
+
+/**
+ * @route   POST /api/v1/bookings
+ * @desc    Place a booking on a service
+ * @access  Protected (booking:create)
+ */
+bookingRouter.post("/", authorize("booking:create"), createBooking);
+
+/**
+ * @route   GET /api/v1/bookings/customer
+ * @desc    List bookings placed by the logged in customer
+ * @access  Protected (booking:create)
+ */
+bookingRouter.get("/customer", authorize("booking:create"), getCustomerBookings);
+
+/**
+ * @route   GET /api/v1/bookings/provider
+ * @desc    List bookings received by the logged in provider
+ * @access  Protected (booking:manage)
+ */
+bookingRouter.get("/provider", authorize("booking:manage"), getProviderBookings);
+
+/**
+ * @route   GET /api/v1/bookings/:id
+ * @desc    Retrieve a single booking (its customer or provider, or an admin or moderator)
+ * @access  Protected (booking:read)
+ */
+bookingRouter.get("/:id", authorize("booking:read"), getBooking);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/accept | decline | start | complete
+ * @desc    Move a booking through its lifecycle (the service's provider only)
+ * @access  Protected (booking:manage)
+ */
+bookingRouter.patch("/:id/accept", authorize("booking:manage"), acceptBooking);
+bookingRouter.patch("/:id/decline", authorize("booking:manage"), declineBooking);
+bookingRouter.patch("/:id/start", authorize("booking:manage"), startBooking);
+bookingRouter.patch("/:id/complete", authorize("booking:manage"), completeBooking);
+
+/**
+ * @route   PATCH /api/v1/bookings/:id/cancel
+ * @desc    Cancel a requested or accepted booking (its customer or provider)
+ * @access  Protected (booking:cancel)
+ */
+bookingRouter.patch("/:id/cancel", authorize("booking:cancel"), cancelBooking);
+
+// Export the configured booking router for use in the main application
+module.exports = bookingRouter;
@@ -0,0 +1,47 @@
+/**
+ * Category Router
+ *
+ * Routes of the service category taxonomy: the public category tree and admin management.
+ *
+ * @module routers/category.router
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const { getCategories, createCategory, updateCategory, deleteCategory } = require("../controllers/category.controller");
+const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
+
+// Create a new Express router instance for category routes
+const categoryRouter = express.Router();
+
+/**
+ * @route   GET /api/v1/categories
+ * @desc    Category tree with service counts
+ * @access  Public
+ *
+ * @route   POST /api/v1/categories
+ * @desc    Create a category
+ * @body    { name: { ka, en }, slug?, icon?, parent?, order? }
+ * @access  Protected (category:manage)
+ */
+categoryRouter.route("/")
+    .get(getCategories)
+    .post(protect, authorize("category:manage"), createCategory);
+
+/**
+ * @route   PATCH /api/v1/categories/:id
+ * @desc    Update or move a category
+ * @body    { name?: { ka?, en? }, slug?, icon?, parent?, order? }
+ * @access  Protected (category:manage)
+ *
+ * @route   DELETE /api/v1/categories/:id
+ * @desc    Delete an empty category
+ * @access  Protected (category:manage)
+ */
+categoryRouter.route("/:id")
+    .patch(protect, authorize("category:manage"), updateCategory)
+    .delete(protect, authorize("category:manage"), deleteCategory);
+
+module.exports = categoryRouter;
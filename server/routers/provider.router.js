@@ -0,0 +1,24 @@
+/**
+ * Provider Router
+ *
+ * Public provider profile routes.
+ *
+ * @module routers/provider.router
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const { getProviderProfile } = require("../controllers/provider.controller");
+
+// Create a new Express router instance for provider routes
+const providerRouter = express.Router();
+
+/**
+ * @route   GET /api/v1/providers/:id
+ * @desc    Public provider profile with services, rating, completed jobs and response time
+ * @access  Public
+ */
+providerRouter.get("/:id", getProviderProfile);
+
+module.exports = providerRouter;
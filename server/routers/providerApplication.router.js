@@ -0,0 +1,76 @@
+/**
+ * Provider Application Router
+ *
+ * Routes of the provider onboarding workflow: applying to become a verified provider
+ * and the moderators' review queue.
+ *
+ * @module routers/providerApplication.router
+ * @author Luka Tskhvaradze
+ * @version 1.0.0
+ */
+
+const express = require("express");
+const {
+    createApplication,
+    getMyApplications,
+    listApplications,
+    getApplication,
+    approveApplication,
+    rejectApplication
+} = require("../controllers/providerApplication.controller");
+const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
+
+// Create a new Express router instance for provider application routes
+const providerApplicationRouter = express.Router();
+
+// All routes require authentication
+providerApplicationRouter.use(protect);
+
+/**
+ * @route   POST /api/v1/provider-applications
+ * @desc    Apply to become a verified service provider
+ * @body    { businessType, personalId?, companyId?, businessName?, address, categories, documents? }
+ * @access  Protected (provider_application:create)
+ *
+ * @route   GET /api/v1/provider-applications
+ * @desc    Review queue, pending applications oldest first
+ * @access  Protected (provider_application:review)
+ */
+providerApplicationRouter.route("/")
+    .post(authorize("provider_application:create"), createApplication)
+    .get(authorize("provider_application:review"), listApplications);
+
+/**
+ * @route   GET /api/v1/provider-applications/me
+ * @desc    The authenticated user's applications and their decisions
+ * @access  Protected
+ *
+ * Registered before "/:id" so "me" isn't treated as an application ID.
+ */
+providerApplicationRouter.get("/me", getMyApplications);
+
+/**
+ * @route   GET /api/v1/provider-applications/:id
+ * @desc    Retrieve an application
+ * @access  Protected (provider_application:review)
+ */
+providerApplicationRouter.get("/:id", authorize("provider_application:review"), getApplication);
+
+/**
+ * @route   PATCH /api/v1/provider-applications/:id/approve
+ * @desc    Approve an application (the applicant becomes a verified provider)
+ * @body    { comment? }
+ * @access  Protected (provider_application:review)
+ */
+providerApplicationRouter.patch("/:id/approve", authorize("provider_application:review"), approveApplication);
+
+/**
+ * @route   PATCH /api/v1/provider-applications/:id/reject
+ * @desc    Reject an application with a comment
+ * @body    { comment }
+ * @access  Protected (provider_application:review)
+ */
+providerApplicationRouter.patch("/:id/reject", authorize("provider_application:review"), rejectApplication);
+
+module.exports = providerApplicationRouter;
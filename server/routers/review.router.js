@@ -10,23 +10,35 @@
  */
 
 const express = require("express");
-const { createReview, getReviewsByService, getReview, deleteReview } = require("../controllers/review.controller");
+const {
+    createReview,
+    getReviewsByService,
+    getReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    updateReply,
+    voteReview,
+    removeVote,
+    reportReview
+} = require("../controllers/review.controller");
 const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
 
 // Create a new Express router instance for review-related routes
 const reviewRouter = express.Router();
 
 /**
  * @route   POST /api/v1/reviews
- * @desc    Create a new review for a service
- * @access  Protected (authenticated users only)
+ * @desc    Review a service (requires a booking of it completed within REVIEW_WINDOW_DAYS, default 30)
+ * @access  Protected (review:create)
  */
-reviewRouter.post("/", protect, createReview);
+reviewRouter.post("/", protect, authorize("review:create"), createReview);
 
 
 /**
  * @route GET /api/v1/reviews/service/:serviceId
- * @desc Get all reveiws for a service
+ * @desc Get all reveiws for a service (?sort=newest|highest|lowest|helpful, paginated)
  * @access Public
  */
 reviewRouter.get("/service/:serviceId", getReviewsByService);
@@ -38,11 +50,56 @@ reviewRouter.get("/service/:serviceId", getReviewsByService);
  */
 reviewRouter.get("/:reviewId", protect, getReview);
 
+/**
+ * @route PATCH /api/v1/reviews/:reviewId
+ * @desc Edit own review (rating, comment); previous versions are kept
+ * @body { rating?, comment? }
+ * @access Protected (review:update - own reviews only)
+ */
+reviewRouter.patch("/:reviewId", protect, authorize("review:update"), updateReview);
+
 /**
  * @route DELETE /api/v1/reviews/:reviewId
  * @desc Delete specific review 
- * @access Protected (authenticated users only)
+ * @access Protected (review:delete - own reviews, any for admins and moderators)
+ */
+reviewRouter.delete("/:reviewId", protect, authorize("review:delete"), deleteReview);
+
+/**
+ * @route POST /api/v1/reviews/:reviewId/reply
+ * @desc Post the service provider's public reply (one per review, the reviewer is emailed)
+ * @body { text }
+ * @access Protected (service:reply - provider of the reviewed service)
+ *
+ * @route PATCH /api/v1/reviews/:reviewId/reply
+ * @desc Edit the reply within REVIEW_REPLY_EDIT_HOURS (default 48) of posting it
+ * @body { text }
+ * @access Protected (service:reply - provider of the reviewed service)
+ */
+reviewRouter.route("/:reviewId/reply")
+    .post(protect, authorize("service:reply"), replyToReview)
+    .patch(protect, authorize("service:reply"), updateReply);
+
+/**
+ * @route PUT /api/v1/reviews/:reviewId/vote
+ * @desc Vote a review helpful or unhelpful (replaces an earlier vote)
+ * @body { vote: "helpful" | "unhelpful" }
+ * @access Protected (review:vote)
+ *
+ * @route DELETE /api/v1/reviews/:reviewId/vote
+ * @desc Take back the vote
+ * @access Protected (review:vote)
+ */
+reviewRouter.route("/:reviewId/vote")
+    .put(protect, authorize("review:vote"), voteReview)
+    .delete(protect, authorize("review:vote"), removeVote);
+
+/**
+ * @route POST /api/v1/reviews/:reviewId/report
+ * @desc Report an abusive review to the moderators
+ * @body { reason, comment? }
+ * @access Protected (review:report)
  */
-reviewRouter.delete("/:reviewId", protect, deleteReview);
+reviewRouter.post("/:reviewId/report", protect, authorize("review:report"), reportReview);
 
 module.exports = reviewRouter;
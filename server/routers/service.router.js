@@ -15,15 +15,22 @@ const express = require("express");
 // Import controller functions for service operations
 const { 
     getServices, 
+    searchServices,
     addService, 
     getService, 
     updateService, 
-    deleteService 
+    deleteService,
+    loadServiceForImageUpload,
+    uploadServiceImages,
+    deleteServiceImage
 } = require("../controllers/service.controller");
 
+const { getAvailability, setAvailability, getSlots } = require("../controllers/availability.controller");
+
 // Import authentication middleware to protect sensitive routes
 const protect = require("../middlewares/authMiddleware");
-const { restrictTo } = require("../controllers/auth.controller");
+const authorize = require("../middlewares/authorize");
+const uploadImages = require("../middlewares/upload");
 
 // Create a new Express router instance for service-related routes
 const serviceRouter = express.Router();
@@ -35,11 +42,20 @@ const serviceRouter = express.Router();
  * 
  * @route   POST /api/v1/services
  * @desc    Create a new service
- * @access  Protected (provider only)
+ * @access  Protected (service:create)
  */
 serviceRouter.route("/")
     .get(getServices)      // Public: List all services
-    .post(protect, restrictTo("service_provider", "admin", "moderator"), addService);   // Protected: Add a new service (provider only)
+    .post(protect, authorize("service:create"), addService);   // Protected: Add a new service
+
+/**
+ * @route   GET /api/v1/services/search?q=
+ * @desc    Search services by title, tags and description (Georgian/Latin aware)
+ * @access  Public
+ * 
+ * Registered before "/:id" so "search" isn't treated as a service ID.
+ */
+serviceRouter.get("/search", searchServices);
 
 /**
  * @route   GET /api/v1/services/:id
@@ -48,16 +64,49 @@ serviceRouter.route("/")
  * 
  * @route   PATCH /api/v1/services/:id
  * @desc    Update an existing service by ID
- * @access  Protected (provider only)
+ * @access  Protected (service:update - own services for providers, any for admins and moderators)
  * 
  * @route   DELETE /api/v1/services/:id
  * @desc    Delete a service by ID
- * @access  Protected (provider only)
+ * @access  Protected (service:delete - own services for providers, any for admins and moderators)
  */
 serviceRouter.route("/:id")
     .get(getService)                   // Public: Get service by ID
-    .patch(protect, restrictTo("service_provider", "admin", "moderator"), updateService)     // Protected: Update service (provider only)
-    .delete(protect,  restrictTo("service_provider", "admin", "moderator"), deleteService);   // Protected: Delete service (provider only)
+    .patch(protect, authorize("service:update"), updateService)     // Protected: Update service
+    .delete(protect, authorize("service:delete"), deleteService);   // Protected: Delete service
+
+/**
+ * @route   POST /api/v1/services/:id/images
+ * @desc    Upload images (multipart "images" field, up to 10 JPEG/PNG/WebP files)
+ * @access  Protected (service:update - own services for providers, any for admins and moderators)
+ * 
+ * @route   DELETE /api/v1/services/:id/images
+ * @desc    Remove an image by URL (uploaded files are deleted from storage)
+ * @access  Protected (service:update - own services for providers, any for admins and moderators)
+ */
+serviceRouter.route("/:id/images")
+    .post(protect, authorize("service:update"), loadServiceForImageUpload, uploadImages("images", 10), uploadServiceImages)
+    .delete(protect, authorize("service:update"), deleteServiceImage);
+
+/**
+ * @route   GET /api/v1/services/:id/availability
+ * @desc    Retrieve the service's working schedule (Asia/Tbilisi)
+ * @access  Public
+ * 
+ * @route   PUT /api/v1/services/:id/availability
+ * @desc    Create or replace the service's working schedule
+ * @access  Protected (service:schedule - the service's provider, or an admin)
+ */
+serviceRouter.route("/:id/availability")
+    .get(getAvailability)
+    .put(protect, authorize("service:schedule"), setAvailability);
+
+/**
+ * @route   GET /api/v1/services/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @desc    List open time slots of the service
+ * @access  Public
+ */
+serviceRouter.get("/:id/slots", getSlots);
 
 // Export the configured service router for use in the main application
 module.exports = serviceRouter;
\ No newline at end of file
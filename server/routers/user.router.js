@@ -16,20 +16,68 @@ const express = require("express");
 const { 
     signup, 
     login, 
+    requestMagicLink,
+    magicLinkPage,
+    magicLinkLogin,
+    requestLoginCode,
+    loginWithCode,
+    verifyLoginTwoFactor,
+    sendLoginTwoFactorSms,
     verifyEmail, 
     checkVerified, 
     verifyPhone, 
+    resendPhoneCode,
+    updatePhone,
     forgotPassword, 
     resetPassword, 
-    updatePassword 
+    updatePassword,
+    refresh,
+    logout,
+    getSessions,
+    revokeSession
 } = require("../controllers/auth.controller");
 
+// Import profile controller functions
+const { getMe, updateMe, deleteMe, updateMyPhoto, deleteMyPhoto } = require("../controllers/user.controller");
+
+// Import social sign-in controller functions
+const { startOAuth, oauthCallback, linkConfirmationPage, confirmOAuthLink } = require("../controllers/oauth.controller");
+
+// Import two-factor authentication controller functions
+const {
+    setupTotp,
+    enableTotp,
+    setupSms,
+    enableSms,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    requireTwoFactor
+} = require("../controllers/twoFactor.controller");
+
 // Import middleware to protect routes that require authentication
 const protect = require("../middlewares/authMiddleware");
+const authorize = require("../middlewares/authorize");
+const rateLimit = require("../middlewares/rateLimiter");
+const uploadImages = require("../middlewares/upload");
 
 // Create a new Express router instance for user-related routes
 const userRouter = express.Router();
 
+// Throttling of endpoints that can be brute-forced or abused to send messages.
+// Limits are per IP and per account within the window (see middlewares/rateLimiter.js for env overrides).
+const loginLimiter = rateLimit({ name: "login", windowMinutes: 15, maxPerIp: 50, maxPerAccount: 10, account: (req) => req.body?.email });
+const twoFactorLimiter = rateLimit({ name: "login_2fa", windowMinutes: 15, maxPerIp: 30 });
+const phoneCodeLimiter = rateLimit({ name: "phone_code", windowMinutes: 15, maxPerIp: 30, maxPerAccount: 10, account: (req) => req.body?.phone });
+const forgotPasswordLimiter = rateLimit({ name: "forgot_password", windowMinutes: 60, maxPerIp: 20, maxPerAccount: 5, account: (req) => req.body?.email });
+const magicLinkLimiter = rateLimit({ name: "magic_link", windowMinutes: 60, maxPerIp: 20, maxPerAccount: 5, account: (req) => req.body?.email });
+const magicLinkLoginLimiter = rateLimit({ name: "magic_link_login", windowMinutes: 15, maxPerIp: 20 });
+const loginCodeLimiter = rateLimit({ name: "login_code", windowMinutes: 15, maxPerIp: 30, maxPerAccount: 5, account: (req) => req.body?.phone });
+// One login code per phone number a minute, whether or not the number belongs to an account
+const loginCodeCooldown = rateLimit({ name: "login_code_cooldown", windowMinutes: 1, maxPerIp: 30, maxPerAccount: 1, account: (req) => req.body?.phone });
+const loginCodeVerifyLimiter = rateLimit({ name: "login_code_verify", windowMinutes: 15, maxPerIp: 30, maxPerAccount: 10, account: (req) => req.body?.phone });
+const resetPasswordLimiter = rateLimit({ name: "reset_password", windowMinutes: 15, maxPerIp: 20 });
+const oauthLinkLimiter = rateLimit({ name: "oauth_link", windowMinutes: 15, maxPerIp: 20 });
+
 /**
  * @route   POST /signup
  * @desc    Register a new user
@@ -42,7 +90,91 @@ userRouter.post("/signup", signup);
  * @desc    Authenticate user and return JWT token
  * @access  Public
  */
-userRouter.post("/login", login);
+userRouter.post("/login", loginLimiter, login);
+
+/**
+ * @route   POST /login/magic-link
+ * @desc    Email a one-time sign-in link (valid 15 minutes)
+ * @body    { email }
+ * @access  Public
+ */
+userRouter.post("/login/magic-link", magicLinkLimiter, requestMagicLink);
+
+/**
+ * @route   GET /login/magic-link/:token
+ * @desc    Page the emailed link opens, with a button that signs in (doesn't use up the link)
+ * @access  Public
+ */
+userRouter.get("/login/magic-link/:token", magicLinkPage);
+
+/**
+ * @route   POST /login/magic-link/:token
+ * @desc    Sign in with the emailed link (single use)
+ * @access  Public
+ */
+userRouter.post("/login/magic-link/:token", magicLinkLoginLimiter, magicLinkLogin);
+
+/**
+ * @route   POST /login/sms-code
+ * @desc    Text a one-time sign-in code to a verified phone number (valid 5 minutes)
+ * @body    { phone }
+ * @access  Public
+ */
+userRouter.post("/login/sms-code", loginCodeLimiter, loginCodeCooldown, requestLoginCode);
+
+/**
+ * @route   POST /login/sms-code/verify
+ * @desc    Sign in with the texted code (single use)
+ * @body    { phone, code }
+ * @access  Public
+ */
+userRouter.post("/login/sms-code/verify", loginCodeVerifyLimiter, loginWithCode);
+
+/**
+ * @route   POST /login/2fa
+ * @desc    Second login step for users with 2FA: exchange the challenge token and a code for a session
+ * @body    { challengeToken, code } - code from the authenticator app, SMS or a recovery code
+ *          (after an OAuth sign-in the challenge token comes from a cookie instead)
+ * @access  Public
+ */
+userRouter.post("/login/2fa", twoFactorLimiter, verifyLoginTwoFactor);
+
+/**
+ * @route   POST /login/2fa/sms
+ * @desc    Send (or resend) the login code by SMS during a 2FA login (throttled)
+ * @body    { challengeToken } (or the challenge cookie of an OAuth sign-in)
+ * @access  Public
+ */
+userRouter.post("/login/2fa/sms", twoFactorLimiter, sendLoginTwoFactorSms);
+
+/**
+ * @route   GET /oauth/link/:token
+ * @desc    Page the emailed link confirmation opens, with a button that links the account
+ *          (sent when the provider doesn't verify emails, e.g. Facebook)
+ * @access  Public
+ */
+userRouter.get("/oauth/link/:token", linkConfirmationPage);
+
+/**
+ * @route   POST /oauth/link/:token
+ * @desc    Link the Google/Facebook account from the emailed link confirmation
+ * @access  Public
+ */
+userRouter.post("/oauth/link/:token", oauthLinkLimiter, confirmOAuthLink);
+
+/**
+ * @route   GET /oauth/:provider
+ * @desc    Sign in with Google or Facebook (redirects to the provider)
+ * @access  Public
+ */
+userRouter.get("/oauth/:provider", startOAuth);
+
+/**
+ * @route   GET /oauth/:provider/callback
+ * @desc    Provider redirect target: creates or links the user, starts a session and redirects to the client
+ * @access  Public
+ */
+userRouter.get("/oauth/:provider/callback", oauthCallback);
 
 /**
  * @route   GET /verify-email/:token
@@ -52,25 +184,43 @@ userRouter.post("/login", login);
 userRouter.get("/verify-email/:token", verifyEmail);
 
 /**
- * @route   GET /verify-phone
+ * @route   POST /verify-phone
  * @desc    Verify user's phone number using a code sent via SMS
+ * @body    { phone, code }
+ * @access  Public
+ */
+userRouter.post("/verify-phone", phoneCodeLimiter, verifyPhone);
+
+/**
+ * @route   POST /resend-phone-code
+ * @desc    Send a new phone verification code via SMS (throttled)
+ * @body    { phone }
  * @access  Public
  */
-userRouter.get("/verify-phone", verifyPhone);
+userRouter.post("/resend-phone-code", phoneCodeLimiter, resendPhoneCode);
+
+/**
+ * @route   PATCH /phone
+ * @desc    Set the phone number while it isn't verified (e.g. after social sign-in) and send a code to it
+ * @body    { phone }
+ * @access  Private (requires authentication)
+ */
+userRouter.patch("/phone", protect, phoneCodeLimiter, updatePhone);
 
 /**
  * @route   POST /forgotPassword
  * @desc    Initiate password reset process by sending a reset link to user's email
  * @access  Public
  */
-userRouter.post('/forgotPassword', forgotPassword);
+userRouter.post('/forgotPassword', forgotPasswordLimiter, forgotPassword);
 
 /**
  * @route   PATCH /resetPassword/:token
- * @desc    Reset user's password using a valid reset token
+ * @desc    Reset user's password using a valid reset token and log in
+ *          (2FA users get a challenge to complete at POST /login/2fa)
  * @access  Public
  */
-userRouter.patch('/resetPassword/:token', resetPassword);
+userRouter.patch('/resetPassword/:token', resetPasswordLimiter, resetPassword);
 
 /**
  * @route   PATCH /updateMyPassword
@@ -79,5 +229,129 @@ userRouter.patch('/resetPassword/:token', resetPassword);
  */
 userRouter.patch('/updateMyPassword', protect, updatePassword);
 
+/**
+ * @route   GET /me
+ * @desc    Get the authenticated user's profile
+ * @access  Private (requires authentication)
+ */
+userRouter.get('/me', protect, getMe);
+
+/**
+ * @route   PATCH /updateMe
+ * @desc    Update name, profileImage, phone (re-verified by SMS) or email (re-verified by link)
+ * @body    { name?, profileImage?, bio?, phone?, email? } - password and role are rejected
+ * @access  Private (requires authentication)
+ */
+userRouter.patch('/updateMe', protect, phoneCodeLimiter, updateMe);
+
+/**
+ * @route   PATCH /updateMyPhoto
+ * @desc    Upload a new profile photo (multipart "photo" field, one JPEG/PNG/WebP file)
+ * @access  Private (requires authentication)
+ */
+userRouter.patch('/updateMyPhoto', protect, uploadImages("photo", 1), updateMyPhoto);
+
+/**
+ * @route   DELETE /deleteMyPhoto
+ * @desc    Remove the profile photo
+ * @access  Private (requires authentication)
+ */
+userRouter.delete('/deleteMyPhoto', protect, deleteMyPhoto);
+
+/**
+ * @route   DELETE /deleteMe
+ * @desc    Deactivate the authenticated user's account and end all its sessions
+ * @access  Private (requires authentication)
+ */
+userRouter.delete('/deleteMe', protect, deleteMe);
+
+/**
+ * @route   POST /refresh
+ * @desc    Issue a new access token and rotate the refresh token
+ * @access  Public (requires refresh token cookie)
+ */
+userRouter.post('/refresh', refresh);
+
+/**
+ * @route   POST /logout
+ * @desc    End the current session and clear auth cookies
+ * @access  Public
+ */
+userRouter.post('/logout', logout);
+
+/**
+ * @route   GET /sessions
+ * @desc    List the authenticated user's active sessions (device, IP, last seen)
+ * @access  Private (requires authentication)
+ */
+userRouter.get('/sessions', protect, getSessions);
+
+/**
+ * @route   DELETE /sessions/:id
+ * @desc    Revoke one of the authenticated user's sessions
+ * @access  Private (requires authentication)
+ */
+userRouter.delete('/sessions/:id', protect, revokeSession);
+
+// Two-factor authentication setup. These routes stay reachable when 2FA is required
+// but not enabled yet, so the user can turn it on.
+const twoFactorUsers = [protect.allowTwoFactorSetup, authorize("two_factor:manage")];
+
+/**
+ * @route   POST /2fa/totp/setup
+ * @desc    Create an authenticator app secret (returns the secret and otpauth:// URL for the QR code)
+ * @body    { password, currentCode } (only when 2FA is already enabled)
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/totp/setup', twoFactorUsers, setupTotp);
+
+/**
+ * @route   POST /2fa/totp/enable
+ * @desc    Confirm the authenticator app with a code and enable 2FA (returns recovery codes)
+ * @body    { code, password (only when 2FA is already enabled) }
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/totp/enable', twoFactorUsers, enableTotp);
+
+/**
+ * @route   POST /2fa/sms/setup
+ * @desc    Send a code to the verified phone to set up SMS 2FA, or to use as the current code
+ *          when SMS 2FA is already enabled (throttled)
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/sms/setup', twoFactorUsers, setupSms);
+
+/**
+ * @route   POST /2fa/sms/enable
+ * @desc    Confirm the SMS code and enable SMS 2FA (returns recovery codes)
+ * @body    { code, password, currentCode } (password and currentCode only when 2FA is already enabled)
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/sms/enable', twoFactorUsers, enableSms);
+
+/**
+ * @route   POST /2fa/disable
+ * @desc    Turn 2FA off (not allowed when an admin/moderator requires it)
+ * @body    { password, code }
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/disable', protect, authorize("two_factor:manage"), disableTwoFactor);
+
+/**
+ * @route   POST /2fa/recovery-codes
+ * @desc    Replace the recovery codes (throttled)
+ * @body    { password, code }
+ * @access  Private (provider, moderator, admin)
+ */
+userRouter.post('/2fa/recovery-codes', protect, authorize("two_factor:manage"), twoFactorLimiter, regenerateRecoveryCodes);
+
+/**
+ * @route   PATCH /:id/require-2fa
+ * @desc    Require 2FA for a user (moderators: service providers only)
+ * @body    { required: boolean }
+ * @access  Private (admin, moderator)
+ */
+userRouter.patch('/:id/require-2fa', protect, authorize("user:require_2fa"), requireTwoFactor);
+
 // Export the configured user router for use in the main application
 module.exports = userRouter;
\ No newline at end of file
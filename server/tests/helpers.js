@@ -0,0 +1,89 @@
+/**
+ * @file helpers.js
+ * @description Shared helpers for the node:test suites: Express request/response stand-ins and
+ * collection-level stubs, so controllers and middleware run their real model code without a database.
+ * @author Luka Tskhvaradze
+ */
+
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET ||= "test-secret";
+process.env.NODE_ENV ||= "test";
+
+// Nothing is connected: fail fast instead of buffering, and don't build indexes
+mongoose.set("bufferCommands", false);
+mongoose.set("autoIndex", false);
+mongoose.set("autoCreate", false);
+
+/**
+ * Builds a minimal Express request.
+ * @param {Object} [fields] - body, params, query, cookies, user, ...
+ * @returns {Object}
+ */
+const mockRequest = (fields = {}) => ({
+    body: {},
+    params: {},
+    query: {},
+    cookies: {},
+    ip: "127.0.0.1",
+    protocol: "http",
+    get: (header) => (header.toLowerCase() === "host" ? "localhost" : "node-test"),
+    ...fields
+});
+
+/**
+ * Builds a minimal Express response that records what the handler sent.
+ * @returns {Object} - statusCode, body, cookies and headers are filled in as the handler responds
+ */
+const mockResponse = () => {
+    const res = { statusCode: 200, body: undefined, cookies: {}, headers: {} };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        res.finished?.();
+        return res;
+    };
+    res.cookie = (name, value) => {
+        res.cookies[name] = value;
+        return res;
+    };
+    res.clearCookie = (name) => {
+        delete res.cookies[name];
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    return res;
+};
+
+/**
+ * Runs an Express handler or middleware until it responds or calls next().
+ * @param {Function} handler
+ * @param {Object} req - From mockRequest()
+ * @returns {Promise<{ res: Object, error: Error|undefined, nextCalled: boolean }>}
+ */
+const run = (handler, req) => new Promise((resolve) => {
+    const res = mockResponse();
+    res.finished = () => resolve({ res, error: undefined, nextCalled: false });
+    handler(req, res, (error) => resolve({ res, error, nextCalled: true }));
+});
+
+/**
+ * Raw document as MongoDB would return it, built through the model so defaults are applied.
+ * @param {mongoose.Model} Model
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const rawDocument = (Model, fields) => new Model(fields).toObject({ depopulate: true, virtuals: false });
+
+/**
+ * Result of a write that matched and modified one document.
+ */
+const writeResult = (extra = {}) => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1, ...extra });
+
+module.exports = { mockRequest, mockResponse, run, rawDocument, writeResult };
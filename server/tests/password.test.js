@@ -0,0 +1,303 @@
+/**
+ * @file password.test.js
+ * @description Password reset and password update flows, and the protect middleware rejecting
+ * access tokens issued before the password changed (User#changedPasswordAfter).
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { mockRequest, run, rawDocument, writeResult } = require("./helpers");
+
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const { resetPassword, updatePassword } = require("../controllers/auth.controller");
+const protect = require("../middlewares/authMiddleware");
+
+const OLD_PASSWORD = "OldPassw0rd!";
+const NEW_PASSWORD = "NewPassw0rd!";
+
+const userFields = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: "Nino Beridze",
+    email: "nino@example.ge",
+    phone: "599123456",
+    role: "costumer",
+    isEmailVerified: true,
+    isPhoneVerified: true
+});
+
+/**
+ * Signs an access token as the login flow does, issued `secondsAgo` seconds ago.
+ */
+const accessToken = (userId, sessionId, secondsAgo = 0) => jwt.sign(
+    { id: userId, sid: sessionId, iat: Math.floor(Date.now() / 1000) - secondsAgo },
+    process.env.JWT_SECRET
+);
+
+/**
+ * Stubs the writes the password flows make and records them.
+ * @returns {{ userUpdates: Object[], revokedSessions: Object[], newSessions: Object[] }}
+ */
+const recordWrites = () => {
+    const writes = { userUpdates: [], revokedSessions: [], newSessions: [] };
+    mock.method(User.collection, "updateOne", async (filter, update) => {
+        writes.userUpdates.push(update);
+        return writeResult();
+    });
+    mock.method(Session.collection, "updateMany", async (filter, update) => {
+        writes.revokedSessions.push({ filter, update });
+        return writeResult();
+    });
+    mock.method(Session.collection, "insertOne", async (doc) => {
+        writes.newSessions.push(doc);
+        return { acknowledged: true, insertedId: doc._id };
+    });
+    return writes;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("User#changedPasswordAfter", () => {
+    it("is false when the password never changed", () => {
+        const user = new User(userFields());
+        assert.equal(user.changedPasswordAfter(Math.floor(Date.now() / 1000)), false);
+    });
+
+    it("is true for tokens issued before the change and false for later ones", () => {
+        const changedAt = Date.now();
+        const user = new User({ ...userFields(), passwordChangedAt: changedAt });
+        const changedSeconds = Math.floor(changedAt / 1000);
+
+        assert.equal(user.changedPasswordAfter(changedSeconds - 60), true);
+        assert.equal(user.changedPasswordAfter(changedSeconds), false);
+        assert.equal(user.changedPasswordAfter(changedSeconds + 60), false);
+    });
+});
+
+describe("PATCH /resetPassword/:token", () => {
+    let user;
+    let resetToken;
+
+    beforeEach(() => {
+        user = new User(userFields());
+        resetToken = user.createPasswordResetToken();
+    });
+
+    const stubUserLookup = () => mock.method(User.collection, "findOne", async (filter) => {
+        const stored = rawDocument(User, user);
+        // Reloaded by id to start a 2FA challenge
+        if (filter._id) return String(filter._id) === String(stored._id) ? stored : null;
+        return filter.passwordResetToken === stored.passwordResetToken && filter.passwordResetExpires.$gte <= stored.passwordResetExpires
+            ? stored
+            : null;
+    });
+
+    it("sets the new password, consumes the token, ends every session and logs in a user without 2FA", async () => {
+        stubUserLookup();
+        const writes = recordWrites();
+
+        const { res, error } = await run(resetPassword, mockRequest({
+            params: { token: resetToken },
+            body: { password: NEW_PASSWORD, passwordConfirm: NEW_PASSWORD }
+        }));
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.user.password, undefined);
+
+        const [update] = writes.userUpdates;
+        assert.ok(await bcrypt.compare(NEW_PASSWORD, update.$set.password));
+        assert.ok(update.$set.passwordChangedAt <= Date.now());
+        assert.ok("passwordResetToken" in update.$unset);
+        assert.ok("passwordResetExpires" in update.$unset);
+
+        assert.equal(writes.revokedSessions.length, 1);
+        assert.equal(writes.revokedSessions[0].update.$set.revokedReason, "password_reset");
+        assert.equal(String(writes.revokedSessions[0].filter.userId), String(user._id));
+
+        assert.equal(writes.newSessions.length, 1);
+        assert.ok(res.cookies.token);
+        assert.ok(res.cookies.refreshToken);
+    });
+
+    it("asks users with two-factor authentication for the second factor instead of logging them in", async () => {
+        user.twoFactor = { enabled: true, method: "totp", totpSecret: "JBSWY3DPEHPK3PXP" };
+        stubUserLookup();
+        const writes = recordWrites();
+
+        const { res, error } = await run(resetPassword, mockRequest({
+            params: { token: resetToken },
+            body: { password: NEW_PASSWORD, passwordConfirm: NEW_PASSWORD }
+        }));
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.twoFactorRequired, true);
+        assert.equal(res.body.data.user, undefined);
+        assert.ok(res.body.data.challengeToken);
+        assert.equal(res.cookies.two_factor_challenge, res.body.data.challengeToken);
+
+        // The password is still replaced and the old sessions end, but no session starts
+        assert.ok(await bcrypt.compare(NEW_PASSWORD, writes.userUpdates[0].$set.password));
+        assert.equal(writes.revokedSessions[0].update.$set.revokedReason, "password_reset");
+        assert.ok(writes.userUpdates.some((update) => update.$set?.["twoFactor.challengeId"]));
+        assert.equal(writes.newSessions.length, 0);
+        assert.equal(res.cookies.token, undefined);
+        assert.equal(res.cookies.refreshToken, undefined);
+    });
+
+    it("rejects an unknown or expired token", async () => {
+        stubUserLookup();
+        const writes = recordWrites();
+
+        const { error } = await run(resetPassword, mockRequest({
+            params: { token: crypto.randomBytes(32).toString("hex") },
+            body: { password: NEW_PASSWORD, passwordConfirm: NEW_PASSWORD }
+        }));
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(writes.userUpdates.length, 0);
+        assert.equal(writes.revokedSessions.length, 0);
+    });
+
+    it("rejects a confirmation that doesn't match, keeping the token", async () => {
+        stubUserLookup();
+        const writes = recordWrites();
+
+        const { error } = await run(resetPassword, mockRequest({
+            params: { token: resetToken },
+            body: { password: NEW_PASSWORD, passwordConfirm: "Different1!" }
+        }));
+
+        assert.equal(error.name, "ValidationError");
+        assert.ok(error.errors.passwordConfirm);
+        assert.equal(writes.userUpdates.length, 0);
+        assert.equal(writes.revokedSessions.length, 0);
+    });
+});
+
+describe("PATCH /updatePassword", () => {
+    let storedUser;
+
+    beforeEach(async () => {
+        storedUser = rawDocument(User, userFields());
+        storedUser.password = await bcrypt.hash(OLD_PASSWORD, 4);
+        mock.method(User.collection, "findOne", async () => ({ ...storedUser }));
+    });
+
+    const request = (body) => mockRequest({ user: { id: String(storedUser._id), _id: storedUser._id }, body });
+
+    it("changes the password, ends every session and logs the user in again", async () => {
+        const writes = recordWrites();
+
+        const { res, error } = await run(updatePassword, request({
+            currentPassword: OLD_PASSWORD,
+            newPassword: NEW_PASSWORD,
+            passwordConfirm: NEW_PASSWORD
+        }));
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+
+        const [update] = writes.userUpdates;
+        assert.ok(await bcrypt.compare(NEW_PASSWORD, update.$set.password));
+        assert.ok(update.$set.passwordChangedAt);
+
+        assert.equal(writes.revokedSessions[0].update.$set.revokedReason, "password_change");
+        assert.equal(writes.newSessions.length, 1);
+        assert.ok(res.cookies.token);
+    });
+
+    it("rejects a wrong current password without changing anything", async () => {
+        const writes = recordWrites();
+
+        const { error } = await run(updatePassword, request({
+            currentPassword: "WrongPassw0rd!",
+            newPassword: NEW_PASSWORD,
+            passwordConfirm: NEW_PASSWORD
+        }));
+
+        assert.equal(error.statusCode, 401);
+        assert.equal(writes.userUpdates.length, 0);
+        assert.equal(writes.revokedSessions.length, 0);
+    });
+
+    it("rejects a weak new password", async () => {
+        const writes = recordWrites();
+
+        const { error } = await run(updatePassword, request({
+            currentPassword: OLD_PASSWORD,
+            newPassword: "password",
+            passwordConfirm: "password"
+        }));
+
+        assert.equal(error.name, "ValidationError");
+        assert.equal(writes.userUpdates.length, 0);
+    });
+});
+
+describe("protect after a password change", () => {
+    let userId;
+    let sessionId;
+
+    /**
+     * Stubs an active session and a user whose password changed at `passwordChangedAt`.
+     */
+    const stubAccount = (passwordChangedAt, fields = {}) => {
+        mock.method(Session.collection, "findOne", async () => rawDocument(Session, {
+            _id: sessionId,
+            userId,
+            refreshTokenHash: "hash",
+            expiresAt: Date.now() + 60 * 60 * 1000,
+            lastSeenAt: Date.now()
+        }));
+        mock.method(User.collection, "findOne", async () => rawDocument(User, { ...userFields(), _id: userId, passwordChangedAt, ...fields }));
+    };
+
+    beforeEach(() => {
+        userId = new mongoose.Types.ObjectId();
+        sessionId = new mongoose.Types.ObjectId();
+    });
+
+    it("rejects a token issued before the password was reset or updated", async () => {
+        stubAccount(Date.now() - 1000);
+
+        const { error, res } = await run(protect, mockRequest({ cookies: { token: accessToken(userId, sessionId, 60) } }));
+
+        assert.equal(error.statusCode, 401);
+        assert.equal(error.message, "პაროლი ცოტა ხნის წინ შეიცვალა. გთხოვთ, შედით თავიდან!");
+        assert.equal(res.statusCode, 200);
+    });
+
+    it("accepts a token issued after the change", async () => {
+        stubAccount(Date.now() - 1000);
+        const req = mockRequest({ cookies: { token: accessToken(userId, sessionId) } });
+
+        const { error, nextCalled } = await run(protect, req);
+
+        assert.equal(nextCalled, true);
+        assert.equal(error, undefined);
+        assert.equal(String(req.user._id), String(userId));
+    });
+
+    it("rejects a live token once an admin requires a password reset", async () => {
+        stubAccount(undefined, { passwordResetRequired: true });
+
+        const { error } = await run(protect, mockRequest({ cookies: { token: accessToken(userId, sessionId) } }));
+
+        assert.equal(error.statusCode, 403);
+    });
+
+    it("accepts any valid token when the password never changed", async () => {
+        stubAccount(undefined);
+
+        const { error, nextCalled } = await run(protect, mockRequest({ cookies: { token: accessToken(userId, sessionId, 3600) } }));
+
+        assert.equal(nextCalled, true);
+        assert.equal(error, undefined);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * @file permissions.test.js
+ * @description The permission policy (utils/permissions.js) checked against an explicit table of
+ * what every role may do: hasPermission and can() for every role and action, with and without a
+ * resource, on the user's own resources and on other users' resources. The authorize middleware
+ * is checked on top.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run } = require("./helpers");
+
+const { ROLE_PERMISSIONS, permissionsFor, hasPermission, can } = require("../utils/permissions");
+const authorize = require("../middlewares/authorize");
+
+// What a role may do with an action: nothing, only on its own resources, or on every resource
+const NONE = "none";
+const OWN = "own";
+const ANY = "any";
+
+const ROLES = ["costumer", "service_provider", "moderator", "admin"];
+
+/**
+ * Expected scope per action and role; roles left out have NONE.
+ * Unscoped permissions (e.g. "service:create") behave like ANY.
+ */
+const EXPECTED = {
+    "service:create": { service_provider: ANY, moderator: ANY, admin: ANY },
+    "service:update": { service_provider: OWN, moderator: ANY, admin: ANY },
+    "service:delete": { service_provider: OWN, moderator: ANY, admin: ANY },
+    "service:schedule": { service_provider: OWN, admin: ANY },
+    "service:reply": { service_provider: OWN, moderator: OWN, admin: OWN },
+    "review:create": { costumer: ANY, service_provider: ANY, moderator: ANY, admin: ANY },
+    "review:update": { costumer: OWN, service_provider: OWN, moderator: OWN, admin: OWN },
+    "review:vote": { costumer: ANY, service_provider: ANY, moderator: ANY, admin: ANY },
+    "review:report": { costumer: ANY, service_provider: ANY, moderator: ANY, admin: ANY },
+    "review:delete": { costumer: OWN, service_provider: OWN, moderator: ANY, admin: ANY },
+    "review:moderate": { moderator: ANY, admin: ANY },
+    "provider_application:create": { costumer: ANY, service_provider: ANY },
+    "provider_application:review": { moderator: ANY, admin: ANY },
+    "category:manage": { admin: ANY },
+    "booking:create": { costumer: ANY },
+    "booking:read": { costumer: OWN, service_provider: OWN, moderator: ANY, admin: ANY },
+    "booking:manage": { service_provider: OWN },
+    "booking:cancel": { costumer: OWN, service_provider: OWN },
+    "two_factor:manage": { service_provider: ANY, moderator: ANY, admin: ANY },
+    "user:read": { moderator: ANY, admin: ANY },
+    "user:suspend": { moderator: ANY, admin: ANY },
+    "user:verify": { moderator: ANY, admin: ANY },
+    "user:require_2fa": { moderator: ANY, admin: ANY },
+    "user:change_role": { admin: ANY },
+    "user:force_password_reset": { admin: ANY },
+    "admin_log:read": { admin: ANY }
+};
+
+const newId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Resources of the acting user, in every shape the owner rule accepts (plain and populated ids).
+ * Types without an owner rule get a plain object: only unscoped and `:any` permissions apply to them.
+ */
+const ownResources = (type, userId) => ({
+    service: [{ providerID: userId }, { providerID: { _id: userId, name: "Provider" } }],
+    review: [{ userId }, { userId: { _id: userId, name: "Reviewer" } }],
+    booking: [
+        { customerId: userId, providerId: newId() },
+        { customerId: newId(), providerId: userId },
+        { customerId: { _id: userId }, providerId: null }
+    ]
+}[type] || [{}]);
+
+/**
+ * A resource of somebody else, including a booking whose participants populated to null.
+ */
+const othersResources = (type) => ({
+    service: [{ providerID: newId() }],
+    review: [{ userId: { _id: newId() } }],
+    booking: [{ customerId: newId(), providerId: newId() }, { customerId: null, providerId: null }]
+}[type] || [{}]);
+
+describe("permission table", () => {
+    it("covers every action granted to a role", () => {
+        for (const role of ROLES) {
+            for (const permission of ROLE_PERMISSIONS[role]) {
+                const action = permission.split(":").slice(0, 2).join(":");
+                assert.ok(EXPECTED[action], `${role} has "${permission}", missing from the table`);
+            }
+        }
+    });
+
+    it("covers every role", () => {
+        assert.deepEqual(Object.keys(ROLE_PERMISSIONS).sort(), [...ROLES].sort());
+    });
+});
+
+for (const [action, scopes] of Object.entries(EXPECTED)) {
+    const type = action.split(":")[0];
+
+    describe(action, () => {
+        for (const role of ROLES) {
+            const scope = scopes[role] || NONE;
+
+            it(`${role}: ${scope}`, () => {
+                const user = { _id: newId(), role };
+
+                assert.equal(hasPermission(role, action), scope !== NONE, "hasPermission");
+                assert.equal(can(user, action), scope === ANY, "can without a resource");
+
+                for (const resource of ownResources(type, user._id)) {
+                    assert.equal(can(user, action, resource), scope !== NONE, `can on own ${JSON.stringify(resource)}`);
+                }
+                for (const resource of othersResources(type)) {
+                    assert.equal(can(user, action, resource), scope === ANY, `can on other's ${JSON.stringify(resource)}`);
+                }
+            });
+        }
+    });
+}
+
+describe("unknown roles and users", () => {
+    it("grants nothing to unknown roles, including inherited object keys", () => {
+        for (const role of ["guest", undefined, "__proto__", "constructor", "toString"]) {
+            assert.deepEqual(permissionsFor(role), []);
+            for (const action of Object.keys(EXPECTED)) {
+                assert.equal(hasPermission(role, action), false);
+                assert.equal(can({ _id: newId(), role }, action, {}), false);
+            }
+        }
+    });
+
+    it("grants nothing without a user", () => {
+        for (const action of Object.keys(EXPECTED)) {
+            assert.equal(can(undefined, action), false);
+            assert.equal(can(null, action, {}), false);
+        }
+    });
+});
+
+describe("authorize", () => {
+    for (const [action, scopes] of Object.entries(EXPECTED)) {
+        for (const role of ROLES) {
+            const allowed = (scopes[role] || NONE) !== NONE;
+
+            it(`${allowed ? "lets" : "stops"} ${role} on ${action}`, async () => {
+                const { error, nextCalled } = await run(authorize(action), mockRequest({ user: { _id: newId(), role } }));
+
+                assert.equal(nextCalled, true);
+                if (allowed) {
+                    assert.equal(error, undefined);
+                } else {
+                    assert.equal(error.statusCode, 403);
+                }
+            });
+        }
+    }
+
+    it("stops requests without a user", async () => {
+        const { error } = await run(authorize("review:create"), mockRequest());
+        assert.equal(error.statusCode, 403);
+    });
+});
@@ -2,17 +2,175 @@
  * @fileoverview APIFeatures Utility Class
  * @description Provides advanced query features for MongoDB (Mongoose) such as filtering, sorting, field limiting, and pagination.
  *              Also supports filtering by tags (array property) for service selection.
+ *              Only fields and operators declared in the options are accepted; anything else raises a 400 AppError.
+ *              Pagination works by page number (?page=, the default) or, opt-in, by opaque cursors (?cursor=)
+ *              built from the active sort key plus _id, which stay stable while new documents are inserted.
  * @author
  */
 
+const mongoose = require("mongoose");
+const AppError = require("./appError");
+
+// Comparison operators allowed in bracket syntax, e.g. price[gte]=10
+const RANGE_OPERATORS = ["gte", "gt", "lte", "lt"];
+
+// Query params handled outside of filter()
+const RESERVED_PARAMS = ["page", "cursor", "sort", "limit", "fields", "tags"];
+
+// Upper bound for the page size a client can request
+const MAX_LIMIT = 100;
+
+/**
+ * Casts a raw query string value to the declared field type.
+ * @param {string} field - Field name (used in error messages)
+ * @param {string} type - One of "number", "date", "objectId", "boolean", "string"
+ * @param {*} value - Raw value from req.query
+ * @returns {*} - Casted value
+ * @throws {AppError} - When the value can't be casted to the field type
+ */
+const castValue = (field, type, value) => {
+    if (typeof value !== "string") {
+        throw new AppError(`პარამეტრი "${field}" უნდა იყოს ერთი მნიშვნელობა!`, 400);
+    }
+
+    switch (type) {
+        case "number": {
+            const number = Number(value);
+            if (value.trim() === "" || Number.isNaN(number)) {
+                throw new AppError(`პარამეტრი "${field}" უნდა იყოს რიცხვი!`, 400);
+            }
+            return number;
+        }
+        case "date": {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new AppError(`პარამეტრი "${field}" უნდა იყოს თარიღი!`, 400);
+            }
+            return date;
+        }
+        case "boolean":
+            if (value !== "true" && value !== "false") {
+                throw new AppError(`პარამეტრი "${field}" უნდა იყოს true ან false!`, 400);
+            }
+            return value === "true";
+        case "objectId":
+            if (!mongoose.isValidObjectId(value)) {
+                throw new AppError(`პარამეტრი "${field}" უნდა იყოს სწორი ID!`, 400);
+            }
+            return value;
+        default:
+            return value;
+    }
+};
+
+/**
+ * Encodes a cursor pointing at a document in the given sort.
+ * @param {Object} doc - Document the cursor points at
+ * @param {string} key - Active sort key
+ * @param {number} dir - Sort direction (1 or -1)
+ * @param {string} direction - "next" (documents after doc) or "prev" (documents before doc)
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (doc, key, dir, direction) => {
+    // Documents missing the sort key (e.g. reviews older than timestamps) are positioned by null
+    const value = doc[key] ?? null;
+    const payload = {
+        k: key,
+        s: dir,
+        d: direction,
+        v: value instanceof Date ? value.toISOString() : value,
+        t: value instanceof Date ? "date" : undefined,
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor - Opaque cursor from the client
+ * @returns {{ key: string, dir: number, direction: string, value: *, id: mongoose.Types.ObjectId }}
+ * @throws {AppError} - 400 when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    const invalid = new AppError("არასწორი cursor პარამეტრი!", 400);
+    if (typeof cursor !== "string") throw invalid;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (err) {
+        throw invalid;
+    }
+
+    if (
+        !payload || typeof payload.k !== "string" || ![1, -1].includes(payload.s) ||
+        !["next", "prev"].includes(payload.d) || !mongoose.isValidObjectId(payload.id)
+    ) {
+        throw invalid;
+    }
+
+    const value = payload.t === "date" ? new Date(payload.v) : payload.v ?? null;
+    if (value instanceof Date && Number.isNaN(value.getTime())) throw invalid;
+    if (value !== null && typeof value === "object" && !(value instanceof Date)) throw invalid;
+
+    return {
+        key: payload.k,
+        dir: payload.s,
+        direction: payload.d,
+        value,
+        id: new mongoose.Types.ObjectId(payload.id)
+    };
+};
+
+/**
+ * Builds the condition for documents strictly after the cursor in (key, _id) order.
+ * MongoDB sorts missing/null keys before every other value, so they are the last ones
+ * when walking downwards ($lt) and the first ones when walking upwards ($gt).
+ * @param {string} key - Active sort key
+ * @param {string} op - "$gt" or "$lt"
+ * @param {{ value: *, id: mongoose.Types.ObjectId }} cursor - Decoded cursor
+ * @returns {Object} - Filter condition
+ */
+const afterCursor = (key, op, { value, id }) => {
+    const tie = { [key]: value, _id: { [op]: id } };
+
+    if (value === null) {
+        return op === "$gt" ? { $or: [{ [key]: { $ne: null } }, tie] } : tie;
+    }
+
+    const conditions = [{ [key]: { [op]: value } }, tie];
+    if (op === "$lt") conditions.push({ [key]: null });
+    return { $or: conditions };
+};
+
 class APIFeatures {
     /**
      * @param {Object} query - Mongoose query object
      * @param {Object} queryString - Express req.query object (parsed query string)
+     * @param {Object} [options] - Whitelist of what clients may query
+     * @param {Object<string, string>} [options.filterable] - Filterable fields mapped to their type ("number", "date", "objectId", "boolean", "string").
+     *                                                         Range operators are only allowed on "number" and "date" fields.
+     * @param {string[]} [options.sortable] - Fields allowed in ?sort=
+     * @param {string[]} [options.selectable] - Fields allowed in ?fields=
+     * @param {string} [options.defaultSort] - Sort used when ?sort= is absent (default '-createdAt')
+     * @param {boolean} [options.cursor=true] - Whether clients may opt in to cursor pagination; when false, paginate() always uses page mode
      */
-    constructor(query, queryString) {
+    constructor(query, queryString, options = {}) {
         this.query = query;
         this.queryString = queryString;
+        this.filterable = options.filterable || {};
+        this.sortable = options.sortable || [];
+        this.selectable = options.selectable || [];
+        this.defaultSort = options.defaultSort || '-createdAt';
+        this.allowCursor = options.cursor !== false;
+
+        // Populated by filter() and paginate() so callers can build response metadata
+        this.filterQuery = {};
+        this.sortFields = [];
+        this.page = 1;
+        this.limit = MAX_LIMIT;
+        this.mode = "page";
+        this.cursor = null;
     }
 
     /**
@@ -20,31 +178,54 @@ class APIFeatures {
      * Supports MongoDB comparison operators (gte, gt, lte, lt) and
      * tag-based filtering (for array field 'tags').
      * @returns {APIFeatures} - Returns this for chaining
+     * @throws {AppError} - 400 on unknown fields, operators or malformed values
      */
     filter() {
-        // Destructure reserved query params, keep the rest as filters
-        const { page, sort, limit, fields, tags, ...filters } = this.queryString;
         const mongoQuery = {};
 
         // Handle advanced filtering (e.g., price[gte]=10)
-        for (const [key, value] of Object.entries(filters)) {
-            const match = key.match(/^(.+)\[(gte|gt|lte|lt)\]$/);
-            if (match) {
-                const [, field, op] = match;
+        for (const [key, value] of Object.entries(this.queryString)) {
+            if (RESERVED_PARAMS.includes(key)) continue;
+
+            const match = key.match(/^([A-Za-z]+)(?:\[([A-Za-z]+)\])?$/);
+            const [, field, op] = match || [];
+            const type = match && Object.hasOwn(this.filterable, field) ? this.filterable[field] : null;
+
+            if (!type) {
+                throw new AppError(`დაუშვებელი ფილტრის პარამეტრი: "${key}"!`, 400);
+            }
+
+            if (op) {
+                if (!RANGE_OPERATORS.includes(op) || !["number", "date"].includes(type)) {
+                    throw new AppError(`დაუშვებელი ოპერატორი "${op}" პარამეტრისთვის "${field}"!`, 400);
+                }
+                if (mongoQuery[field] !== undefined && (typeof mongoQuery[field] !== "object" || mongoQuery[field] instanceof Date)) {
+                    throw new AppError(`პარამეტრი "${field}" ერთდროულად ტოლობით და დიაპაზონით ვერ გაიფილტრება!`, 400);
+                }
                 mongoQuery[field] = {
                     ...mongoQuery[field],
-                    [`$${op}`]: isNaN(value) ? value : Number(value)
+                    [`$${op}`]: castValue(field, type, value)
                 };
             } else {
-                mongoQuery[key] = isNaN(value) ? value : Number(value);
+                if (mongoQuery[field] !== undefined) {
+                    throw new AppError(`პარამეტრი "${field}" ერთდროულად ტოლობით და დიაპაზონით ვერ გაიფილტრება!`, 400);
+                }
+                mongoQuery[field] = castValue(field, type, value);
             }
         }
 
         // Handle tag-based filtering (for services with tags array)
         // Example: ?tags=tag1,tag2
-        if (tags) {
-            // Split tags by comma, trim whitespace
-            const tagArr = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        const { tags } = this.queryString;
+        if (tags !== undefined) {
+            if (!Object.hasOwn(this.filterable, "tags")) {
+                throw new AppError('დაუშვებელი ფილტრის პარამეტრი: "tags"!', 400);
+            }
+            if (typeof tags !== "string") {
+                throw new AppError('პარამეტრი "tags" უნდა იყოს მძიმით გამოყოფილი სია!', 400);
+            }
+            // Split tags by comma, trim whitespace; stored tags are lowercase
+            const tagArr = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
             if (tagArr.length > 0) {
                 // $all ensures all specified tags are present in the service's tags array
                 mongoQuery.tags = { $all: tagArr };
@@ -52,24 +233,26 @@ class APIFeatures {
         }
 
         // Apply the constructed filter to the query
+        this.filterQuery = mongoQuery;
         this.query = this.query.find(mongoQuery);
         return this; // For chaining
     }
 
     /**
      * Applies sorting to the query based on the 'sort' query parameter.
-     * Default sort is by '-createdAt' (descending).
+     * Default sort is options.defaultSort ('-createdAt', descending, unless configured).
      * @returns {APIFeatures} - Returns this for chaining
+     * @throws {AppError} - 400 on fields that are not sortable
      */
     sort() {
         if (this.queryString.sort) {
             // Support multi-field sorting: ?sort=price,-rating
-            const sortBy = this.queryString.sort.split(',').join(' ');
-            this.query = this.query.sort(sortBy);
+            this.sortFields = this.parseFieldList("sort", this.sortable, true);
         } else {
-            // Default sort by creation date descending
-            this.query = this.query.sort('-createdAt');
+            // Default sort, by creation date descending unless configured otherwise
+            this.sortFields = this.defaultSort.split(',');
         }
+        this.query = this.query.sort(this.sortFields.join(' '));
         return this;
     }
 
@@ -77,11 +260,12 @@ class APIFeatures {
      * Limits the fields returned in the query based on the 'fields' query parameter.
      * Default excludes the '__v' field.
      * @returns {APIFeatures} - Returns this for chaining
+     * @throws {AppError} - 400 on fields that are not selectable
      */
     limitFields() {
         if (this.queryString.fields) {
             // Support multi-field selection: ?fields=title,price
-            const allowedFields = this.queryString.fields.split(',').join(' ');
+            const allowedFields = this.parseFieldList("fields", this.selectable, false).join(' ');
             this.query = this.query.select(allowedFields);
         } else {
             // Exclude Mongoose version key by default
@@ -91,18 +275,164 @@ class APIFeatures {
     }
 
     /**
-     * Applies pagination to the query based on 'page' and 'limit' query parameters.
-     * Defaults: page=1, limit=100.
+     * Applies pagination to the query.
+     * - Page mode (default, ?page=N&limit=M): classic skip/limit, responds with total/page/pages.
+     * - Cursor mode (opt-in with ?cursor=, empty for the first page): keyset pagination on the active sort key plus _id.
+     *   Disabled with options.cursor = false (e.g. relevance-sorted search, which has no stable sort key).
+     * Must be called after sort(). Defaults: limit=100 (also the maximum).
      * @returns {APIFeatures} - Returns this for chaining
+     * @throws {AppError} - 400 on invalid page/limit/cursor values
      */
     paginate() {
-        const page = parseInt(this.queryString.page, 10) || 1;
-        const limit = parseInt(this.queryString.limit, 10) || 100;
+        const limit = Math.min(this.parsePositiveInt("limit", MAX_LIMIT), MAX_LIMIT);
+        this.limit = limit;
+
+        if (this.queryString.cursor !== undefined) {
+            if (!this.allowCursor) {
+                throw new AppError('პარამეტრი "cursor" აქ არ გამოიყენება, გამოიყენეთ "page"!', 400);
+            }
+            if (this.queryString.page !== undefined) {
+                throw new AppError('პარამეტრები "page" და "cursor" ერთად ვერ გამოიყენება!', 400);
+            }
+            return this.cursorPaginate();
+        }
+
+        const page = this.parsePositiveInt("page", 1);
         const skip = (page - 1) * limit;
 
+        this.mode = "page";
+        this.page = page;
         this.query = this.query.skip(skip).limit(limit);
         return this;
     }
+
+    /**
+     * Keyset pagination: only documents strictly after (or before) the cursor position are fetched,
+     * so results don't shift when documents are inserted while a client scrolls.
+     * One extra document is fetched to know whether another page exists.
+     * @returns {APIFeatures} - Returns this for chaining
+     * @throws {AppError} - 400 when sorting by several fields or when the cursor doesn't match the sort
+     */
+    cursorPaginate() {
+        if (this.sortFields.length !== 1) {
+            throw new AppError("cursor-ით გვერდებად დაყოფა მხოლოდ ერთ ველზე დალაგებისას მუშაობს!", 400);
+        }
+
+        const [sortField] = this.sortFields;
+        const key = sortField.startsWith('-') ? sortField.slice(1) : sortField;
+        const dir = sortField.startsWith('-') ? -1 : 1;
+
+        this.mode = "cursor";
+        this.cursorKey = key;
+        this.cursorDir = dir;
+
+        let queryDir = dir;
+        // An empty ?cursor= asks for the first page
+        if (this.queryString.cursor !== "") {
+            const cursor = decodeCursor(this.queryString.cursor);
+            if (cursor.key !== key || cursor.dir !== dir) {
+                throw new AppError("cursor არ შეესაბამება მიმდინარე დალაგებას!", 400);
+            }
+            this.cursor = cursor;
+
+            // Walking backwards flips the comparison and the sort; results are reversed afterwards
+            queryDir = cursor.direction === "next" ? dir : -dir;
+            const op = queryDir === 1 ? "$gt" : "$lt";
+            this.query = this.query.and([key === "_id" ? { _id: { [op]: cursor.id } } : afterCursor(key, op, cursor)]);
+        }
+
+        // The cursor is built from the sort key, so it must be part of the projection
+        if (this.queryString.fields && key !== "_id") {
+            this.query = this.query.select(key);
+        }
+
+        this.query = this.query.sort({ [key]: queryDir, _id: queryDir }).limit(this.limit + 1);
+        return this;
+    }
+
+    /**
+     * Executes the query and builds the pagination metadata for the response.
+     * @async
+     * @returns {Promise<{ docs: Object[], pagination: Object }>} - Page mode: { total, page, pages };
+     *          cursor mode: { next, prev } cursors (null when there is nothing more in that direction)
+     */
+    async execute() {
+        if (this.mode === "page") {
+            const [docs, total] = await Promise.all([
+                this.query,
+                this.query.model.countDocuments(this.query.getFilter())
+            ]);
+
+            return {
+                docs,
+                pagination: { total, page: this.page, pages: Math.ceil(total / this.limit) }
+            };
+        }
+
+        let docs = await this.query;
+        const hasMore = docs.length > this.limit;
+        if (hasMore) docs = docs.slice(0, this.limit);
+
+        const backwards = this.cursor?.direction === "prev";
+        if (backwards) docs = docs.reverse();
+
+        const first = docs[0];
+        const last = docs[docs.length - 1];
+        const { cursorKey: key, cursorDir: dir } = this;
+
+        // Coming from the previous page means there is a next one, and vice versa
+        const hasNext = backwards ? Boolean(this.cursor) : hasMore;
+        const hasPrev = backwards ? hasMore : Boolean(this.cursor);
+
+        return {
+            docs,
+            pagination: {
+                next: hasNext && last ? encodeCursor(last, key, dir, "next") : null,
+                prev: hasPrev && first ? encodeCursor(first, key, dir, "prev") : null
+            }
+        };
+    }
+
+    /**
+     * Splits a comma separated query param and checks every entry against a whitelist.
+     * @param {string} param - Query param name ("sort" or "fields")
+     * @param {string[]} allowed - Whitelisted field names
+     * @param {boolean} allowDescending - Whether a leading "-" is allowed
+     * @returns {string[]} - Validated field list
+     * @throws {AppError} - 400 when an entry is not whitelisted
+     */
+    parseFieldList(param, allowed, allowDescending) {
+        const raw = this.queryString[param];
+        if (typeof raw !== "string") {
+            throw new AppError(`პარამეტრი "${param}" უნდა იყოს მძიმით გამოყოფილი სია!`, 400);
+        }
+
+        const list = raw.split(',').map(field => field.trim()).filter(Boolean);
+        for (const entry of list) {
+            const field = allowDescending && entry.startsWith('-') ? entry.slice(1) : entry;
+            if (!allowed.includes(field)) {
+                throw new AppError(`დაუშვებელი ველი "${entry}" პარამეტრში "${param}"!`, 400);
+            }
+        }
+        return list;
+    }
+
+    /**
+     * Reads a positive integer query param.
+     * @param {string} param - Query param name
+     * @param {number} fallback - Value used when the param is absent
+     * @returns {number}
+     * @throws {AppError} - 400 when the value isn't a positive integer
+     */
+    parsePositiveInt(param, fallback) {
+        const raw = this.queryString[param];
+        if (raw === undefined) return fallback;
+
+        if (typeof raw !== "string" || !/^\d+$/.test(raw) || Number(raw) < 1) {
+            throw new AppError(`პარამეტრი "${param}" უნდა იყოს დადებითი მთელი რიცხვი!`, 400);
+        }
+        return Number(raw);
+    }
 }
 
-module.exports = APIFeatures;
\ No newline at end of file
+module.exports = APIFeatures;
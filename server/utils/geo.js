@@ -0,0 +1,123 @@
+/**
+ * @file geo.js
+ * @description Geolocation helpers for service locations and "near me" search.
+ *
+ * Locations are stored as GeoJSON points ([longitude, latitude]) and queried through 2dsphere
+ * indexes. A service's coverage radius is stored as a polygon approximating the circle, so
+ * "services that cover this point" is a single indexed $geoIntersects query.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/geo
+ */
+
+const AppError = require("./appError");
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Vertices of the polygon approximating a coverage circle
+const CIRCLE_STEPS = 32;
+
+/**
+ * Regions of Georgia (მხარეები), Tbilisi and the autonomous republics, by code.
+ */
+const GEORGIAN_REGIONS = {
+    "tbilisi": "თბილისი",
+    "adjara": "აჭარა",
+    "abkhazia": "აფხაზეთი",
+    "guria": "გურია",
+    "imereti": "იმერეთი",
+    "kakheti": "კახეთი",
+    "kvemo-kartli": "ქვემო ქართლი",
+    "mtskheta-mtianeti": "მცხეთა-მთიანეთი",
+    "racha-lechkhumi-kvemo-svaneti": "რაჭა-ლეჩხუმი და ქვემო სვანეთი",
+    "samegrelo-zemo-svaneti": "სამეგრელო-ზემო სვანეთი",
+    "samtskhe-javakheti": "სამცხე-ჯავახეთი",
+    "shida-kartli": "შიდა ქართლი"
+};
+
+/**
+ * Validates a latitude/longitude pair and builds a GeoJSON point.
+ *
+ * @param {*} lat
+ * @param {*} lng
+ * @returns {{ type: "Point", coordinates: number[] }}
+ * @throws {AppError} 400 when the coordinates are out of range
+ */
+const toPoint = (lat, lng) => {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+
+    if (lat === null || lat === "" || lng === null || lng === "" ||
+        !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new AppError("კოორდინატები არასწორია: lat უნდა იყოს -90-დან 90-მდე, lng -180-დან 180-მდე!", 400);
+    }
+
+    return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+/**
+ * Parses a "lat,lng" query parameter into a GeoJSON point.
+ *
+ * @param {string} value - e.g. "41.7151,44.8271"
+ * @returns {{ type: "Point", coordinates: number[] }}
+ * @throws {AppError} 400 on a malformed value
+ */
+const parseLatLng = (value) => {
+    const parts = typeof value === "string" ? value.split(",") : [];
+    if (parts.length !== 2) {
+        throw new AppError('პარამეტრი "near" უნდა იყოს ფორმატით lat,lng!', 400);
+    }
+    return toPoint(parts[0].trim(), parts[1].trim());
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two GeoJSON points (haversine).
+ *
+ * @param {{ coordinates: number[] }} a
+ * @param {{ coordinates: number[] }} b
+ * @returns {number} - Kilometres
+ */
+const distanceKm = (a, b) => {
+    const [lng1, lat1] = a.coordinates;
+    const [lng2, lat2] = b.coordinates;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Builds a GeoJSON polygon approximating a circle on the sphere.
+ *
+ * @param {{ coordinates: number[] }} center - GeoJSON point
+ * @param {number} radiusKm
+ * @returns {{ type: "Polygon", coordinates: number[][][] }}
+ */
+const circlePolygon = (center, radiusKm) => {
+    const [lng, lat] = center.coordinates;
+    const angular = radiusKm / EARTH_RADIUS_KM;
+    const lat1 = toRadians(lat);
+    const lng1 = toRadians(lng);
+    const ring = [];
+
+    for (let step = 0; step < CIRCLE_STEPS; step++) {
+        // Counter-clockwise, so the polygon is the small area inside the ring
+        const bearing = (-2 * Math.PI * step) / CIRCLE_STEPS;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lng2 = lng1 + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        ring.push([Math.round(toDegrees(lng2) * 1e6) / 1e6, Math.round(toDegrees(lat2) * 1e6) / 1e6]);
+    }
+    ring.push(ring[0]);
+
+    return { type: "Polygon", coordinates: [ring] };
+};
+
+module.exports = { EARTH_RADIUS_KM, GEORGIAN_REGIONS, toPoint, parseLatLng, distanceKm, circlePolygon };
@@ -0,0 +1,119 @@
+/**
+ * @file georgianSearch.js
+ * @description Helpers for Georgian-aware search: transliteration normalisation and highlighted snippets.
+ *
+ * Users type the same word in Mkhedruli ("სანტექნიკი") or in one of many Latin transliterations
+ * ("santeqniki", "santekniki", "sant'eqniki"). Both sides are reduced to a single Latin "search key"
+ * in which letters that are commonly confused collapse into one (ქ/კ/ყ/q → k, თ/ტ → t, ც/წ/ts → c, ...),
+ * so matching happens on the key instead of on the raw text.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/georgianSearch
+ */
+
+// Mkhedruli letter → canonical Latin (aspirated/ejective pairs collapse together)
+const GEORGIAN_TO_LATIN = {
+    "ა": "a", "ბ": "b", "გ": "g", "დ": "d", "ე": "e", "ვ": "v", "ზ": "z",
+    "თ": "t", "ი": "i", "კ": "k", "ლ": "l", "მ": "m", "ნ": "n", "ო": "o",
+    "პ": "p", "ჟ": "zh", "რ": "r", "ს": "s", "ტ": "t", "უ": "u", "ფ": "p",
+    "ქ": "k", "ღ": "gh", "ყ": "k", "შ": "sh", "ჩ": "ch", "ც": "c", "ძ": "dz",
+    "წ": "c", "ჭ": "ch", "ხ": "x", "ჯ": "j", "ჰ": "h"
+};
+
+// Latin spellings folded into the same canonical form, applied in order
+const LATIN_VARIANTS = [
+    [/tch/g, "ch"],
+    [/kh/g, "x"],
+    [/ts/g, "c"],
+    [/ph/g, "p"],
+    [/th/g, "t"],
+    [/q/g, "k"],
+    // Informal chat spellings: ყ as "y", წ as "w"
+    [/y/g, "k"],
+    [/w/g, "c"]
+];
+
+/**
+ * Reduces a Georgian or Latin string to its canonical search key.
+ *
+ * @param {string} text - Raw text in any script
+ * @returns {string} - Lowercase Latin key, words separated by single spaces
+ *
+ * @example
+ * toSearchKey("სანტექნიკი"); // "santekniki"
+ * toSearchKey("Santeqniki"); // "santekniki"
+ */
+const toSearchKey = (text = "") => {
+    let key = String(text)
+        .toLowerCase()
+        .replace(/[Ⴀ-ჿ]/g, (char) => GEORGIAN_TO_LATIN[char] ?? char);
+
+    // Apostrophes mark ejectives in some transliterations (k'a, t'e) — drop them before folding
+    key = key.replace(/['’`ʼ]/g, "");
+
+    for (const [pattern, replacement] of LATIN_VARIANTS) {
+        key = key.replace(pattern, replacement);
+    }
+
+    return key.replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+};
+
+/**
+ * Escapes HTML special characters so user content can be wrapped in <mark> tags safely.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHTML = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Checks whether a word matches one of the search terms (prefix match on the search key).
+ * @param {string} word - Word from the original text
+ * @param {string[]} terms - Search keys of the query terms
+ * @returns {boolean}
+ */
+const wordMatches = (word, terms) => {
+    const key = toSearchKey(word).replace(/ /g, "");
+    return key.length > 0 && terms.some((term) => key.startsWith(term));
+};
+
+/**
+ * Builds an HTML-escaped snippet of `text` where words matching the query are wrapped in <mark>.
+ * When the text is longer than `maxWords`, the snippet is centred on the first match and
+ * trimmed with an ellipsis.
+ *
+ * @param {string} text - Original text (title, description, ...)
+ * @param {string[]} terms - Search keys of the query terms (see toSearchKey)
+ * @param {number} [maxWords=30] - Maximum number of words in the snippet
+ * @returns {string|null} - Highlighted snippet, or null when nothing matched
+ */
+const highlight = (text, terms, maxWords = 30) => {
+    if (!text || terms.length === 0) return null;
+
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const matched = words.map((word) => wordMatches(word, terms));
+    const first = matched.indexOf(true);
+    if (first === -1) return null;
+
+    const start = Math.max(0, Math.min(first - Math.floor(maxWords / 3), words.length - maxWords));
+    const end = Math.min(words.length, start + maxWords);
+
+    const snippet = words
+        .slice(start, end)
+        .map((word, i) => (matched[start + i] ? `<mark>${escapeHTML(word)}</mark>` : escapeHTML(word)))
+        .join(" ");
+
+    return `${start > 0 ? "… " : ""}${snippet}${end < words.length ? " …" : ""}`;
+};
+
+module.exports = { toSearchKey, escapeHTML, escapeRegExp, highlight };
@@ -0,0 +1,128 @@
+/**
+ * @file images.js
+ * @description Image upload pipeline: content validation, EXIF stripping, resizing, WebP variants
+ * and cleanup of stored files.
+ *
+ * An upload is stored as four files next to each other (see utils/storage for where):
+ *   <prefix>/<name>.jpg          full size, max 1600px - the URL saved on the document
+ *   <prefix>/<name>-thumb.jpg    thumbnail, max 400px
+ *   <prefix>/<name>.webp         full size WebP
+ *   <prefix>/<name>-thumb.webp   thumbnail WebP
+ * so the other variants can always be derived from the saved URL.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/images
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const AppError = require("./appError");
+const { getStorage } = require("./storage");
+
+// Accepted upload formats (as detected by sharp from the file content, not the client's MIME type)
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp"];
+
+// Rejects decompression bombs: a small file declaring a huge canvas
+const MAX_INPUT_PIXELS = 40_000_000;
+
+const VARIANTS = [
+    { field: "url", suffix: ".jpg", size: 1600, format: "jpeg" },
+    { field: "thumbnailUrl", suffix: "-thumb.jpg", size: 400, format: "jpeg" },
+    { field: "webpUrl", suffix: ".webp", size: 1600, format: "webp" },
+    { field: "thumbnailWebpUrl", suffix: "-thumb.webp", size: 400, format: "webp" }
+];
+
+const CONTENT_TYPES = { jpeg: "image/jpeg", webp: "image/webp" };
+
+// Saved URL of an uploaded image: ".../<prefix>/<32 hex name>.jpg", prefix being "<kind>/<owner ID>"
+const SAVED_URL_PATTERN = /\/([a-z]+\/[a-f0-9]{24}\/[a-f0-9]{32})\.jpg$/;
+
+/**
+ * Renders one variant. Orientation from EXIF is applied first; sharp drops all metadata
+ * (EXIF, GPS, ICC comments) from the output unless asked to keep it.
+ *
+ * @param {Buffer} input
+ * @param {{ size: number, format: string }} variant
+ * @returns {Promise<Buffer>}
+ */
+const render = (input, { size, format }) => {
+    const image = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true });
+
+    return format === "jpeg"
+        // JPEG has no transparency, so transparent PNGs get a white background
+        ? image.flatten({ background: "#ffffff" }).jpeg({ quality: 82, mozjpeg: true }).toBuffer()
+        : image.webp({ quality: 80 }).toBuffer();
+};
+
+/**
+ * Processes an uploaded image and stores all of its variants.
+ *
+ * @async
+ * @param {Buffer} buffer - Uploaded file content
+ * @param {string} prefix - Storage folder, e.g. "services/<service ID>" or "users/<user ID>"
+ * @param {Object} req - Express request (local storage builds public URLs from it)
+ * @returns {Promise<{ url: string, thumbnailUrl: string, webpUrl: string, thumbnailWebpUrl: string }>}
+ * @throws {AppError} 400 when the file isn't a supported image
+ */
+const saveImage = async (buffer, prefix, req) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (err) {
+        metadata = null;
+    }
+    if (!metadata || !ACCEPTED_FORMATS.includes(metadata.format)) {
+        throw new AppError(`ფაილი არ არის სურათი! დაშვებული ფორმატები: ${ACCEPTED_FORMATS.join(", ")}`, 400);
+    }
+
+    const storage = getStorage();
+    const base = `${prefix}/${crypto.randomBytes(16).toString("hex")}`;
+    const saved = [];
+
+    try {
+        // One variant at a time: image processing is CPU and memory heavy
+        for (const variant of VARIANTS) {
+            const output = await render(buffer, variant);
+            await storage.save(base + variant.suffix, output, CONTENT_TYPES[variant.format]);
+            saved.push(base + variant.suffix);
+        }
+    } catch (err) {
+        await Promise.allSettled(saved.map((key) => storage.remove(key)));
+        if (err.message?.includes("pixel limit")) {
+            throw new AppError("სურათის გარჩევადობა ძალიან დიდია!", 400);
+        }
+        throw err;
+    }
+
+    return Object.fromEntries(VARIANTS.map((variant) => [variant.field, storage.publicUrl(base + variant.suffix, req)]));
+};
+
+/**
+ * Deletes the stored files (all variants) of uploaded images.
+ *
+ * Only URLs saved by saveImage under the given prefix are touched; pre-hosted URLs and
+ * files of other owners are skipped. Storage errors are logged, not thrown, so a failed
+ * cleanup never fails the request that removed the image.
+ *
+ * @async
+ * @param {string[]} urls - Saved image URLs that are no longer used
+ * @param {string} prefix - Storage folder of the owner, e.g. "services/<service ID>"
+ * @returns {Promise<void>}
+ */
+const removeImages = async (urls, prefix) => {
+    const storage = getStorage();
+
+    const keys = urls
+        .map((url) => typeof url === "string" && url.split(/[?#]/)[0].match(SAVED_URL_PATTERN)?.[1])
+        .filter((base) => base && base.startsWith(`${prefix}/`))
+        .flatMap((base) => VARIANTS.map((variant) => base + variant.suffix));
+
+    const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+    for (const result of results) {
+        if (result.status === "rejected") console.error("Storage Error:", result.reason);
+    }
+};
+
+module.exports = { saveImage, removeImages };
@@ -0,0 +1,163 @@
+/**
+ * @file oauth.js
+ * @description OAuth2 / OpenID Connect helpers for "Sign in with Google / Facebook" (authorization code flow with PKCE).
+ *
+ * Each provider is configured with environment variables:
+ * - `GOOGLE_CLIENT_ID`, `GOOGLE_CLIENT_SECRET`
+ * - `FACEBOOK_CLIENT_ID`, `FACEBOOK_CLIENT_SECRET`
+ *
+ * The provider endpoints can be overridden to point at a local mock identity provider
+ * (e.g. for tests): `<PROVIDER>_AUTH_URL`, `<PROVIDER>_TOKEN_URL`, `<PROVIDER>_USERINFO_URL`.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/oauth
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Supported providers. `profile` maps the provider's user info response to
+ * { providerId, email, emailVerified, name, picture }.
+ */
+const providers = {
+    google: {
+        authURL: "https://accounts.google.com/o/oauth2/v2/auth",
+        tokenURL: "https://oauth2.googleapis.com/token",
+        userInfoURL: "https://openidconnect.googleapis.com/v1/userinfo",
+        scope: "openid email profile",
+        profile: (data) => ({
+            providerId: data.sub,
+            email: data.email,
+            emailVerified: data.email_verified === true || data.email_verified === "true",
+            name: data.name,
+            picture: data.picture
+        })
+    },
+
+    facebook: {
+        authURL: "https://www.facebook.com/v19.0/dialog/oauth",
+        tokenURL: "https://graph.facebook.com/v19.0/oauth/access_token",
+        userInfoURL: "https://graph.facebook.com/me?fields=id,name,email,picture.type(large)",
+        scope: "email public_profile",
+        // Facebook has no email_verified claim, so its email is never treated as verified:
+        // linking it to an existing user has to be confirmed from that user's mailbox
+        profile: (data) => ({
+            providerId: data.id,
+            email: data.email,
+            emailVerified: false,
+            name: data.name,
+            picture: data.picture?.data?.url
+        })
+    }
+};
+
+/**
+ * Returns the configuration of a provider, with env overrides applied.
+ *
+ * @param {string} name - "google" or "facebook"
+ * @returns {Object|null} - null when the provider is unknown or has no client ID
+ */
+const getProvider = (name) => {
+    if (!Object.hasOwn(providers, name)) return null;
+
+    const prefix = name.toUpperCase();
+    const clientId = process.env[`${prefix}_CLIENT_ID`];
+    if (!clientId) return null;
+
+    return {
+        ...providers[name],
+        name,
+        clientId,
+        clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+        authURL: process.env[`${prefix}_AUTH_URL`] || providers[name].authURL,
+        tokenURL: process.env[`${prefix}_TOKEN_URL`] || providers[name].tokenURL,
+        userInfoURL: process.env[`${prefix}_USERINFO_URL`] || providers[name].userInfoURL
+    };
+};
+
+/**
+ * Creates the random values that protect one login attempt.
+ *
+ * @returns {{ state: string, codeVerifier: string, codeChallenge: string }}
+ */
+const createLoginAttempt = () => {
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+
+    return {
+        state: crypto.randomBytes(16).toString("hex"),
+        codeVerifier,
+        codeChallenge: crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+    };
+};
+
+/**
+ * Builds the URL the browser is redirected to for signing in at the provider.
+ *
+ * @param {Object} provider - Result of getProvider
+ * @param {Object} options
+ * @param {string} options.redirectURI - Our callback URL
+ * @param {string} options.state - Anti-CSRF state
+ * @param {string} options.codeChallenge - PKCE challenge (S256)
+ * @returns {string}
+ */
+const buildAuthorizationURL = (provider, { redirectURI, state, codeChallenge }) => {
+    const url = new URL(provider.authURL);
+    url.search = new URLSearchParams({
+        client_id: provider.clientId,
+        redirect_uri: redirectURI,
+        response_type: "code",
+        scope: provider.scope,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    });
+    return url.toString();
+};
+
+/**
+ * Exchanges the authorization code for the user's profile at the provider.
+ *
+ * @async
+ * @param {Object} provider - Result of getProvider
+ * @param {Object} options
+ * @param {string} options.code - Authorization code from the callback
+ * @param {string} options.redirectURI - Same callback URL as in the authorization request
+ * @param {string} options.codeVerifier - PKCE verifier of this login attempt
+ * @returns {Promise<{ providerId: string, email: string, emailVerified: boolean, name: string, picture: string }>}
+ * @throws {Error} When the provider rejects the code or the response is invalid
+ */
+const fetchProfile = async (provider, { code, redirectURI, codeVerifier }) => {
+    const tokenResponse = await fetch(provider.tokenURL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectURI,
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret || "",
+            code_verifier: codeVerifier
+        })
+    });
+    const tokens = await tokenResponse.json().catch(() => ({}));
+
+    if (!tokenResponse.ok || !tokens.access_token) {
+        throw new Error(`${provider.name} token exchange failed (${tokenResponse.status})`);
+    }
+
+    const userInfoResponse = await fetch(provider.userInfoURL, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" }
+    });
+    if (!userInfoResponse.ok) {
+        throw new Error(`${provider.name} user info request failed (${userInfoResponse.status})`);
+    }
+
+    const profile = provider.profile(await userInfoResponse.json());
+    if (!profile.providerId) {
+        throw new Error(`${provider.name} user info has no account ID`);
+    }
+
+    return { ...profile, providerId: String(profile.providerId) };
+};
+
+module.exports = { getProvider, createLoginAttempt, buildAuthorizationURL, fetchProfile };
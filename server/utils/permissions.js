@@ -0,0 +1,158 @@
+/**
+ * @file permissions.js
+ * @description Central permission policy: which role may do what, and on whose resources.
+ *
+ * Permissions are written `<resource>:<action>` or `<resource>:<action>:<scope>`:
+ * - `service:create` — no resource to check against
+ * - `service:update:own` — only on resources the user owns (see OWNER_RULES)
+ * - `service:update:any` — on every resource of that type
+ *
+ * `service:reply` is replying to the reviews of a service, so its owner is the service's provider.
+ * A booking is owned by both its customer and its provider; which of them may move it to which
+ * status is decided by the booking controller.
+ *
+ * Routers gate an endpoint with `authorize("service:update")` (middlewares/authorize.js), which lets
+ * through every role that has the action in some scope. Once the controller has loaded the resource,
+ * `can(req.user, "service:update", service)` decides with the owner rule.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/permissions
+ */
+
+/**
+ * Permissions granted to every role. Roles don't inherit from each other, so each list is complete.
+ */
+const ROLE_PERMISSIONS = {
+    costumer: [
+        "review:create",
+        "review:update:own",
+        "review:vote",
+        "review:report",
+        "review:delete:own",
+        "provider_application:create",
+        "booking:create",
+        "booking:read:own",
+        "booking:cancel:own"
+    ],
+    service_provider: [
+        "service:create",
+        "service:update:own",
+        "service:delete:own",
+        "service:schedule:own",
+        "service:reply:own",
+        "review:create",
+        "review:update:own",
+        "review:vote",
+        "review:report",
+        "review:delete:own",
+        "provider_application:create",
+        "booking:read:own",
+        "booking:manage:own",
+        "booking:cancel:own",
+        "two_factor:manage"
+    ],
+    moderator: [
+        "service:create",
+        "service:update:any",
+        "service:delete:any",
+        "service:reply:own",
+        "review:create",
+        "review:update:own",
+        "review:vote",
+        "review:report",
+        "review:delete:any",
+        "review:moderate",
+        "provider_application:review",
+        "booking:read:any",
+        "user:read",
+        "user:suspend",
+        "user:verify",
+        "user:require_2fa",
+        "two_factor:manage"
+    ],
+    admin: [
+        "service:create",
+        "service:update:any",
+        "service:delete:any",
+        "service:schedule:any",
+        "service:reply:own",
+        "review:create",
+        "review:update:own",
+        "review:vote",
+        "review:report",
+        "review:delete:any",
+        "review:moderate",
+        "provider_application:review",
+        "category:manage",
+        "booking:read:any",
+        "user:read",
+        "user:suspend",
+        "user:verify",
+        "user:require_2fa",
+        "user:change_role",
+        "user:force_password_reset",
+        "admin_log:read",
+        "two_factor:manage"
+    ]
+};
+
+/**
+ * Owner rules per resource type: whether the user owns the resource.
+ */
+const OWNER_RULES = {
+    service: (user, service) => String(service.providerID?._id || service.providerID) === String(user._id),
+    review: (user, review) => String(review.userId?._id || review.userId) === String(user._id),
+    booking: (user, booking) => [booking.customerId, booking.providerId]
+        .some((participant) => String(participant?._id || participant) === String(user._id))
+};
+
+/**
+ * Returns the permissions of a role.
+ *
+ * @param {string} role
+ * @returns {string[]} - Empty for unknown roles
+ */
+const permissionsFor = (role) => (Object.hasOwn(ROLE_PERMISSIONS, role) ? ROLE_PERMISSIONS[role] : []);
+
+/**
+ * Whether the role has the action in any scope, i.e. may reach the endpoint at all.
+ *
+ * @param {string} role
+ * @param {string} action - e.g. "service:update"
+ * @returns {boolean}
+ */
+const hasPermission = (role, action) => {
+    const permissions = permissionsFor(role);
+    return [action, `${action}:own`, `${action}:any`].some((permission) => permissions.includes(permission));
+};
+
+/**
+ * Whether the user may perform the action, on the given resource when there is one.
+ *
+ * @param {Object} user - The user document (req.user)
+ * @param {string} action - e.g. "service:update"
+ * @param {Object} [resource] - The resource acted on, checked with the owner rule of its type
+ * @returns {boolean}
+ *
+ * @example
+ * if (!can(req.user, "service:update", service)) {
+ *     return next(new AppError("თქვენ არ გაქვთ უფლება ამ სერვისის განახლების!", 403));
+ * }
+ */
+const can = (user, action, resource) => {
+    if (!user) return false;
+
+    const permissions = permissionsFor(user.role);
+    if (permissions.includes(action) || permissions.includes(`${action}:any`)) return true;
+
+    if (!resource || !permissions.includes(`${action}:own`)) return false;
+
+    const isOwner = OWNER_RULES[action.split(":")[0]];
+    if (!isOwner) {
+        throw new Error(`No owner rule for permission "${action}"`);
+    }
+
+    return isOwner(user, resource);
+};
+
+module.exports = { ROLE_PERMISSIONS, permissionsFor, hasPermission, can };
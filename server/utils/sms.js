@@ -0,0 +1,75 @@
+/**
+ * @file sms.js
+ * @description Utility module for sending SMS messages through a pluggable transport.
+ *
+ * The transport is chosen with the `SMS_TRANSPORT` environment variable:
+ * - `vonage`  — sends through the Vonage client in configs/vonage.js (default when NODE_ENV is "prod")
+ * - `console` — prints the message to stdout (default otherwise, handy for local development)
+ * - `file`    — appends the message as a JSON line to `SMS_FILE_PATH` (default logs/sms.log), for tests
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/sms
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Converts a Georgian phone number to the international format without "+" (e.g. 995599123456),
+ * which is what Vonage expects.
+ *
+ * @param {string} phone - Phone number as stored on the user (e.g. "599123456", "+995 599 12 34 56")
+ * @returns {string}
+ */
+const toInternational = (phone) => {
+    const digits = String(phone).replace(/\D/g, "");
+    return digits.startsWith("995") ? digits : `995${digits.replace(/^0/, "")}`;
+};
+
+/**
+ * Available SMS transports. Each one receives { to, text } with `to` in international format.
+ */
+const transports = {
+    vonage: async ({ to, text }) => {
+        // Required lazily so local/test setups don't need Vonage credentials
+        const vonage = require("../configs/vonage");
+        await vonage.sms.send({ to, from: process.env.SMS_FROM || "Services.ge", text });
+    },
+
+    console: async ({ to, text }) => {
+        console.log(`[SMS] to ${to}: ${text}`);
+    },
+
+    file: async ({ to, text }) => {
+        const filePath = process.env.SMS_FILE_PATH || path.join(__dirname, "..", "logs", "sms.log");
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify({ to, text, sentAt: new Date().toISOString() })}\n`);
+    }
+};
+
+/**
+ * Sends an SMS using the configured transport.
+ *
+ * @async
+ * @function sendSMS
+ * @param {Object} options - SMS options.
+ * @param {string} options.to - Recipient phone number.
+ * @param {string} options.text - Message body.
+ * @returns {Promise<void>} Resolves when the message is handed to the transport.
+ * @throws {Error} Throws if the transport is unknown or sending fails.
+ *
+ * @example
+ * await sendSMS({ to: user.phone, text: `Services.ge კოდი: ${code}` });
+ */
+const sendSMS = async ({ to, text }) => {
+    const name = process.env.SMS_TRANSPORT || (process.env.NODE_ENV === "prod" ? "vonage" : "console");
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown SMS transport "${name}"`);
+    }
+
+    await transport({ to: toInternational(to), text });
+};
+
+module.exports = sendSMS;
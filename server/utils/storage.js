@@ -0,0 +1,117 @@
+/**
+ * @file storage.js
+ * @description Pluggable file storage for uploaded images.
+ *
+ * The backend is chosen with the `STORAGE_DRIVER` environment variable:
+ * - `local` — files on disk under UPLOADS_DIR (default server/uploads), served by the app
+ *   at /uploads (default). UPLOADS_BASE_URL overrides the public base URL, e.g. for a CDN.
+ * - `s3`    — any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...). Needs the
+ *   `@aws-sdk/client-s3` package and S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and
+ *   S3_SECRET_ACCESS_KEY; S3_ENDPOINT for providers other than AWS and S3_PUBLIC_URL
+ *   for the public base URL.
+ *
+ * Every backend has the same interface:
+ * - `save(key, buffer, contentType)` — stores a file
+ * - `remove(key)` — deletes a file (missing files are ignored)
+ * - `publicUrl(key, req)` — URL the file is served at
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/storage
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads");
+
+/**
+ * Local disk storage.
+ */
+const createLocalStorage = () => ({
+    async save(key, buffer) {
+        const file = path.join(UPLOADS_DIR, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+        await fs.rm(path.join(UPLOADS_DIR, key), { force: true });
+    },
+
+    publicUrl(key, req) {
+        const base = process.env.UPLOADS_BASE_URL || `${req.protocol}://${req.get("host")}/uploads`;
+        return `${base}/${key}`;
+    }
+});
+
+/**
+ * S3-compatible object storage.
+ */
+const createS3Storage = () => {
+    // Required lazily so the AWS SDK is only needed when this driver is used
+    let sdk;
+    try {
+        sdk = require("@aws-sdk/client-s3");
+    } catch (err) {
+        throw new Error('STORAGE_DRIVER=s3 requires the "@aws-sdk/client-s3" package');
+    }
+
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || "us-east-1";
+    const client = new sdk.S3Client({
+        region,
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // Custom endpoints (R2, MinIO) generally don't support bucket subdomains
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+    });
+
+    return {
+        async save(key, buffer, contentType) {
+            await client.send(new sdk.PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                // File names are random and never reused
+                CacheControl: "public, max-age=31536000, immutable"
+            }));
+        },
+
+        async remove(key) {
+            await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        publicUrl(key) {
+            const base = process.env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`;
+            return `${base}/${key}`;
+        }
+    };
+};
+
+const drivers = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+let storage;
+
+/**
+ * Returns the configured storage backend, created on first use.
+ * @returns {{ save: Function, remove: Function, publicUrl: Function }}
+ */
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || "local";
+        if (!drivers[name]) {
+            throw new Error(`Unknown storage driver "${name}"`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+module.exports = { getStorage, UPLOADS_DIR };
@@ -0,0 +1,106 @@
+/**
+ * @file timezone.js
+ * @description Small helpers for converting between UTC instants and wall-clock dates/times
+ * in a named IANA time zone (the platform works in Asia/Tbilisi).
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/timezone
+ */
+
+// Time zone used for provider schedules
+const TBILISI_TZ = "Asia/Tbilisi";
+
+/**
+ * Returns the wall-clock parts of an instant in the given time zone.
+ * @param {Date} date - UTC instant
+ * @param {string} [timeZone=TBILISI_TZ]
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const getZonedParts = (date, timeZone = TBILISI_TZ) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+    return {
+        year: values.year,
+        month: values.month,
+        day: values.day,
+        hour: values.hour,
+        minute: values.minute,
+        second: values.second,
+    };
+};
+
+/**
+ * Converts a wall-clock date and time in a time zone to a UTC instant.
+ *
+ * @param {string} date - Local date "YYYY-MM-DD"
+ * @param {string} time - Local time "HH:mm"
+ * @param {string} [timeZone=TBILISI_TZ]
+ * @returns {Date}
+ *
+ * @example
+ * zonedTimeToUtc("2025-10-01", "10:00"); // 2025-10-01T06:00:00.000Z (Tbilisi is UTC+4)
+ */
+const zonedTimeToUtc = (date, time, timeZone = TBILISI_TZ) => {
+    const [year, month, day] = date.split("-").map(Number);
+    const [hour, minute] = time.split(":").map(Number);
+
+    // Interpret the wall-clock time as UTC, then shift by the zone offset at that moment
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const zoned = getZonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - guess;
+
+    return new Date(guess - offset);
+};
+
+/**
+ * Formats an instant as a local "YYYY-MM-DD" date in the time zone.
+ * @param {Date} date
+ * @param {string} [timeZone=TBILISI_TZ]
+ * @returns {string}
+ */
+const toZonedDate = (date, timeZone = TBILISI_TZ) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Formats an instant as a local "HH:mm" time in the time zone.
+ * @param {Date} date
+ * @param {string} [timeZone=TBILISI_TZ]
+ * @returns {string}
+ */
+const toZonedTime = (date, timeZone = TBILISI_TZ) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+};
+
+/**
+ * Lists local dates from `from` to `to` inclusive.
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {{ date: string, weekday: number }[]} - weekday: 0 = Sunday ... 6 = Saturday
+ */
+const eachDate = (from, to) => {
+    const days = [];
+    const [fy, fm, fd] = from.split("-").map(Number);
+    const [ty, tm, td] = to.split("-").map(Number);
+    const end = Date.UTC(ty, tm - 1, td);
+
+    for (let current = Date.UTC(fy, fm - 1, fd); current <= end; current += 24 * 60 * 60 * 1000) {
+        const date = new Date(current);
+        days.push({ date: date.toISOString().slice(0, 10), weekday: date.getUTCDay() });
+    }
+    return days;
+};
+
+module.exports = { TBILISI_TZ, zonedTimeToUtc, toZonedDate, toZonedTime, eachDate };
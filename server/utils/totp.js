@@ -0,0 +1,139 @@
+/**
+ * @file totp.js
+ * @description Time-based one-time passwords (RFC 6238) compatible with Google Authenticator,
+ * Microsoft Authenticator, Authy, etc. Uses HMAC-SHA1, 6 digits and a 30 second period.
+ *
+ * @author Luka Tskhvaradze
+ * @module utils/totp
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD = 30; // seconds
+const DIGITS = 6;
+const ISSUER = "Services.ge";
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding), the format authenticator apps expect.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding and spaces are ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} - base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the code for a given time step (RFC 4226 HOTP with the step as counter).
+ * @param {string} secret - base32 secret
+ * @param {number} step - Time step (unix seconds / 30)
+ * @returns {string} - Zero padded code
+ */
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Returns the current time step.
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number}
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+/**
+ * Verifies a code, allowing one step of clock drift in either direction.
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window=1] - Accepted drift in steps
+ * @returns {number|null} - The matching time step (store it to prevent replays), or null
+ */
+const verifyCode = (secret, code, window = 1) => {
+    if (typeof code !== "string" || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null;
+
+    const step = currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = Buffer.from(codeForStep(secret, step + drift));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+            return step + drift;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ *
+ * @param {string} secret - base32 secret
+ * @param {string} account - Account label (the user's email)
+ * @returns {string}
+ *
+ * @example
+ * provisioningURI("JBSWY3DPEHPK3PXP", "nino@example.com");
+ * // otpauth://totp/Services.ge:nino%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Services.ge&algorithm=SHA1&digits=6&period=30
+ */
+const provisioningURI = (secret, account) => {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateSecret, verifyCode, provisioningURI, codeForStep, currentStep };